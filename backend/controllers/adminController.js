@@ -7,11 +7,36 @@ import path from "path";
 import { fileURLToPath } from "url";
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Quiz from "../models/Quiz.js";
 import Payment from "../models/Payment.js";
 import Report from "../models/Report.js";
-import { manualStartQuiz } from "../utils/quizScheduler.js";
+import AdminAudit from "../models/AdminAudit.js";
+import { manualStartQuiz, announceSlotChange } from "../utils/quizScheduler.js";
+import { scheduleQuizJobs, unscheduleQuizJobs } from "../utils/jobs.js";
+import {
+  parseSlotFields,
+  startFromBody,
+  defaultStartTime,
+  slotError,
+  slotSummary,
+  quizTimeZone,
+  timelineSettings,
+  getSlotWindow,
+  findDaySlots
+} from "../utils/quizSlots.js";
+import { compareStandings, pauseQuiz, resumeQuiz, extendQuestion, skipQuestion } from "../utils/quizSession.js";
+import { buildPermutation, toDisplayedOptions } from "../utils/quizShuffle.js";
+import { explainScore } from "../utils/quizScoring.js";
+import { computeQuizAnalytics } from "../utils/quizAnalytics.js";
+import { getAnswersByUser, getParticipantAnswers, answersOf, deleteQuizAnswers } from "../utils/quizAnswers.js";
+import { getExcludedUserIds, runAntiCheatPass } from "../utils/antiCheat.js";
+import CheatFlag from "../models/CheatFlag.js";
+import QuestionDispute from "../models/QuestionDispute.js";
+import { resolveQuestionDisputes } from "../utils/quizRegrade.js";
+import { releaseBankUsage } from "./questionBankController.js";
+import { validateQuestion, questionFromCsvRow, revealAnswer, HIDDEN_ANSWER_SELECT } from "../utils/questionTypes.js";
 import Razorpay from "razorpay";
 
 /**
@@ -183,7 +208,8 @@ export const reconcilePayments = async (req, res, next) => {
 
 /**
  * Upload quiz CSV with validation
- * CSV Format: text, options (JSON), correctIndex, points
+ * CSV Format: question, optionA-D, correctAnswer, points,
+ * [type, tolerance, partialCredit, category, imageUrl, contentFormat, explanation]
  */
 export const uploadQuizCSV = async (req, res, next) => {
   try {
@@ -199,32 +225,20 @@ export const uploadQuizCSV = async (req, res, next) => {
       .pipe(csv())
       .on("data", (data) => {
         rowCount++;
-        const { question, optionA, optionB, optionC, optionD, correctAnswer, points } = data;
         
         // Validate required fields
-        if (!question || !optionA || !optionB || !optionC || !optionD || !correctAnswer) {
+        if (!data.question || !data.correctAnswer) {
           errors.push(`Row ${rowCount}: Missing required fields`);
           return;
         }
 
-        const options = [optionA, optionB, optionC, optionD];
-        let correctIndex = parseInt(correctAnswer);
-        
-        // Validate correct answer index
-        if (isNaN(correctIndex) || correctIndex < 1 || correctIndex > 4) {
-          errors.push(`Row ${rowCount}: Invalid correctAnswer (must be 1-4)`);
+        const { question, error } = questionFromCsvRow(data);
+        if (error) {
+          errors.push(`Row ${rowCount}: ${error}`);
           return;
         }
-        
-        // Convert to 0-based index
-        correctIndex = correctIndex - 1;
-        
-        results.push({
-          text: question.trim(),
-          options: options.map(opt => opt.trim()),
-          correctIndex: correctIndex,
-          points: parseInt(points) || 1
-        });
+
+        results.push(question);
       })
       .on("end", async () => {
         if (errors.length > 0) {
@@ -252,9 +266,8 @@ export const uploadQuizCSV = async (req, res, next) => {
 
 
         try {
-          // Create quiz with questions
-          const scheduledAt = new Date();
-          scheduledAt.setHours(20, 0, 0, 0); // 8 PM IST
+          // Create quiz with questions, starting at today's default start time in QUIZ_TIMEZONE
+          const scheduledAt = defaultStartTime();
           
           const quiz = await Quiz.create({
             title: req.body.title || `Daily Quiz - ${new Date().toISOString().split('T')[0]}`,
@@ -265,7 +278,8 @@ export const uploadQuizCSV = async (req, res, next) => {
             scheduleType: 'daily',
             published: false,
             totalQuestions: 50,
-            timePerQuestion: 15
+            timePerQuestion: 15,
+            scoringMode: req.body.scoringMode || 'flat'
           });
 
           fs.unlinkSync(req.file.path);
@@ -303,7 +317,7 @@ export const uploadQuizCSV = async (req, res, next) => {
  */
 export const createQuiz = async (req, res, next) => {
   try {
-    const { title, description, questions, scheduledAt, scheduleType } = req.body;
+    const { title, description, questions, scheduleType, scoringMode, scoringOptions, focusPolicy } = req.body;
     
     if (!title || !questions || !Array.isArray(questions)) {
       return res.status(400).json({ message: "Title and questions array required" });
@@ -313,35 +327,41 @@ export const createQuiz = async (req, res, next) => {
       return res.status(400).json({ message: "At least one question required" });
     }
 
-    // Validate all questions
+    // Validate all questions (type-specific answer keys, see utils/questionTypes.js)
+    const validQuestions = [];
     for (let i = 0; i < questions.length; i++) {
-      const q = questions[i];
-      if (!q.text || !q.options || !Array.isArray(q.options) || q.options.length !== 4) {
-        return res.status(400).json({ message: `Question ${i + 1} invalid: must have text and 4 options` });
-      }
-      if (typeof q.correctIndex !== 'number' || q.correctIndex < 0 || q.correctIndex > 3) {
-        return res.status(400).json({ message: `Question ${i + 1}: correctIndex must be 0-3` });
+      const { question, error } = validateQuestion(questions[i] || {});
+      if (error) {
+        return res.status(400).json({ message: `Question ${i + 1} invalid: ${error}` });
       }
+      validQuestions.push(question);
     }
 
-    // Set scheduled time
-    let scheduleDate = new Date();
-    if (scheduledAt) {
-      scheduleDate = new Date(scheduledAt);
-    } else {
-      scheduleDate.setHours(20, 0, 0, 0); // Default 8 PM
+
+    // Slot settings: duration, payment deadline, entry fee, capacity, timezone, timeline offsets.
+    // Start: scheduledAt, or startDate/startTime in the quiz's timezone, else today's default start there.
+    const { fields: slotFields, error: slotFieldError } = parseSlotFields(req.body);
+    const { startsAt, error: startError } = startFromBody(req.body, slotFields?.timezone);
+    const scheduleDate = startsAt || defaultStartTime(slotFields?.timezone);
+    const slotProblem = slotFieldError || startError || slotError({ scheduledAt: scheduleDate, ...slotFields });
+    if (slotProblem) {
+      return res.status(400).json({ message: slotProblem });
     }
 
     const quiz = await Quiz.create({
       title,
       description: description || "",
-      questions,
+      questions: validQuestions,
       date: scheduleDate,
       scheduledAt: scheduleDate,
       scheduleType: scheduleType || 'one-off',
       published: false,
       totalQuestions: questions.length,
-      timePerQuestion: 15
+      timePerQuestion: 15,
+      scoringMode: scoringMode || 'flat',
+      ...slotFields,
+      ...(scoringOptions && { scoringOptions }),
+      ...(focusPolicy && { focusPolicy })
     });
 
     res.status(201).json({
@@ -351,6 +371,7 @@ export const createQuiz = async (req, res, next) => {
         title: quiz.title,
         totalQuestions: quiz.totalQuestions,
         scheduledAt: quiz.scheduledAt,
+        slot: slotSummary(quiz),
         createdAt: quiz.createdAt
       }
     });
@@ -385,7 +406,7 @@ export const getAllQuizzes = async (req, res, next) => {
     }
     
     const quizzes = await Quiz.find(query)
-      .select("-questions.correctIndex") // Don't send correct answers
+      .select(HIDDEN_ANSWER_SELECT) // Don't send correct answers
       .sort({ scheduledAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -407,20 +428,62 @@ export const getAllQuizzes = async (req, res, next) => {
 };
 
 /**
- * Update quiz schedule
+ * Apply start time and slot settings from a request body.
+ * Returns { error } or { moved } - moved when any phase of the timeline changed.
+ */
+const applySlotSchedule = (quiz, body) => {
+  const { fields, error } = parseSlotFields(body);
+  if (error) return { error };
+  const { startsAt, error: startError } = startFromBody(body, fields.timezone || quizTimeZone(quiz));
+  if (startError) return { error: startError };
+
+  const moved = !!startsAt || ['durationMinutes', 'paymentDeadline', 'timeline'].some(k => k in fields);
+  if (moved && (quiz.isLive || quiz.isCompleted)) {
+    return { error: "Schedule cannot change once the quiz has started" };
+  }
+
+  if (fields.timeline) fields.timeline = { ...timelineSettings(quiz), ...fields.timeline };
+  quiz.set(fields);
+  if (startsAt) {
+    quiz.scheduledAt = startsAt;
+    quiz.date = startsAt;
+  }
+  if (moved) {
+    // Alert and ready go out again at the new times
+    quiz.set('notificationsSent', {});
+  }
+  const problem = slotError(quiz);
+  return problem ? { error: problem } : { moved };
+};
+
+/**
+ * Keep a quiz's BullMQ lifecycle jobs in line with its schedule
+ */
+const syncQuizJobs = async (quiz) => {
+  try {
+    if (quiz.published && !quiz.isCompleted) await scheduleQuizJobs(quiz);
+    else await unscheduleQuizJobs(quiz._id.toString());
+  } catch (err) {
+    // the cron sweep still covers the slot
+    console.error("Quiz job scheduling failed:", err.message);
+  }
+};
+
+/**
+ * Update quiz schedule (start time, slot settings, publish state)
  */
 export const updateQuizSchedule = async (req, res, next) => {
   try {
-    const { scheduledAt, scheduleType, published } = req.body;
+    const { scheduleType, published } = req.body;
     
     const quiz = await Quiz.findById(req.params.id);
     if (!quiz) {
       return res.status(404).json({ message: "Quiz not found" });
     }
 
-    if (scheduledAt) {
-      quiz.scheduledAt = new Date(scheduledAt);
-      quiz.date = quiz.scheduledAt;
+    const schedule = applySlotSchedule(quiz, req.body);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
     }
     
     if (scheduleType) {
@@ -432,6 +495,8 @@ export const updateQuizSchedule = async (req, res, next) => {
     }
 
     await quiz.save();
+    await syncQuizJobs(quiz);
+    if (schedule.moved && quiz.published) announceSlotChange(quiz);
 
     res.json({
       success: true,
@@ -440,7 +505,51 @@ export const updateQuizSchedule = async (req, res, next) => {
         _id: quiz._id,
         scheduledAt: quiz.scheduledAt,
         scheduleType: quiz.scheduleType,
-        published: quiz.published
+        published: quiz.published,
+        slot: slotSummary(quiz)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delay a quiz that has not started. Start, payment deadline and every notice move with it.
+ */
+export const delayQuiz = async (req, res, next) => {
+  try {
+    const minutes = Number(req.body.minutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 24 * 60) {
+      return res.status(400).json({ message: "minutes must be between 1 and 1440" });
+    }
+
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (quiz.isLive || quiz.isCompleted) {
+      return res.status(400).json({ message: "Only a quiz that has not started can be delayed" });
+    }
+
+    const shiftMs = minutes * 60 * 1000;
+    quiz.scheduledAt = new Date(getSlotWindow(quiz).startsAt.getTime() + shiftMs);
+    quiz.date = quiz.scheduledAt;
+    if (quiz.paymentDeadline) quiz.paymentDeadline = new Date(quiz.paymentDeadline.getTime() + shiftMs);
+    quiz.set('notificationsSent', {});
+
+    await quiz.save();
+    await syncQuizJobs(quiz);
+    if (quiz.published) announceSlotChange(quiz, 'delayed');
+
+    res.json({
+      success: true,
+      message: `Quiz delayed by ${minutes} minutes`,
+      quiz: {
+        _id: quiz._id,
+        scheduledAt: quiz.scheduledAt,
+        published: quiz.published,
+        slot: slotSummary(quiz)
       }
     });
   } catch (err) {
@@ -453,7 +562,7 @@ export const updateQuizSchedule = async (req, res, next) => {
  */
 export const updateQuiz = async (req, res, next) => {
   try {
-    const { title, description, totalQuestions, scheduledAt, scheduleType, published } = req.body;
+    const { title, description, totalQuestions, scheduleType, published, scoringMode, scoringOptions, focusPolicy } = req.body;
     
     const quiz = await Quiz.findById(req.params.id);
     if (!quiz) {
@@ -464,14 +573,30 @@ export const updateQuiz = async (req, res, next) => {
     if (title) quiz.title = title;
     if (description) quiz.description = description;
     if (totalQuestions) quiz.totalQuestions = totalQuestions;
-    if (scheduledAt) {
-      quiz.scheduledAt = new Date(scheduledAt);
-      quiz.date = quiz.scheduledAt;
+    const schedule = applySlotSchedule(quiz, req.body);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
     }
     if (scheduleType) quiz.scheduleType = scheduleType;
     if (published !== undefined) quiz.published = published;
+    if (scoringMode || scoringOptions) {
+      if (quiz.isLive || quiz.isCompleted) {
+        return res.status(400).json({ message: "Scoring cannot change once the quiz has started" });
+      }
+      if (scoringMode) quiz.scoringMode = scoringMode;
+      if (scoringOptions) quiz.set('scoringOptions', { ...quiz.toObject().scoringOptions, ...scoringOptions });
+    }
+    if (focusPolicy) {
+      // Warned participants must be judged by the rules they were warned under
+      if (quiz.isLive || quiz.isCompleted) {
+        return res.status(400).json({ message: "Focus policy cannot change once the quiz has started" });
+      }
+      quiz.set('focusPolicy', { ...quiz.toObject().focusPolicy, ...focusPolicy });
+    }
 
     await quiz.save();
+    await syncQuizJobs(quiz);
+    if (schedule.moved && quiz.published) announceSlotChange(quiz);
 
     res.json({
       success: true,
@@ -483,7 +608,11 @@ export const updateQuiz = async (req, res, next) => {
         totalQuestions: quiz.totalQuestions,
         scheduledAt: quiz.scheduledAt,
         scheduleType: quiz.scheduleType,
-        published: quiz.published
+        published: quiz.published,
+        scoringMode: quiz.scoringMode,
+        scoringOptions: quiz.scoringOptions,
+        focusPolicy: quiz.focusPolicy,
+        slot: slotSummary(quiz)
       }
     });
   } catch (err) {
@@ -503,6 +632,51 @@ export const startQuiz = async (req, res, next) => {
   }
 };
 
+/**
+ * Run one live control on a quiz, record it under `action` on the request's audit entry
+ * (written by the admin routes' audit middleware) and answer with its result.
+ * The quiz room gets the matching event from quizSession.
+ */
+const runLiveControl = async (req, res, next, action, control) => {
+  try {
+    const result = await control();
+    // The action already happened - a failed audit write must not report it as failed
+    const audit = { action, body: { quizId: req.params.id, ...req.body, result } };
+    await (req.auditId
+      ? AdminAudit.updateOne({ _id: req.auditId }, { $set: audit })
+      : AdminAudit.create({ admin: req.user.id, method: req.method, path: req.originalUrl, ...audit })
+    ).catch(err => console.warn(`Failed to audit ${action}:`, err.message));
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    next(err);
+  }
+};
+
+/**
+ * Pause the question clock of a live quiz
+ */
+export const pauseLiveQuiz = (req, res, next) =>
+  runLiveControl(req, res, next, 'quiz_pause', () => pauseQuiz(req.params.id));
+
+/**
+ * Resume a paused quiz with the time its question had left
+ */
+export const resumeLiveQuiz = (req, res, next) =>
+  runLiveControl(req, res, next, 'quiz_resume', () => resumeQuiz(req.params.id));
+
+/**
+ * Give the current question more time: { seconds }
+ */
+export const extendLiveQuestion = (req, res, next) =>
+  runLiveControl(req, res, next, 'quiz_extend_question', () => extendQuestion(req.params.id, req.body?.seconds));
+
+/**
+ * Void the current question, rescore and move on: { reason? }
+ */
+export const skipLiveQuestion = (req, res, next) =>
+  runLiveControl(req, res, next, 'quiz_void_question', () => skipQuestion(req.params.id, { reason: req.body?.reason }));
+
 /**
  * Ban user
  */
@@ -546,54 +720,80 @@ export const unbanUser = async (req, res, next) => {
 };
 
 /**
- * Get top winners for a specific date
+ * Get top winners of a quiz slot (?quizId), or of a date's latest started slot (?date)
  */
 export const getWinners = async (req, res, next) => {
   try {
-    const dateParam = req.query.date || null;
-    const queryDate = dateParam ? new Date(dateParam) : new Date();
-    const start = new Date(queryDate.getFullYear(), queryDate.getMonth(), queryDate.getDate());
-    const end = new Date(start);
-    end.setDate(start.getDate() + 1);
+    // YYYY-MM-DD is a calendar day in QUIZ_TIMEZONE
+    let queryDate = req.query.date || new Date();
+    if (isNaN(new Date(queryDate).getTime())) {
+      return res.status(400).json({ message: "Invalid date" });
+    }
 
-    const quiz = await Quiz.findOne({
-      date: { $gte: start, $lt: end }
-    }).populate("participants.user", "fullName username profileImage");
+    let quizId = req.query.quizId;
+    if (quizId) {
+      const slot = await Quiz.findById(quizId).select('date');
+      if (!slot) {
+        return res.status(404).json({ message: "Quiz not found" });
+      }
+      queryDate = slot.date;
+    }
+    const slots = await findDaySlots(queryDate, {}, "-questions -participants");
+    if (!quizId) {
+      const started = slots.filter(q => q.isLive || q.isCompleted);
+      quizId = (started[started.length - 1] || slots[slots.length - 1])?._id;
+    }
+
+    const quiz = quizId
+      ? await Quiz.findById(quizId).populate("participants.user", "fullName username profileImage")
+      : null;
 
     if (!quiz) {
       return res.json({
         winners: [],
         message: "No quiz found for this date",
-        date: queryDate
+        date: queryDate,
+        slots: slots.map(q => slotSummary(q))
       });
     }
 
-    const winners = quiz.participants
-      .filter(p => p.isCompleted && p.paid)
-      .sort((a, b) => b.score - a.score || a.timeSpent - b.timeSpent)
-      .slice(0, 20)
-      .map((participant, index) => ({
-        rank: index + 1,
-        user: {
-          _id: participant.user._id,
-          fullName: participant.user.fullName,
-          username: participant.user.username,
-          profileImage: participant.user.profileImage
-        },
-        score: participant.score,
-        correctAnswers: participant.correctAnswers,
-        totalQuestions: participant.totalQuestions,
-        timeSpent: participant.timeSpent,
-        accuracy: participant.totalQuestions > 0 
-          ? ((participant.correctAnswers / participant.totalQuestions) * 100).toFixed(2)
-          : 0
-      }));
+    const excluded = await getExcludedUserIds(quiz._id);
+    // Deleted accounts populate as null and cannot win
+    const eligible = quiz.participants.filter(p => p.user && p.isCompleted && p.paid && !p.disqualified);
+
+    const top = eligible
+      .filter(p => !excluded.has(p.user._id.toString()))
+      .sort(compareStandings)
+      .slice(0, 20);
+    const answersByUser = await getAnswersByUser(quiz._id, top.map(p => p.user._id));
+
+    const winners = top.map((participant, index) => ({
+      rank: index + 1,
+      user: {
+        _id: participant.user._id,
+        fullName: participant.user.fullName,
+        username: participant.user.username,
+        profileImage: participant.user.profileImage
+      },
+      score: participant.score,
+      correctAnswers: participant.correctAnswers,
+      totalQuestions: participant.totalQuestions,
+      timeSpent: participant.timeSpent,
+      accuracy: participant.totalQuestions > 0 
+        ? ((participant.correctAnswers / participant.totalQuestions) * 100).toFixed(2)
+        : 0,
+      scoring: explainScore(quiz, participant, answersOf(participant, answersByUser))
+    }));
 
     res.json({
       winners,
-      totalParticipants: quiz.participants.filter(p => p.isCompleted && p.paid).length,
-      quizDate: queryDate,
-      quizId: quiz._id
+      scoringMode: quiz.scoringMode || 'flat',
+      totalParticipants: eligible.length,
+      heldForReview: eligible.filter(p => excluded.has(p.user._id.toString())).length,
+      quizDate: quiz.date,
+      quizId: quiz._id,
+      slotLabel: quiz.slotLabel || '',
+      slots: slots.map(q => slotSummary(q))
     });
   } catch (err) {
     next(err);
@@ -607,13 +807,335 @@ export const getQuizDetails = async (req, res, next) => {
   try {
     const quiz = await Quiz.findById(req.params.id)
       .populate("participants.user", "fullName username phone profileImage")
-      .select("-questions.correctIndex");
+      .select(HIDDEN_ANSWER_SELECT);
     
     if (!quiz) {
       return res.status(404).json({ message: "Quiz not found" });
     }
-    
-    res.json(quiz);
+
+    // Focus-loss counts per participant and per question
+    const focused = quiz.participants.filter(p => p.focusLossCount > 0);
+    const lossesByQuestion = new Map();
+    focused.forEach(p => p.focusByQuestion.forEach(f => {
+      const entry = lossesByQuestion.get(f.questionId.toString()) || { losses: 0, participants: 0 };
+      entry.losses += f.losses;
+      entry.participants += f.losses > 0 ? 1 : 0;
+      lossesByQuestion.set(f.questionId.toString(), entry);
+    }));
+
+    res.json({
+      ...quiz.toJSON(),
+      focusReport: {
+        policy: quiz.focusPolicy,
+        participants: focused.map(p => ({
+          user: p.user,
+          focusLossCount: p.focusLossCount,
+          focusPenalty: p.focusPenalty,
+          disqualified: p.disqualified,
+          byQuestion: p.focusByQuestion
+        })),
+        byQuestion: quiz.questions.map((q, index) => ({
+          questionId: q._id,
+          index: index + 1,
+          ...(lossesByQuestion.get(q._id.toString()) || { losses: 0, participants: 0 })
+        }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Attach an image (diagram) to one question, uploaded through the uploadImage pipeline
+ */
+export const uploadQuestionImage = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "No image uploaded" });
+    }
+
+    // S3 uploads carry a location; local ones are served from /uploads/images
+    const imageUrl = req.file.location || `/${req.file.path}`;
+    const quiz = await Quiz.findOneAndUpdate(
+      { _id: req.params.id, isLive: false, 'questions._id': req.params.questionId },
+      { $set: { 'questions.$.imageUrl': imageUrl } },
+      { new: true, projection: { 'questions.$': 1 } }
+    );
+
+    if (!quiz) {
+      return res.status(404).json({ message: "Question not found or quiz is live" });
+    }
+
+    res.json({ success: true, questionId: req.params.questionId, imageUrl });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Per-question analytics for a finished quiz (correct share, option distribution,
+ * median time, discrimination index and quality flags)
+ */
+export const getQuizAnalytics = async (req, res, next) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id).select("title date isCompleted questions participants settings voidedSlots voidedQuestions");
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (!quiz.isCompleted) {
+      return res.status(400).json({ message: "Analytics are available once the quiz has ended" });
+    }
+
+    res.json({
+      quizId: quiz._id,
+      title: quiz.title,
+      date: quiz.date,
+      ...computeQuizAnalytics(quiz, await getAnswersByUser(quiz._id))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Anti-cheat flags for review
+ */
+export const getCheatFlags = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, quizId, status = 'open', type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (quizId) query.quiz = quizId;
+    if (status !== 'all') query.status = status;
+    if (type) query.type = type;
+
+    const flags = await CheatFlag.find(query)
+      .populate("user", "fullName username phone")
+      .populate("relatedUsers", "fullName username")
+      .populate("quiz", "title date")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await CheatFlag.countDocuments(query);
+
+    res.json({
+      flags,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Clear or confirm a flag. A participant returns to the winners once all their flags are cleared.
+ */
+export const reviewCheatFlag = async (req, res, next) => {
+  try {
+    const { status, adminNotes } = req.body;
+    if (!['open', 'cleared', 'confirmed'].includes(status)) {
+      return res.status(400).json({ message: "status must be open, cleared or confirmed" });
+    }
+
+    const flag = await CheatFlag.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status, adminNotes, reviewedBy: req.user.id, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!flag) {
+      return res.status(404).json({ message: "Flag not found" });
+    }
+
+    res.json({ success: true, flag });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Re-run the anti-cheat pass for a finished quiz
+ */
+export const rerunAntiCheat = async (req, res, next) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id).select("isCompleted");
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (!quiz.isCompleted) {
+      return res.status(400).json({ message: "Quiz has not ended yet" });
+    }
+
+    const flags = await runAntiCheatPass(quiz._id);
+    res.json({ success: true, flags });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Disputes grouped by question, most disputed first (?status=open|accepted|rejected|all, ?quizId)
+ */
+export const getQuestionDisputes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, quizId, status = 'open' } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (quizId && !mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ message: "Invalid quizId" });
+    }
+    const match = {};
+    if (quizId) match.quiz = new mongoose.Types.ObjectId(String(quizId));
+    if (status !== 'all') match.status = status;
+
+    const [groups, [{ total = 0 } = {}]] = await Promise.all([
+      QuestionDispute.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { quiz: '$quiz', questionId: '$questionId' },
+            count: { $sum: 1 },
+            reasons: { $push: '$reason' },
+            suggestedIndexes: { $push: '$suggestedIndex' },
+            descriptions: { $push: '$description' },
+            firstAt: { $min: '$createdAt' },
+            lastAt: { $max: '$createdAt' }
+          }
+        },
+        { $sort: { count: -1, lastAt: -1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) }
+      ]),
+      QuestionDispute.aggregate([
+        { $match: match },
+        { $group: { _id: { quiz: '$quiz', questionId: '$questionId' } } },
+        { $count: 'total' }
+      ])
+    ]);
+
+    const quizzes = await Quiz.find({ _id: { $in: [...new Set(groups.map(g => g._id.quiz.toString()))] } })
+      .select('title date endTime questions voidedQuestions');
+    const quizById = new Map(quizzes.map(q => [q._id.toString(), q]));
+    const tally = (values) => values
+      .filter(v => v !== undefined && v !== null)
+      .reduce((counts, v) => ({ ...counts, [v]: (counts[v] || 0) + 1 }), {});
+
+    const disputes = groups.map(group => {
+      const quiz = quizById.get(group._id.quiz.toString());
+      const question = quiz?.questions.id(group._id.questionId);
+      return {
+        quiz: quiz ? { _id: quiz._id, title: quiz.title, date: quiz.date, endTime: quiz.endTime } : { _id: group._id.quiz },
+        question: question ? {
+          _id: question._id,
+          type: question.type || 'single',
+          text: question.text,
+          options: question.options,
+          ...revealAnswer(question, (question.options || []).map((_, i) => i)),
+          explanation: question.explanation,
+          voided: quiz.voidedQuestions.some(id => id.equals(question._id))
+        } : { _id: group._id.questionId },
+        disputes: group.count,
+        reasons: tally(group.reasons),
+        suggestedIndexes: tally(group.suggestedIndexes), // canonical option -> disputes suggesting it
+        descriptions: group.descriptions.filter(Boolean).slice(-10),
+        firstAt: group.firstAt,
+        lastAt: group.lastAt
+      };
+    });
+
+    res.json({
+      disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Resolve every open dispute of a question: { action: correct|void|reject, adminNotes?, ...new answer key }.
+ * correct and void rescore the quiz, re-rank, rewrite quiz history and notify affected users.
+ * Audited and answered the same way as the live controls.
+ */
+export const resolveDisputes = (req, res, next) =>
+  runLiveControl(req, res, next, `quiz_dispute_${req.body?.action}`, () => resolveQuestionDisputes(
+    req.params.id,
+    req.params.questionId,
+    { action: req.body?.action, answerKey: req.body, adminNotes: req.body?.adminNotes, reviewedBy: req.user.id }
+  ));
+
+/**
+ * Replay the exact question/option order a participant saw, from their stored seed
+ */
+export const getParticipantPermutation = async (req, res, next) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id).select("questions settings participants");
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+
+    const participant = quiz.participants.find(p => p.user.toString() === req.params.userId);
+    if (!participant) {
+      return res.status(404).json({ message: "Participant not found" });
+    }
+
+    const permutation = buildPermutation(quiz, participant.shuffleSeed);
+    const stored = await getParticipantAnswers(quiz._id, participant.user);
+    const answers = stored.length ? stored : participant.answers || [];
+    const answersByQuestion = new Map(answers.map(a => [a.questionId?.toString(), a]));
+
+    const slots = permutation.questionOrder.map((canonicalIndex, slot) => {
+      const question = quiz.questions[canonicalIndex];
+      const optionOrder = permutation.optionOrders[canonicalIndex];
+      const answer = answersByQuestion.get(question._id.toString());
+      return {
+        slot: slot + 1,
+        questionId: question._id,
+        canonicalIndex,
+        type: question.type || 'single',
+        text: question.text,
+        contentFormat: question.contentFormat || 'plain',
+        imageUrl: question.imageUrl,
+        options: toDisplayedOptions(question.options, optionOrder),
+        optionOrder,
+        correctIndex: question.correctIndex,
+        correctIndexes: question.correctIndexes,
+        displayedAnswer: revealAnswer(question, optionOrder),
+        explanation: question.explanation,
+        answer: answer ? {
+          displayedIndex: answer.displayedIndex,
+          selectedIndex: answer.selectedIndex,
+          displayedIndexes: answer.displayedIndexes,
+          selectedIndexes: answer.selectedIndexes,
+          numericAnswer: answer.numericAnswer,
+          textAnswer: answer.textAnswer,
+          correct: answer.correct,
+          credit: answer.credit,
+          points: answer.points
+        } : null
+      };
+    });
+
+    res.json({
+      quizId: quiz._id,
+      userId: participant.user,
+      seed: participant.shuffleSeed || null,
+      shuffleQuestions: !!quiz.settings?.shuffleQuestions,
+      shuffleOptions: !!quiz.settings?.shuffleOptions,
+      slots
+    });
   } catch (err) {
     next(err);
   }
@@ -634,7 +1156,12 @@ export const deleteQuiz = async (req, res, next) => {
       return res.status(400).json({ message: "Cannot delete live quiz" });
     }
 
+    // A quiz that never ran should not keep its bank questions out of future recipes
+    if (!quiz.isCompleted) await releaseBankUsage(quiz);
+
     await quiz.deleteOne();
+    await deleteQuizAnswers(quiz._id);
+    await unscheduleQuizJobs(quiz._id.toString()).catch(() => {});
     
     res.json({ success: true, message: "Quiz deleted successfully" });
   } catch (err) {
@@ -0,0 +1,335 @@
+// backend/controllers/challengeController.js
+// Head-to-head challenges between friends. The challenger picks a short set of questions
+// (from the bank or a finished quiz) and shares the invite link; once the opponent accepts,
+// both open the challenge room and play it live (utils/challengeSession.js).
+// Users who blocked each other - either way round - cannot challenge each other.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Challenge from "../models/Challenge.js";
+import Question from "../models/Question.js";
+import Quiz from "../models/Quiz.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import { toQuizQuestion } from "./questionBankController.js";
+import { SCORING_MODES } from "../utils/quizScoring.js";
+import { DIFFICULTIES } from "../utils/questionTypes.js";
+import { isBlockedBetween, notifyUser, emitToChallenge, buildChallengeResult } from "../utils/challengeSession.js";
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const MIN_QUESTIONS = 3;
+const MAX_QUESTIONS = 20;
+const MIN_TIME_PER_QUESTION = 5;
+const MAX_TIME_PER_QUESTION = 60;
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+// Bank questions used by a quiz within this window (or scheduled for a future one) are
+// never drawn, so a challenge cannot preview a live or upcoming daily quiz
+const BANK_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const PLAYER_FIELDS = "fullName username profileImage";
+
+const createInviteCode = () => crypto.randomBytes(9).toString("base64url");
+
+const inviteUrl = (code) => `${process.env.FRONTEND_URL || ""}/challenge/${code}`;
+
+const isPlayer = (challenge, userId) =>
+  [challenge.challenger, challenge.opponent].some(u => u && (u._id || u).toString() === String(userId));
+
+/**
+ * Challenge as listed to a player - questions stay hidden until it goes live
+ */
+const challengeView = (challenge, userId) => ({
+  _id: challenge._id,
+  challenger: challenge.challenger,
+  opponent: challenge.opponent || null,
+  role: (challenge.challenger._id || challenge.challenger).toString() === String(userId) ? "challenger" : "opponent",
+  status: challenge.status,
+  source: { kind: challenge.source.kind, category: challenge.source.category, difficulty: challenge.source.difficulty },
+  totalQuestions: challenge.questions.length,
+  timePerQuestion: challenge.timePerQuestion,
+  scoringMode: challenge.scoringMode,
+  expiresAt: challenge.expiresAt,
+  winner: challenge.winner || null,
+  isDraw: challenge.isDraw,
+  createdAt: challenge.createdAt,
+  endedAt: challenge.endedAt
+});
+
+/**
+ * Sample `count` questions for a new challenge: { questions } or { error }
+ */
+const pickQuestions = async ({ source, quizId, category, difficulty, count }) => {
+  if (source === "quiz") {
+    if (!isObjectId(quizId)) return { error: "quizId is required for a quiz challenge" };
+    const quiz = await Quiz.findOne({ _id: quizId, isCompleted: true }).select("questions");
+    if (!quiz) return { error: "Only finished quizzes can be replayed as a challenge" };
+
+    const pool = quiz.questions
+      .filter(q => (!category || q.category === category) && (!difficulty || q.difficulty === difficulty))
+      .map(q => {
+        const { _id, ...fields } = q.toObject();
+        return fields;
+      });
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    if (pool.length < MIN_QUESTIONS) return { error: "Not enough questions in that quiz" };
+    return { questions: pool.slice(0, count) };
+  }
+
+  const match = {
+    active: true,
+    $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(Date.now() - BANK_COOLDOWN_MS) } }]
+  };
+  if (category) match.category = category;
+  if (difficulty) match.difficulty = difficulty;
+
+  const found = await Question.aggregate([
+    { $match: match },
+    { $sample: { size: count } },
+    { $project: { usage: 0 } }
+  ]);
+  if (found.length < MIN_QUESTIONS) return { error: "Not enough questions available for that category" };
+  return { questions: found.map(toQuizQuestion) };
+};
+
+// Create a challenge: { opponentId?, source: bank|quiz, quizId?, category?, difficulty?, count, timePerQuestion, scoringMode }
+// Without opponentId the invite link is open - the first user to accept plays.
+export const createChallenge = async (req, res) => {
+  try {
+    const {
+      opponentId, source = "bank", quizId, category, difficulty,
+      count = 5, timePerQuestion = 15, scoringMode = "time-decay"
+    } = req.body;
+
+    if (!["bank", "quiz"].includes(source)) {
+      return res.status(400).json({ message: "source must be bank or quiz" });
+    }
+    const total = parseInt(count);
+    if (!total || total < MIN_QUESTIONS || total > MAX_QUESTIONS) {
+      return res.status(400).json({ message: `count must be between ${MIN_QUESTIONS} and ${MAX_QUESTIONS}` });
+    }
+    const seconds = parseInt(timePerQuestion);
+    if (!seconds || seconds < MIN_TIME_PER_QUESTION || seconds > MAX_TIME_PER_QUESTION) {
+      return res.status(400).json({ message: `timePerQuestion must be between ${MIN_TIME_PER_QUESTION} and ${MAX_TIME_PER_QUESTION} seconds` });
+    }
+    if (!SCORING_MODES.includes(scoringMode)) {
+      return res.status(400).json({ message: `scoringMode must be one of: ${SCORING_MODES.join(", ")}` });
+    }
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({ message: `difficulty must be one of: ${DIFFICULTIES.join(", ")}` });
+    }
+
+    let opponent = null;
+    if (opponentId) {
+      if (!isObjectId(opponentId) || String(opponentId) === String(req.user.id)) {
+        return res.status(400).json({ message: "Invalid opponent" });
+      }
+      opponent = await User.findById(opponentId).select("isBanned");
+      if (!opponent || opponent.isBanned) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      if (await isBlockedBetween(req.user.id, opponentId)) {
+        return res.status(403).json({ message: "You cannot challenge this user" });
+      }
+    }
+
+    const { questions, error } = await pickQuestions({ source, quizId, category, difficulty, count: total });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const challenge = await Challenge.create({
+      challenger: req.user.id,
+      ...(opponent && { opponent: opponent._id }),
+      inviteCode: createInviteCode(),
+      source: { kind: source, ...(source === "quiz" && { quiz: quizId }), category, difficulty },
+      questions,
+      timePerQuestion: seconds,
+      scoringMode,
+      players: [{ user: req.user.id }],
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS)
+    });
+
+    // Bank draws count as seen for the quiz recipes' recent-use exclusion
+    if (source === "bank") {
+      await Question.updateMany(
+        { _id: { $in: questions.map(q => q.bankQuestion) } },
+        { $set: { lastChallengedAt: new Date() } }
+      );
+    }
+
+    if (opponent) {
+      const challenger = await User.findById(req.user.id).select(PLAYER_FIELDS);
+      const name = challenger?.fullName || challenger?.username || "A friend";
+      await Notification.create({
+        user: opponent._id,
+        title: "⚔️ New quiz challenge",
+        message: `${name} challenged you to a ${questions.length}-question quiz`,
+        type: "system"
+      });
+      notifyUser(opponent._id, "challenge-invite", {
+        challengeId: challenge._id,
+        inviteCode: challenge.inviteCode,
+        inviteUrl: inviteUrl(challenge.inviteCode),
+        from: challenger,
+        totalQuestions: questions.length,
+        expiresAt: challenge.expiresAt
+      });
+    }
+
+    res.status(201).json({
+      challenge: challengeView(challenge, req.user.id),
+      inviteCode: challenge.inviteCode,
+      inviteUrl: inviteUrl(challenge.inviteCode)
+    });
+  } catch (error) {
+    console.error("createChallenge error:", error);
+    res.status(500).json({ message: "Failed to create challenge" });
+  }
+};
+
+// Challenges the user sent or received, newest first (?status=)
+export const getMyChallenges = async (req, res) => {
+  try {
+    const filter = { $or: [{ challenger: req.user.id }, { opponent: req.user.id }] };
+    if (req.query.status) filter.status = req.query.status;
+
+    const challenges = await Challenge.find(filter)
+      .select("-players.answers -questions.correctIndex -questions.correctIndexes -questions.numericAnswer -questions.acceptedAnswers -questions.explanation")
+      .populate("challenger opponent", PLAYER_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ challenges: challenges.map(c => challengeView(c, req.user.id)) });
+  } catch (error) {
+    console.error("getMyChallenges error:", error);
+    res.status(500).json({ message: "Failed to fetch challenges" });
+  }
+};
+
+// Invite behind a link - what the invited user sees before accepting
+export const getInvite = async (req, res) => {
+  try {
+    const challenge = await Challenge.findOne({ inviteCode: req.params.code })
+      .select("challenger opponent status source questions._id timePerQuestion scoringMode expiresAt winner isDraw createdAt endedAt")
+      .populate("challenger opponent", PLAYER_FIELDS);
+    const challengerId = challenge?.challenger._id.toString();
+    const invited = challenge && (!challenge.opponent || isPlayer(challenge, req.user.id));
+    if (!invited || (challengerId !== String(req.user.id) && await isBlockedBetween(req.user.id, challengerId))) {
+      return res.status(404).json({ message: "Challenge not found" });
+    }
+
+    res.json({
+      challenge: challengeView(challenge, req.user.id),
+      canAccept: challenge.status === "pending" && challenge.expiresAt > new Date() && challengerId !== String(req.user.id)
+    });
+  } catch (error) {
+    console.error("getInvite error:", error);
+    res.status(500).json({ message: "Failed to fetch challenge" });
+  }
+};
+
+// Accept an invite; both players then open the challenge room to start
+export const acceptChallenge = async (req, res) => {
+  try {
+    const pending = await Challenge.findOne({ inviteCode: req.params.code }).select("challenger opponent status expiresAt");
+    if (!pending || (pending.opponent && pending.opponent.toString() !== String(req.user.id))) {
+      return res.status(404).json({ message: "Challenge not found" });
+    }
+    if (pending.challenger.toString() === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot accept your own challenge" });
+    }
+    if (await isBlockedBetween(req.user.id, pending.challenger)) {
+      return res.status(403).json({ message: "You cannot accept this challenge" });
+    }
+
+    // Open invites go to whoever accepts first
+    const challenge = await Challenge.findOneAndUpdate(
+      {
+        _id: pending._id,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+        $or: [{ opponent: req.user.id }, { opponent: null }]
+      },
+      { $set: { opponent: req.user.id, status: "accepted" }, $push: { players: { user: req.user.id } } },
+      { new: true }
+    ).populate("challenger opponent", PLAYER_FIELDS);
+    if (!challenge) {
+      return res.status(409).json({ message: "This challenge can no longer be accepted" });
+    }
+
+    const payload = { challengeId: challenge._id, opponent: challenge.opponent };
+    notifyUser(challenge.challenger._id, "challenge-accepted", payload);
+    res.json({ challenge: challengeView(challenge, req.user.id) });
+  } catch (error) {
+    console.error("acceptChallenge error:", error);
+    res.status(500).json({ message: "Failed to accept challenge" });
+  }
+};
+
+// Invited opponent turns the challenge down
+export const declineChallenge = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Challenge not found" });
+    }
+    const challenge = await Challenge.findOneAndUpdate(
+      { _id: req.params.id, opponent: req.user.id, status: "pending" },
+      { $set: { status: "declined" } },
+      { new: true }
+    );
+    if (!challenge) {
+      return res.status(404).json({ message: "No pending challenge to decline" });
+    }
+
+    notifyUser(challenge.challenger, "challenge-declined", { challengeId: challenge._id });
+    res.json({ message: "Challenge declined" });
+  } catch (error) {
+    console.error("declineChallenge error:", error);
+    res.status(500).json({ message: "Failed to decline challenge" });
+  }
+};
+
+// Challenger withdraws a challenge that has not started
+export const cancelChallenge = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Challenge not found" });
+    }
+    const challenge = await Challenge.findOneAndUpdate(
+      { _id: req.params.id, challenger: req.user.id, status: { $in: ["pending", "accepted"] } },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+    if (!challenge) {
+      return res.status(404).json({ message: "No open challenge to cancel" });
+    }
+
+    if (challenge.opponent) notifyUser(challenge.opponent, "challenge-cancelled", { challengeId: challenge._id });
+    emitToChallenge(challenge._id, "challenge-cancelled", { challengeId: challenge._id });
+    res.json({ message: "Challenge cancelled" });
+  } catch (error) {
+    console.error("cancelChallenge error:", error);
+    res.status(500).json({ message: "Failed to cancel challenge" });
+  }
+};
+
+// Result screen of a finished challenge - players only
+export const getChallengeResult = async (req, res) => {
+  try {
+    const challenge = isObjectId(req.params.id) ? await Challenge.findById(req.params.id) : null;
+    if (!challenge || !isPlayer(challenge, req.user.id)) {
+      return res.status(404).json({ message: "Challenge not found" });
+    }
+    if (challenge.status !== "completed") {
+      return res.status(400).json({ message: "Challenge has not finished yet" });
+    }
+
+    res.json(await buildChallengeResult(challenge));
+  } catch (error) {
+    console.error("getChallengeResult error:", error);
+    res.status(500).json({ message: "Failed to fetch challenge result" });
+  }
+};
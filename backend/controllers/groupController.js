@@ -0,0 +1,400 @@
+// backend/controllers/groupController.js
+// Classes, schools and coaching batches. A teacher creates a group and shares its join
+// code; members take the daily quizzes as usual and their results roll up into the group
+// leaderboard (alongside the winners) and the owner's per-quiz member report.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Group, { GROUP_KINDS } from "../models/Group.js";
+import Quiz from "../models/Quiz.js";
+import { getExcludedUserIds } from "../utils/antiCheat.js";
+import { getAnswersByUser } from "../utils/quizAnswers.js";
+import {
+  GROUP_SCORING_METHODS,
+  countsForStandings,
+  membershipCutoff,
+  memberAt,
+  parseGroupScoring,
+  groupScore,
+  buildGroupLeaderboard
+} from "../utils/groupLeaderboard.js";
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// No 0/O or 1/I, so codes read out in class are not mistyped
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+const createJoinCode = () => Array.from(
+  crypto.randomBytes(CODE_LENGTH),
+  byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join("");
+
+const MEMBER_FIELDS = "fullName username profileImage";
+
+/**
+ * Save a group under a fresh join code, retrying the rare collision
+ */
+const saveWithNewCode = async (group) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    group.joinCode = createJoinCode();
+    try {
+      return await group.save();
+    } catch (err) {
+      if (err.code !== 11000 || !err.keyPattern?.joinCode) throw err;
+    }
+  }
+  throw new Error("Could not generate a unique join code");
+};
+
+const isOwner = (group, userId) => group.owner.toString() === String(userId);
+const isMember = (group, userId) => group.members.some(m => (m.user?._id || m.user).toString() === String(userId));
+
+/**
+ * Group as shown to one user - the join code only to its owner
+ */
+const groupView = (group, userId) => ({
+  _id: group._id,
+  name: group.name,
+  kind: group.kind,
+  description: group.description || "",
+  owner: group.owner,
+  role: isOwner(group, userId) ? "owner" : "member",
+  memberCount: group.members.length,
+  maxMembers: group.maxMembers,
+  ...(isOwner(group, userId) && { joinCode: group.joinCode }),
+  createdAt: group.createdAt
+});
+
+/**
+ * name / kind / description from a request body: { fields } or { error }
+ */
+const parseGroupFields = (body = {}, { requireName = false } = {}) => {
+  const fields = {};
+  if (body.name !== undefined || requireName) {
+    const name = String(body.name || "").trim();
+    if (!name || name.length > 100) return { error: "Group name is required (max 100 characters)" };
+    fields.name = name;
+  }
+  if (body.kind !== undefined) {
+    if (!GROUP_KINDS.includes(body.kind)) return { error: `kind must be one of: ${GROUP_KINDS.join(", ")}` };
+    fields.kind = body.kind;
+  }
+  if (body.description !== undefined) {
+    const description = String(body.description || "").trim();
+    if (description.length > 500) return { error: "Description is too long (max 500 characters)" };
+    fields.description = description;
+  }
+  return { fields };
+};
+
+const findOwnGroup = async (req, res) => {
+  const group = isObjectId(req.params.id) ? await Group.findById(req.params.id) : null;
+  if (!group) {
+    res.status(404).json({ message: "Group not found" });
+    return null;
+  }
+  if (!isOwner(group, req.user.id)) {
+    res.status(403).json({ message: "Only the group owner can do this" });
+    return null;
+  }
+  return group;
+};
+
+// Create a group; the creator owns it and gets its join code
+export const createGroup = async (req, res) => {
+  try {
+    const { fields, error } = parseGroupFields(req.body, { requireName: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const group = await saveWithNewCode(new Group({ ...fields, owner: req.user.id }));
+    res.status(201).json({ group: groupView(group, req.user.id) });
+  } catch (error) {
+    console.error("createGroup error:", error);
+    res.status(500).json({ message: "Failed to create group" });
+  }
+};
+
+// Groups the user owns or belongs to
+export const getMyGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ $or: [{ owner: req.user.id }, { "members.user": req.user.id }] })
+      .sort({ createdAt: -1 });
+    res.json({ groups: groups.map(g => groupView(g, req.user.id)) });
+  } catch (error) {
+    console.error("getMyGroups error:", error);
+    res.status(500).json({ message: "Failed to fetch groups" });
+  }
+};
+
+// One group with its members (owner and members only)
+export const getGroup = async (req, res) => {
+  try {
+    const group = isObjectId(req.params.id) ? await Group.findById(req.params.id) : null;
+    if (!group || (!isOwner(group, req.user.id) && !isMember(group, req.user.id))) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    const view = groupView(group, req.user.id);
+    await group.populate([{ path: "owner", select: MEMBER_FIELDS }, { path: "members.user", select: MEMBER_FIELDS }]);
+    res.json({
+      group: {
+        ...view,
+        owner: group.owner,
+        members: group.members.filter(m => m.user).map(m => ({ user: m.user, joinedAt: m.joinedAt }))
+      }
+    });
+  } catch (error) {
+    console.error("getGroup error:", error);
+    res.status(500).json({ message: "Failed to fetch group" });
+  }
+};
+
+// Join a group with its code
+export const joinGroup = async (req, res) => {
+  try {
+    const joinCode = String(req.body?.code || "").trim().toUpperCase();
+    if (!joinCode) {
+      return res.status(400).json({ message: "Join code is required" });
+    }
+
+    // Membership and capacity are checked in the same write, so concurrent joins cannot overfill
+    const group = await Group.findOneAndUpdate(
+      {
+        joinCode,
+        "members.user": { $ne: req.user.id },
+        $expr: { $lt: [{ $size: "$members" }, "$maxMembers"] }
+      },
+      { $push: { members: { user: req.user.id, joinedAt: new Date() } } },
+      { new: true }
+    );
+
+    if (!group) {
+      const existing = await Group.findOne({ joinCode }).select("members.user maxMembers");
+      if (!existing) {
+        return res.status(404).json({ message: "Invalid join code" });
+      }
+      if (isMember(existing, req.user.id)) {
+        return res.status(400).json({ message: "You are already a member of this group" });
+      }
+      return res.status(400).json({ message: "This group is full" });
+    }
+
+    res.json({ message: `Joined ${group.name}`, group: groupView(group, req.user.id) });
+  } catch (error) {
+    console.error("joinGroup error:", error);
+    res.status(500).json({ message: "Failed to join group" });
+  }
+};
+
+// Leave a group
+export const leaveGroup = async (req, res) => {
+  try {
+    const result = isObjectId(req.params.id)
+      ? await Group.updateOne({ _id: req.params.id, "members.user": req.user.id }, { $pull: { members: { user: req.user.id } } })
+      : { matchedCount: 0 };
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: "You are not a member of this group" });
+    }
+    res.json({ message: "Left the group" });
+  } catch (error) {
+    console.error("leaveGroup error:", error);
+    res.status(500).json({ message: "Failed to leave group" });
+  }
+};
+
+// Owner: rename / describe a group
+export const updateGroup = async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    const { fields, error } = parseGroupFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    Object.assign(group, fields);
+    await group.save();
+    res.json({ group: groupView(group, req.user.id) });
+  } catch (error) {
+    console.error("updateGroup error:", error);
+    res.status(500).json({ message: "Failed to update group" });
+  }
+};
+
+// Owner: replace the join code (the old one stops working; members stay)
+export const resetJoinCode = async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    await saveWithNewCode(group);
+    res.json({ joinCode: group.joinCode });
+  } catch (error) {
+    console.error("resetJoinCode error:", error);
+    res.status(500).json({ message: "Failed to reset join code" });
+  }
+};
+
+// Owner: remove a member
+export const removeMember = async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    if (!isMember(group, req.params.userId)) {
+      return res.status(404).json({ message: "Member not found" });
+    }
+    await Group.updateOne({ _id: group._id }, { $pull: { members: { user: req.params.userId } } });
+    res.json({ message: "Member removed" });
+  } catch (error) {
+    console.error("removeMember error:", error);
+    res.status(500).json({ message: "Failed to remove member" });
+  }
+};
+
+// Owner: delete a group (members' own quiz results are untouched)
+export const deleteGroup = async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    await group.deleteOne();
+    res.json({ message: "Group deleted" });
+  } catch (error) {
+    console.error("deleteGroup error:", error);
+    res.status(500).json({ message: "Failed to delete group" });
+  }
+};
+
+// Owner: finished quizzes at least one member took part in, newest first
+export const getGroupQuizzes = async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { isCompleted: true, "participants.user": { $in: group.members.map(m => m.user) } };
+
+    const [quizzes, total] = await Promise.all([
+      Quiz.find(filter)
+        .select("title slotLabel date scheduledAt")
+        .sort({ date: -1, scheduledAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Quiz.countDocuments(filter)
+    ]);
+
+    res.json({ quizzes, page, totalPages: Math.ceil(total / limit), total });
+  } catch (error) {
+    console.error("getGroupQuizzes error:", error);
+    res.status(500).json({ message: "Failed to fetch group quizzes" });
+  }
+};
+
+/**
+ * Owner: how each member did in one finished quiz, the group's roll-up under every
+ * scoring method, its place on the group leaderboard (?groupMethod, ?topK) and the
+ * members' accuracy per question. Members who joined after the quiz started are left out.
+ */
+export const getGroupQuizReport = async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    const scoring = parseGroupScoring(req.query);
+    if (scoring.error) {
+      return res.status(400).json({ message: scoring.error });
+    }
+
+    const quiz = isObjectId(req.params.quizId)
+      ? await Quiz.findById(req.params.quizId).select(
+        "title slotLabel date scheduledAt startTime isCompleted questions._id questions.text questions.category participants"
+      )
+      : null;
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (!quiz.isCompleted) {
+      return res.status(400).json({ message: "The report is available once the quiz has ended" });
+    }
+
+    await group.populate("members.user", MEMBER_FIELDS);
+    const asOf = membershipCutoff(quiz);
+    const members = group.members.filter(m => m.user && memberAt(m, asOf));
+    const excluded = await getExcludedUserIds(quiz._id);
+    const participantByUser = new Map(quiz.participants.map(p => [p.user.toString(), p]));
+
+    const memberRows = members.map(({ user }) => {
+      const participant = participantByUser.get(user._id.toString());
+      let status = "absent";
+      if (participant?.paid) {
+        if (participant.disqualified) status = "disqualified";
+        else if (excluded.has(user._id.toString())) status = "under-review";
+        else if (participant.isCompleted) status = "completed";
+        else status = "incomplete";
+      }
+      const counted = status === "completed";
+      return {
+        user,
+        status,
+        score: counted ? participant.score || 0 : null,
+        rank: counted ? participant.rank || null : null,
+        correctAnswers: counted ? participant.correctAnswers || 0 : null,
+        totalQuestions: counted ? participant.totalQuestions || 0 : null,
+        accuracy: counted && participant.totalQuestions > 0
+          ? Math.round((participant.correctAnswers / participant.totalQuestions) * 10000) / 100
+          : null,
+        timeSpent: counted ? participant.timeSpent || 0 : null,
+        focusLossCount: participant?.focusLossCount || 0
+      };
+    }).sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity));
+
+    const scores = memberRows.filter(r => r.status === "completed").map(r => r.score);
+    const leaderboard = await buildGroupLeaderboard(quiz.participants.filter(p => countsForStandings(p, excluded)), scoring, asOf);
+    const standing = leaderboard.find(entry => entry.group._id.toString() === group._id.toString());
+
+    // Per-question accuracy of the members who took part (voided answers left out)
+    const answersByUser = await getAnswersByUser(quiz._id, members.map(m => m.user._id));
+    const byQuestion = new Map();
+    for (const answers of answersByUser.values()) {
+      answers.filter(a => !a.voided).forEach(a => {
+        const entry = byQuestion.get(a.questionId.toString()) || { answered: 0, correct: 0 };
+        entry.answered += 1;
+        entry.correct += a.correct ? 1 : 0;
+        byQuestion.set(a.questionId.toString(), entry);
+      });
+    }
+
+    res.json({
+      group: { _id: group._id, name: group.name, kind: group.kind, memberCount: members.length },
+      quiz: { _id: quiz._id, title: quiz.title, slotLabel: quiz.slotLabel || "", date: quiz.date, scheduledAt: quiz.scheduledAt },
+      summary: {
+        participants: scores.length,
+        absent: memberRows.filter(r => r.status === "absent").length,
+        ...Object.fromEntries(GROUP_SCORING_METHODS.map(method => [method, groupScore(scores, { ...scoring, method })])),
+        topK: scoring.topK,
+        leaderboard: standing
+          ? { method: scoring.method, rank: standing.rank, totalGroups: leaderboard.length }
+          : null
+      },
+      members: memberRows,
+      questions: quiz.questions.map((q, index) => {
+        const stats = byQuestion.get(q._id.toString()) || { answered: 0, correct: 0 };
+        return {
+          questionIndex: index + 1,
+          questionId: q._id,
+          text: q.text,
+          category: q.category,
+          ...stats,
+          accuracy: stats.answered ? Math.round((stats.correct / stats.answered) * 10000) / 100 : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error("getGroupQuizReport error:", error);
+    res.status(500).json({ message: "Failed to build group report" });
+  }
+};
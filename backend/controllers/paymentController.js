@@ -2,8 +2,11 @@
 import Razorpay from "razorpay";
 import crypto from "crypto";
 import dotenv from "dotenv";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Payment from "../models/Payment.js";
+import Quiz from "../models/Quiz.js";
+import { getSlotWindow, getSlotPhase, entryFeePaise, findQuizPayment, findDaySlots } from "../utils/quizSlots.js";
 import { createOrder as createRazorpayOrder, verifySignature, verifyWebhookSignature } from "../services/razorpayService.js";
 dotenv.config();
 
@@ -30,26 +33,35 @@ if (RAZORPAY_KEY_ID && RAZORPAY_KEY_SECRET) {
 }
 
 /**
- * Create payment order for quiz entry
+ * Create payment order for quiz entry.
+ * Payments are per quiz slot: the amount is the slot's entry fee, and orders close at its payment deadline.
  */
 export const createOrder = async (req, res) => {
   try {
-    const { amount = 500, forDate } = req.body; // Default ₹5 for quiz entry
-    
-    // Validate amount (₹5 = 500 paise)
-    if (amount < 100) {
-      return res.status(400).json({ message: "Minimum amount is ₹1 (100 paise)" });
-    }
-    
-    if (amount > 100000) {
-      return res.status(400).json({ message: "Maximum amount is ₹1000" });
+    const { quizId } = req.body;
+    if (!quizId || !mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({ message: "quizId is required" });
     }
 
-    // Get quiz date to track payment
-    let paymentForDate = new Date();
-    if (forDate) {
-      paymentForDate = new Date(forDate);
+    const quiz = await Quiz.findById(quizId).select('-questions -participants');
+    if (!quiz || !quiz.published) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (getSlotPhase(quiz) !== 'payment-open') {
+      return res.status(400).json({
+        message: "Payment deadline for this quiz has passed",
+        paymentDeadline: getSlotWindow(quiz).paymentDeadline
+      });
+    }
+    if (quiz.currentParticipants >= quiz.maxParticipants) {
+      return res.status(400).json({ message: "Quiz is full. Maximum participants reached" });
     }
+    if (await findQuizPayment(req.user.id, quiz)) {
+      return res.status(400).json({ message: "You have already paid for this quiz" });
+    }
+
+    const amount = entryFeePaise(quiz);
+    const paymentForDate = quiz.date;
 
     // If Razorpay not configured, create a DEV fallback payment immediately completed
     if (!razorpay) {
@@ -64,11 +76,13 @@ export const createOrder = async (req, res) => {
         razorpayOrderId: devOrderId,
         razorpayPaymentId: devPaymentId,
         verified: true,
+        quiz: quiz._id,
         forDate: paymentForDate,
         orderId: devOrderId,
         notes: {
           userId: req.user.id,
           purpose: "quiz_entry",
+          quizId: quiz._id.toString(),
           forDate: paymentForDate.toISOString(),
           timestamp: new Date().toISOString(),
           devMode: true
@@ -87,11 +101,17 @@ export const createOrder = async (req, res) => {
 
     // Normal live/test Razorpay flow - use service
     const receipt = `quiz_${req.user.id}_${Date.now()}`;
+    const orderNotes = {
+      userId: req.user.id,
+      purpose: "quiz_entry",
+      quizId: quiz._id.toString(),
+      forDate: paymentForDate.toISOString()
+    };
     
     let order;
     try {
       // Use Razorpay service for order creation
-      order = await createRazorpayOrder(amount, receipt);
+      order = await createRazorpayOrder(amount, receipt, orderNotes);
       console.log("✅ Razorpay order created:", order.id);
     } catch (error) {
       // Handle specific Razorpay errors
@@ -121,11 +141,13 @@ export const createOrder = async (req, res) => {
             razorpayOrderId: devOrderId,
             razorpayPaymentId: devPaymentId,
             verified: true,
+            quiz: quiz._id,
             forDate: paymentForDate,
             orderId: devOrderId,
             notes: {
               userId: req.user.id,
               purpose: "quiz_entry",
+              quizId: quiz._id.toString(),
               forDate: paymentForDate.toISOString(),
               timestamp: new Date().toISOString(),
               devMode: true,
@@ -168,11 +190,13 @@ export const createOrder = async (req, res) => {
           razorpayOrderId: devOrderId,
           razorpayPaymentId: devPaymentId,
           verified: true,
+          quiz: quiz._id,
           forDate: paymentForDate,
           orderId: devOrderId,
           notes: {
             userId: req.user.id,
             purpose: "quiz_entry",
+            quizId: quiz._id.toString(),
             forDate: paymentForDate.toISOString(),
             timestamp: new Date().toISOString(),
             devMode: true,
@@ -206,9 +230,10 @@ export const createOrder = async (req, res) => {
       currency: "INR",
       status: "pending",
       razorpayOrderId: order.id,
+      quiz: quiz._id,
       forDate: paymentForDate,
       orderId: order.id,
-      notes: options.notes
+      notes: orderNotes
     });
 
     await paymentRecord.save();
@@ -294,6 +319,7 @@ export const verifyPayment = async (req, res) => {
         date: new Date(),
         purpose: "quiz_entry",
         razorpaySignature: razorpay_signature,
+        quizId: payment.quiz,
         forDate: payment.forDate
       });
       
@@ -318,6 +344,7 @@ export const verifyPayment = async (req, res) => {
         paymentId: razorpay_payment_id,
         amount: payment.amount,
         date: payment.createdAt,
+        quizId: payment.quiz,
         forDate: payment.forDate
       }
     });
@@ -477,6 +504,7 @@ export const getPaymentHistory = async (req, res) => {
       razorpayOrderId: payment.razorpayOrderId || payment.orderId,
       razorpayPaymentId: payment.razorpayPaymentId || payment.paymentId,
       createdAt: payment.createdAt,
+      quizId: payment.quiz,
       forDate: payment.forDate,
       verified: payment.verified || false
     }));
@@ -504,8 +532,28 @@ export const getPaymentHistory = async (req, res) => {
   }
 };
 
+const paymentStatus = async (userId, quiz) => {
+  // Payment collection is the ONLY source of truth - user.paidForDates / user.payments may be stale
+  const paymentRecord = await findQuizPayment(userId, quiz);
+  return {
+    quizId: quiz._id,
+    slotLabel: quiz.slotLabel || '',
+    startsAt: getSlotWindow(quiz).startsAt,
+    paymentDeadline: getSlotWindow(quiz).paymentDeadline,
+    paymentAmount: entryFeePaise(quiz),
+    hasPaid: !!paymentRecord,
+    payment: paymentRecord ? {
+      id: paymentRecord._id,
+      amount: paymentRecord.amount,
+      status: paymentRecord.status,
+      forDate: paymentRecord.forDate,
+      createdAt: paymentRecord.createdAt
+    } : null
+  };
+};
+
 /**
- * Check if user has paid for today's quiz
+ * Check if user has paid for a quiz slot (?quizId), or for each of today's slots
  */
 export const checkQuizPayment = async (req, res) => {
   try {
@@ -514,47 +562,33 @@ export const checkQuizPayment = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
     // Set cache-control headers to prevent caching
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
 
-    // PRIMARY CHECK: Payment collection is the ONLY source of truth
-    // We do NOT check user.paidForDates or user.payments to avoid stale data
-    // This ensures that if payment records are deleted from DB, status immediately shows as not paid
-    const paymentRecord = await Payment.findOne({
-      user: req.user.id,
-      forDate: { $gte: today, $lt: tomorrow },
-      status: 'completed',
-      verified: true
-    });
+    if (req.query.quizId) {
+      const quiz = mongoose.Types.ObjectId.isValid(req.query.quizId)
+        ? await Quiz.findById(req.query.quizId).select('-questions -participants')
+        : null;
+      if (!quiz) {
+        return res.status(404).json({ message: "Quiz not found" });
+      }
 
-    if (paymentRecord) {
+      const status = await paymentStatus(req.user.id, quiz);
       return res.json({
-        hasPaidToday: true,
-        payment: {
-          id: paymentRecord._id,
-          amount: paymentRecord.amount,
-          status: paymentRecord.status,
-          forDate: paymentRecord.forDate,
-          createdAt: paymentRecord.createdAt
-        },
-        message: "Payment verified for today's quiz"
+        ...status,
+        message: status.hasPaid ? "Payment verified for this quiz" : "Payment required for this quiz"
       });
     }
 
-    // If Payment collection has no record, user has NOT paid
-    // This ensures Payment collection is the single source of truth
-    // Even if user.paidForDates or user.payments have old data, we ignore it
+    const slots = await findDaySlots(new Date(), { published: true }, '-questions -participants');
+    const statuses = await Promise.all(slots.map(quiz => paymentStatus(req.user.id, quiz)));
+
     res.json({
-      hasPaidToday: false,
-      message: "Payment required for today's quiz",
-      paymentDeadline: "7:55 PM IST"
+      hasPaidToday: statuses.some(s => s.hasPaid),
+      slots: statuses,
+      message: slots.length === 0 ? "No quiz scheduled for today" : undefined
     });
   } catch (err) {
     console.error("Check quiz payment error:", err);
@@ -0,0 +1,265 @@
+// backend/controllers/practiceController.js
+// Practice mode: completed quizzes replayed for free, at the user's own pace, with the
+// answer and explanation shown right after each question. Attempts live in PracticeAttempt
+// only - paid quizHistory, ranks and winners are never touched.
+import mongoose from "mongoose";
+import Quiz from "../models/Quiz.js";
+import PracticeAttempt from "../models/PracticeAttempt.js";
+import { toClientQuestion } from "../utils/quizSession.js";
+import { createShuffleSeed, buildPermutation, questionAtSlot } from "../utils/quizShuffle.js";
+import { evaluateAnswer, revealAnswer } from "../utils/questionTypes.js";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Questions of an attempt in its own order, options as displayed, no answer key
+ */
+const attemptQuestions = (quiz, permutation) => quiz.questions.map((_, slot) => {
+  const { question, optionOrder } = questionAtSlot(quiz, permutation, slot);
+  return { questionIndex: slot + 1, ...toClientQuestion(question, optionOrder) };
+});
+
+/**
+ * Answer, explanation and the user's own submission for one question of an attempt
+ */
+const reviewQuestion = (question, optionOrder, answer) => ({
+  ...revealAnswer(question, optionOrder),
+  explanation: question.explanation,
+  answer: answer ? {
+    displayedIndex: answer.displayedIndex,
+    displayedIndexes: answer.displayedIndexes,
+    numericAnswer: answer.numericAnswer,
+    textAnswer: answer.textAnswer,
+    correct: answer.correct,
+    credit: answer.credit,
+    points: answer.points
+  } : null
+});
+
+const attemptSummary = (attempt) => ({
+  _id: attempt._id,
+  quiz: attempt.quiz,
+  score: attempt.score,
+  correctAnswers: attempt.correctAnswers,
+  answered: attempt.answers.length,
+  totalQuestions: attempt.totalQuestions,
+  startedAt: attempt.createdAt,
+  completedAt: attempt.completedAt || null
+});
+
+const findOwnAttempt = (req) => {
+  if (!isObjectId(req.params.attemptId)) return null;
+  return PracticeAttempt.findOne({ _id: req.params.attemptId, user: req.user.id });
+};
+
+// List past quizzes available for practice, with the user's best attempt
+export const getPracticeQuizzes = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { isCompleted: true, 'questions.0': { $exists: true } };
+    const [quizzes, total] = await Promise.all([
+      Quiz.find(filter)
+        .select('title description date questions.category')
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Quiz.countDocuments(filter)
+    ]);
+
+    const attempts = await PracticeAttempt.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(req.user.id)), quiz: { $in: quizzes.map(q => q._id) } } },
+      { $group: { _id: '$quiz', attempts: { $sum: 1 }, bestScore: { $max: '$score' } } }
+    ]);
+    const attemptsByQuiz = new Map(attempts.map(a => [a._id.toString(), a]));
+
+    res.json({
+      quizzes: quizzes.map(q => ({
+        _id: q._id,
+        title: q.title,
+        description: q.description,
+        date: q.date,
+        totalQuestions: q.questions.length,
+        categories: [...new Set(q.questions.map(x => x.category).filter(Boolean))],
+        attempts: attemptsByQuiz.get(q._id.toString())?.attempts || 0,
+        bestScore: attemptsByQuiz.get(q._id.toString())?.bestScore ?? null
+      })),
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error("getPracticeQuizzes error:", error);
+    res.status(500).json({ message: "Failed to fetch practice quizzes" });
+  }
+};
+
+// Start a practice attempt on a completed quiz
+export const startPracticeAttempt = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.quizId)) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    const quiz = await Quiz.findById(req.params.quizId).select('title date isCompleted questions settings');
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (!quiz.isCompleted) {
+      return res.status(400).json({ message: "Practice opens once the quiz has ended" });
+    }
+
+    const attempt = await PracticeAttempt.create({
+      user: req.user.id,
+      quiz: quiz._id,
+      shuffleSeed: createShuffleSeed(),
+      totalQuestions: quiz.questions.length
+    });
+
+    res.status(201).json({
+      success: true,
+      attempt: attemptSummary(attempt),
+      quiz: { _id: quiz._id, title: quiz.title, date: quiz.date },
+      questions: attemptQuestions(quiz, buildPermutation(quiz, attempt.shuffleSeed))
+    });
+  } catch (error) {
+    console.error("startPracticeAttempt error:", error);
+    res.status(500).json({ message: "Failed to start practice" });
+  }
+};
+
+// Answer one question of a practice attempt - correctness and explanation come back right away
+export const submitPracticeAnswer = async (req, res) => {
+  try {
+    const { questionId, selectedIndex, selectedIndexes, value } = req.body;
+    const attempt = await findOwnAttempt(req);
+    if (!attempt) {
+      return res.status(404).json({ message: "Practice attempt not found" });
+    }
+    if (attempt.completedAt) {
+      return res.status(400).json({ message: "Practice attempt already completed" });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz).select('questions settings');
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    const index = quiz.questions.findIndex(q => q._id.toString() === String(questionId));
+    if (index < 0) {
+      return res.status(400).json({ message: "Question is not part of this quiz" });
+    }
+
+    const question = quiz.questions[index];
+    const optionOrder = buildPermutation(quiz, attempt.shuffleSeed).optionOrders[index];
+    const evaluation = evaluateAnswer(question, { selectedIndex, selectedIndexes, value }, optionOrder);
+    if (!evaluation) {
+      return res.status(400).json({ message: "Invalid answer data" });
+    }
+
+    const { correct, credit, stored } = evaluation;
+    const points = round2((question.points || 1) * credit);
+
+    // One answer per question per attempt, even under double submits
+    const updated = await PracticeAttempt.findOneAndUpdate(
+      { _id: attempt._id, completedAt: null, 'answers.questionId': { $ne: question._id } },
+      {
+        $push: { answers: { questionId: question._id, ...stored, correct, credit, points } },
+        $inc: { score: points, correctAnswers: correct ? 1 : 0 }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ message: "Question already answered" });
+    }
+
+    res.json({
+      success: true,
+      questionId: question._id,
+      correct,
+      credit,
+      points,
+      ...revealAnswer(question, optionOrder),
+      explanation: question.explanation,
+      attempt: attemptSummary(updated)
+    });
+  } catch (error) {
+    console.error("submitPracticeAnswer error:", error);
+    res.status(500).json({ message: "Failed to submit practice answer" });
+  }
+};
+
+// Finish a practice attempt
+export const completePracticeAttempt = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.attemptId)) {
+      return res.status(404).json({ message: "Practice attempt not found" });
+    }
+    const attempt = await PracticeAttempt.findOneAndUpdate(
+      { _id: req.params.attemptId, user: req.user.id, completedAt: null },
+      { $set: { completedAt: new Date() } },
+      { new: true }
+    );
+    if (!attempt) {
+      return res.status(400).json({ message: "Practice attempt not found or already completed" });
+    }
+
+    res.json({ success: true, attempt: attemptSummary(attempt) });
+  } catch (error) {
+    console.error("completePracticeAttempt error:", error);
+    res.status(500).json({ message: "Failed to complete practice" });
+  }
+};
+
+// The user's practice attempts, newest first
+export const getPracticeAttempts = async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.quizId && isObjectId(req.query.quizId)) filter.quiz = req.query.quizId;
+
+    const attempts = await PracticeAttempt.find(filter)
+      .populate('quiz', 'title date')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({ attempts: attempts.map(attemptSummary) });
+  } catch (error) {
+    console.error("getPracticeAttempts error:", error);
+    res.status(500).json({ message: "Failed to fetch practice attempts" });
+  }
+};
+
+// One attempt with every question, the user's answers and (for answered questions) the key
+export const getPracticeAttempt = async (req, res) => {
+  try {
+    const attempt = await findOwnAttempt(req);
+    if (!attempt) {
+      return res.status(404).json({ message: "Practice attempt not found" });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz).select('title date questions settings');
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+
+    const permutation = buildPermutation(quiz, attempt.shuffleSeed);
+    const answers = new Map(attempt.answers.map(a => [a.questionId.toString(), a]));
+    const questions = attemptQuestions(quiz, permutation).map(q => {
+      const answer = answers.get(q._id.toString());
+      // Unanswered questions stay hidden until the attempt is completed
+      if (!answer && !attempt.completedAt) return { ...q, answer: null };
+      const canonical = quiz.questions.findIndex(x => x._id.toString() === q._id.toString());
+      return { ...q, ...reviewQuestion(quiz.questions[canonical], permutation.optionOrders[canonical], answer) };
+    });
+
+    res.json({
+      attempt: attemptSummary(attempt),
+      quiz: { _id: quiz._id, title: quiz.title, date: quiz.date },
+      questions
+    });
+  } catch (error) {
+    console.error("getPracticeAttempt error:", error);
+    res.status(500).json({ message: "Failed to fetch practice attempt" });
+  }
+};
@@ -0,0 +1,345 @@
+// backend/controllers/questionBankController.js
+import { createRequire } from "module";
+const require = createRequire(import.meta.url);
+const csv = require("csv-parser");
+import fs from "fs";
+
+import Question from "../models/Question.js";
+import Quiz from "../models/Quiz.js";
+import { validateQuestion, questionFromCsvRow } from "../utils/questionTypes.js";
+import { parseSlotFields, startFromBody, defaultStartTime, slotError } from "../utils/quizSlots.js";
+
+// Question fields copied into a quiz's embedded snapshot
+const QUESTION_FIELDS = [
+  'type', 'text', 'options', 'correctIndex', 'correctIndexes', 'partialCredit', 'numericAnswer',
+  'tolerance', 'acceptedAnswers', 'imageUrl', 'contentFormat', 'explanation', 'category', 'difficulty', 'points'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Search text as a literal pattern - user input must not inject regex syntax
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;,]/);
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Embedded quiz question for a bank question
+ */
+export const toQuizQuestion = (bankQuestion) => ({
+  bankQuestion: bankQuestion._id,
+  ...Object.fromEntries(QUESTION_FIELDS.map(f => [f, bankQuestion[f]]))
+});
+
+/**
+ * Refresh the snapshot in every quiz that has not gone live yet, so an edit fixes
+ * every future use. Live and completed quizzes keep what participants answered.
+ * Fields are set one by one so the embedded question keeps its _id (disputes, answers
+ * and permutations refer to it).
+ */
+const syncUpcomingQuizzes = async (bankQuestion) => {
+  const fields = Object.entries(toQuizQuestion(bankQuestion)).map(([field, value]) => [`questions.$[q].${field}`, value]);
+  const update = { $set: Object.fromEntries(fields.filter(([, value]) => value !== undefined)) };
+  // Fields the edit removed (e.g. numericAnswer after a type change) must not linger
+  const removed = fields.filter(([, value]) => value === undefined);
+  if (removed.length > 0) update.$unset = Object.fromEntries(removed.map(([path]) => [path, 1]));
+
+  const result = await Quiz.updateMany(
+    { isLive: false, isCompleted: false, 'questions.bankQuestion': bankQuestion._id },
+    update,
+    { arrayFilters: [{ 'q.bankQuestion': bankQuestion._id }] }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Drop a quiz that never ran from its bank questions' usage history
+ */
+export const releaseBankUsage = async (quiz) => {
+  const ids = quiz.questions.map(q => q.bankQuestion).filter(Boolean);
+  if (ids.length === 0) return;
+
+  await Question.updateMany(
+    { _id: { $in: ids } },
+    { $pull: { usage: { quiz: quiz._id } }, $inc: { usageCount: -1 } }
+  );
+  await Question.updateMany(
+    { _id: { $in: ids } },
+    [{ $set: { lastUsedAt: { $max: '$usage.usedAt' } } }]
+  );
+};
+
+/**
+ * List bank questions with filters
+ */
+export const listQuestions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, category, difficulty, type, tag, search, archived } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { active: archived !== 'true' };
+    if (category) query.category = category;
+    if (difficulty) query.difficulty = difficulty;
+    if (type) query.type = type;
+    if (tag) query.tags = { $all: normalizeTags(tag) };
+    if (search) query.text = { $regex: escapeRegex(search), $options: 'i' };
+
+    const questions = await Question.find(query)
+      .select("-usage")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Question.countDocuments(query);
+
+    res.json({
+      questions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Add one question, or many via { questions: [...] }
+ */
+export const createQuestions = async (req, res, next) => {
+  try {
+    const inputs = Array.isArray(req.body.questions) ? req.body.questions : [req.body];
+
+    const docs = [];
+    for (let i = 0; i < inputs.length; i++) {
+      const { question, error } = validateQuestion(inputs[i] || {});
+      if (error) {
+        return res.status(400).json({ message: `Question ${i + 1} invalid: ${error}` });
+      }
+      docs.push({ ...question, tags: normalizeTags(inputs[i].tags), createdBy: req.user.id });
+    }
+
+    const questions = await Question.insertMany(docs);
+    res.status(201).json({ success: true, count: questions.length, questions });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Import bank questions from the quiz CSV format plus a `tags` column ("math;algebra")
+ */
+export const importQuestionsCSV = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "CSV file required" });
+    }
+
+    const docs = [];
+    const errors = [];
+    let rowCount = 0;
+
+    fs.createReadStream(req.file.path)
+      .pipe(csv())
+      .on("data", (data) => {
+        rowCount++;
+        if (!data.question || !data.correctAnswer) {
+          errors.push(`Row ${rowCount}: Missing required fields`);
+          return;
+        }
+
+        const { question, error } = questionFromCsvRow(data);
+        if (error) {
+          errors.push(`Row ${rowCount}: ${error}`);
+          return;
+        }
+        docs.push({ ...question, tags: normalizeTags(data.tags), createdBy: req.user.id });
+      })
+      .on("end", async () => {
+        fs.unlinkSync(req.file.path);
+        if (errors.length > 0) {
+          return res.status(400).json({ message: "CSV validation errors", errors });
+        }
+        if (docs.length === 0) {
+          return res.status(400).json({ message: "No valid questions found in CSV" });
+        }
+
+        try {
+          const questions = await Question.insertMany(docs);
+          res.status(201).json({ success: true, count: questions.length });
+        } catch (insertError) {
+          next(insertError);
+        }
+      })
+      .on("error", (error) => {
+        fs.unlinkSync(req.file.path);
+        next(error);
+      });
+  } catch (err) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    next(err);
+  }
+};
+
+/**
+ * Edit a bank question and refresh it in upcoming quizzes
+ */
+export const updateQuestion = async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const current = Object.fromEntries(QUESTION_FIELDS.map(f => [f, question[f]]));
+    const { question: validated, error } = validateQuestion({ ...current, ...req.body });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Setting every field clears answer keys left over from a type change
+    QUESTION_FIELDS.forEach(f => question.set(f, validated[f]));
+    if (req.body.tags !== undefined) question.tags = normalizeTags(req.body.tags);
+    await question.save();
+
+    const upcomingQuizzesUpdated = await syncUpcomingQuizzes(question);
+
+    res.json({ success: true, question, upcomingQuizzesUpdated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Archive a bank question - past quizzes keep their snapshot, recipes stop picking it
+ */
+export const archiveQuestion = async (req, res, next) => {
+  try {
+    const question = await Question.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: false } },
+      { new: true }
+    );
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    res.json({ success: true, message: "Question archived" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Build a quiz from a recipe of bank picks, e.g.
+ * { recipe: [{ count: 10, category: "general knowledge", difficulty: "easy" },
+ *            { count: 5, category: "math", difficulty: "hard", tags: ["algebra"] }],
+ *   excludeUsedWithinDays: 60 }
+ * excludeUsedWithinDays skips questions used in a quiz or drawn into a challenge that recently.
+ */
+export const assembleQuiz = async (req, res, next) => {
+  try {
+    const {
+      title, description, scheduleType, scoringMode, scoringOptions,
+      recipe, excludeUsedWithinDays = 0
+    } = req.body;
+
+    if (!title || !Array.isArray(recipe) || recipe.length === 0) {
+      return res.status(400).json({ message: "Title and recipe array required" });
+    }
+
+    // Slot settings: duration, payment deadline, entry fee, capacity, timezone, timeline offsets.
+    // Start: scheduledAt, or startDate/startTime in the quiz's timezone, else today's default start there.
+    const { fields: slotFields, error: slotFieldError } = parseSlotFields(req.body);
+    const { startsAt, error: startError } = startFromBody(req.body, slotFields?.timezone);
+    const scheduleDate = startsAt || defaultStartTime(slotFields?.timezone);
+    const slotProblem = slotFieldError || startError || slotError({ scheduledAt: scheduleDate, ...slotFields });
+    if (slotProblem) {
+      return res.status(400).json({ message: slotProblem });
+    }
+
+    const days = Number(excludeUsedWithinDays) || 0;
+    const cutoff = days > 0 ? new Date(scheduleDate.getTime() - days * DAY_MS) : null;
+
+    const picked = [];
+    const shortfalls = [];
+    for (let i = 0; i < recipe.length; i++) {
+      const line = recipe[i] || {};
+      const count = parseInt(line.count);
+      if (!count || count < 1) {
+        return res.status(400).json({ message: `Recipe line ${i + 1}: count must be a positive number` });
+      }
+
+      const match = { active: true, _id: { $nin: picked.map(q => q._id) } };
+      if (line.category) match.category = line.category;
+      if (line.difficulty) match.difficulty = line.difficulty;
+      if (line.type) match.type = line.type;
+      if (line.tags) match.tags = { $all: normalizeTags(line.tags) };
+      // Seen recently in a quiz or a challenge
+      if (cutoff) {
+        match.$and = [
+          { $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: cutoff } }] },
+          { $or: [{ lastChallengedAt: null }, { lastChallengedAt: { $lt: cutoff } }] }
+        ];
+      }
+
+      const found = await Question.aggregate([
+        { $match: match },
+        { $sample: { size: count } },
+        { $project: { usage: 0 } }
+      ]);
+      if (found.length < count) {
+        shortfalls.push({ line: i + 1, wanted: count, available: found.length });
+      }
+      picked.push(...found);
+    }
+
+    if (shortfalls.length > 0) {
+      return res.status(400).json({ message: "Not enough unused bank questions for this recipe", shortfalls });
+    }
+
+    const quiz = await Quiz.create({
+      title,
+      description: description || "",
+      questions: picked.map(toQuizQuestion),
+      date: scheduleDate,
+      scheduledAt: scheduleDate,
+      scheduleType: scheduleType || 'daily',
+      published: false,
+      totalQuestions: picked.length,
+      timePerQuestion: 15,
+      scoringMode: scoringMode || 'flat',
+      ...slotFields,
+      ...(scoringOptions && { scoringOptions })
+    });
+
+    await Question.updateMany(
+      { _id: { $in: picked.map(q => q._id) } },
+      {
+        $push: { usage: { quiz: quiz._id, usedAt: scheduleDate } },
+        $inc: { usageCount: 1 },
+        $max: { lastUsedAt: scheduleDate }
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      quiz: {
+        _id: quiz._id,
+        title: quiz.title,
+        totalQuestions: quiz.totalQuestions,
+        scheduledAt: quiz.scheduledAt,
+        createdAt: quiz.createdAt
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
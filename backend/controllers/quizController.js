@@ -1,28 +1,62 @@
 // backend/controllers/quizController.js
+import mongoose from "mongoose";
 import Quiz from "../models/Quiz.js";
 import User from "../models/User.js";
 import Payment from "../models/Payment.js";
+import QuestionDispute, { DISPUTE_REASONS } from "../models/QuestionDispute.js";
+import { recordAnswer, completeParticipant, compareStandings, toClientQuestion } from "../utils/quizSession.js";
+import {
+  createShuffleSeed, buildPermutation, questionAtSlot, toCanonicalOption, toDisplayedOption
+} from "../utils/quizShuffle.js";
+import { explainScore } from "../utils/quizScoring.js";
+import { HIDDEN_ANSWER_SELECT, revealAnswer } from "../utils/questionTypes.js";
+import { getExcludedUserIds } from "../utils/antiCheat.js";
+import { getAnswersByUser, getParticipantAnswers, answersOf, totalsFromAnswers, participantTotals } from "../utils/quizAnswers.js";
+import {
+  getSlotWindow,
+  getSlotPhase,
+  entryFeePaise,
+  slotSummary,
+  findDaySlots,
+  pickCurrentSlot,
+  findQuizPayment,
+  reserveSlotPlace,
+  quizTimeZone
+} from "../utils/quizSlots.js";
+import { formatZonedTime } from "../utils/timezone.js";
+import { countsForStandings, membershipCutoff, parseGroupScoring, buildGroupLeaderboard } from "../utils/groupLeaderboard.js";
+import { DISPUTE_WINDOW_HOURS, disputeWindowOpen, isQuestionVoided } from "../utils/quizRegrade.js";
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * The slot a request asks for (?quizId / body.quizId), else today's current published slot
+ */
+const findRequestedSlot = async (quizId, select) => {
+  if (quizId) return isObjectId(quizId) ? Quiz.findById(quizId).select(select) : null;
+  return pickCurrentSlot(await findDaySlots(new Date(), { published: true }, select));
+};
 
-// Get today's quiz information
+// Get today's quiz slots, with the requested (?quizId) or current slot in full
 export const getTodayQuiz = async (req, res) => {
   try {
     res.set('Cache-Control', 'no-store');
-    const today = new Date();
-    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 0, 0, 0);
-    const end = new Date(start);
-    end.setDate(start.getDate() + 1);
-
-    const quiz = await Quiz.findOne({ 
-      date: { $gte: start, $lt: end } 
-    }).select("-questions.correctIndex");
+    const slots = await findDaySlots(new Date(), {}, HIDDEN_ANSWER_SELECT);
 
-    if (!quiz) {
+    if (slots.length === 0) {
       return res.json({ 
         exists: false, 
         message: "No quiz scheduled for today" 
       });
     }
 
+    const quiz = req.query.quizId
+      ? slots.find(q => q._id.toString() === String(req.query.quizId))
+      : pickCurrentSlot(slots);
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz slot not found for today" });
+    }
+
     // Check if user has already participated
     const userParticipated = quiz.participants.some(p => 
       p.user.toString() === req.user?.id?.toString()
@@ -30,30 +64,37 @@ export const getTodayQuiz = async (req, res) => {
 
     // Attach current user's participant state for better UI decisions
     const currentParticipant = quiz.participants.find(p => p.user.toString() === req.user?.id?.toString());
+    // Totals are only written onto the participant when the quiz ends; while live they come from the answers
+    const participantScore = currentParticipant && quiz.isLive
+      ? participantTotals(currentParticipant, totalsFromAnswers(await getParticipantAnswers(quiz._id, currentParticipant.user)))
+      : currentParticipant;
 
     res.json({ 
       exists: true, 
+      slots: slots.map(slot => ({
+        ...slotSummary(slot),
+        userParticipated: slot.participants.some(p => p.user.toString() === req.user?.id?.toString())
+      })),
       quiz: {
-        _id: quiz._id,
+        ...slotSummary(quiz),
         date: quiz.date,
         startTime: quiz.startTime,
         endTime: quiz.endTime,
-        isLive: quiz.isLive,
-        isCompleted: quiz.isCompleted,
         totalQuestions: quiz.totalQuestions,
         timePerQuestion: quiz.timePerQuestion,
-        currentParticipants: quiz.currentParticipants,
-        maxParticipants: quiz.maxParticipants,
         userParticipated,
         participant: currentParticipant ? {
           isCompleted: !!currentParticipant.isCompleted,
-          score: currentParticipant.score || 0,
-          correctAnswers: currentParticipant.correctAnswers || 0,
-          totalQuestions: currentParticipant.totalQuestions || 0,
+          score: participantScore.score || 0,
+          correctAnswers: participantScore.correctAnswers || 0,
+          totalQuestions: participantScore.totalQuestions || 0,
         } : null,
         questions: quiz.questions.map(q => ({
           _id: q._id,
+          type: q.type || 'single',
           text: q.text,
+          contentFormat: q.contentFormat || 'plain',
+          imageUrl: q.imageUrl,
           options: q.options,
           category: q.category,
           difficulty: q.difficulty,
@@ -67,15 +108,7 @@ export const getTodayQuiz = async (req, res) => {
   }
 };
 
-// Helper function to check IST time
-function getISTTime() {
-  const now = new Date();
-  const nowUTC = now.getTime() + now.getTimezoneOffset() * 60000;
-  const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
-  return new Date(nowUTC + IST_OFFSET_MS);
-}
-
-// Check if user can enter quiz (payment verification)
+// Check if user can enter a quiz slot (?quizId, default today's current slot)
 export const checkQuizEligibility = async (req, res) => {
   try {
     res.set('Cache-Control', 'no-store');
@@ -84,98 +117,73 @@ export const checkQuizEligibility = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check IST time - payment deadline is 7:55 PM IST
-    const nowIST = getISTTime();
-    const paymentDeadline = new Date(nowIST.getFullYear(), nowIST.getMonth(), nowIST.getDate(), 19, 55, 0, 0);
-    const quizStartTime = new Date(nowIST.getFullYear(), nowIST.getMonth(), nowIST.getDate(), 20, 0, 0, 0);
-    const quizEndTime = new Date(nowIST.getFullYear(), nowIST.getMonth(), nowIST.getDate(), 20, 30, 0, 0);
-    
-    // Check if it's before payment deadline
-    if (nowIST < paymentDeadline) {
-      const minutesLeft = Math.ceil((paymentDeadline.getTime() - nowIST.getTime()) / 60000);
+    const quiz = await findRequestedSlot(req.query.quizId, '-questions');
+    if (!quiz) {
       return res.json({ 
         eligible: false, 
-        message: `Payment must be completed before 7:55 PM IST. ${minutesLeft} minutes remaining.`,
-        paymentDeadline: paymentDeadline.toISOString(),
-        paymentAmount: 500 // ₹5 = 500 paise
+        message: "No quiz scheduled" 
       });
     }
 
-    // Check if user has paid for today's quiz
-    const today = new Date();
-    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    
-    // Prefer Payment collection; fallback to user.payments
-    const paymentRecord = await Payment.findOne({
-      user: req.user.id,
-      forDate: { $gte: todayStart, $lt: new Date(todayStart.getTime() + 86400000) },
-      status: 'completed',
-      verified: true
-    });
+    const now = Date.now();
+    const { startsAt, paymentDeadline } = getSlotWindow(quiz);
+    const slot = slotSummary(quiz, now);
+    const deadlineLabel = formatZonedTime(paymentDeadline, quizTimeZone(quiz));
 
-    let hasPaidToday = !!paymentRecord;
-    if (!hasPaidToday) {
-      hasPaidToday = (user.payments || []).some(payment => {
-        const paymentDate = new Date(payment.date);
-        return paymentDate >= todayStart && (payment.amount >= 5);
+    if (getSlotPhase(quiz, now) === 'ended') {
+      return res.json({
+        eligible: false,
+        message: "This quiz has ended. Check winners page for results.",
+        quizEnded: true,
+        quiz: slot
       });
     }
 
-    // Check if payment was made before deadline (if quiz hasn't started yet)
-    if (hasPaidToday && paymentRecord && nowIST < quizStartTime) {
-      const paymentTime = new Date(paymentRecord.createdAt || paymentRecord.forDate);
-      const paymentTimeIST = new Date(paymentTime.getTime() + paymentTime.getTimezoneOffset() * 60000 + (5.5 * 60 * 60 * 1000));
-      
-      if (paymentTimeIST > paymentDeadline) {
-        return res.json({ 
-          eligible: false, 
-          message: "Payment was made after the 7:55 PM deadline. You cannot participate in today's quiz.",
-          paymentDeadline: paymentDeadline.toISOString()
-        });
-      }
-    }
+    const paymentRecord = await findQuizPayment(req.user.id, quiz);
 
-    if (!hasPaidToday) {
-      // If after deadline, show different message
-      if (nowIST >= paymentDeadline && nowIST < quizStartTime) {
+    if (!paymentRecord) {
+      if (now > paymentDeadline) {
         return res.json({ 
           eligible: false, 
-          message: "Payment deadline has passed (7:55 PM IST). You cannot join today's quiz.",
+          message: `Payment deadline (${deadlineLabel}) has passed. You cannot join this quiz.`,
           paymentDeadline: paymentDeadline.toISOString(),
-          paymentAmount: 500 
+          quiz: slot
         });
       }
+      const minutesLeft = Math.ceil((paymentDeadline.getTime() - now) / 60000);
       return res.json({ 
         eligible: false, 
-        message: "Payment required to participate in quiz",
-        paymentAmount: 500 
+        message: `Payment required to participate in quiz. Pay before ${deadlineLabel} (${minutesLeft} minutes left).`,
+        paymentDeadline: paymentDeadline.toISOString(),
+        paymentAmount: entryFeePaise(quiz),
+        quiz: slot
       });
     }
 
-    // Check if quiz is live or about to start
-    const isQuizTime = nowIST >= quizStartTime && nowIST <= quizEndTime;
-    const isBeforeQuiz = nowIST < quizStartTime;
-    const isAfterQuiz = nowIST > quizEndTime;
-
-    if (isAfterQuiz) {
-      return res.json({
-        eligible: false,
-        message: "Today's quiz has ended. Check winners page for results.",
-        quizEnded: true
+    // Orders created after the slot's deadline do not count
+    if (new Date(paymentRecord.createdAt) > paymentDeadline) {
+      return res.json({ 
+        eligible: false, 
+        message: `Payment was made after the ${deadlineLabel} deadline. You cannot participate in this quiz.`,
+        paymentDeadline: paymentDeadline.toISOString(),
+        quiz: slot
       });
     }
 
-    if (!isQuizTime && !isBeforeQuiz) {
-      return res.json({ 
-        eligible: false, 
-        message: "Quiz is not live yet. Quiz runs from 8:00 PM to 8:30 PM IST",
-        nextQuizTime: quizStartTime.toISOString()
+    const alreadyEntered = quiz.participants.some(p => p.user.toString() === req.user.id.toString());
+    if (!alreadyEntered && quiz.currentParticipants >= quiz.maxParticipants) {
+      return res.json({
+        eligible: false,
+        message: "Quiz is full. Maximum participants reached",
+        quiz: slot
       });
     }
 
     res.json({ 
       eligible: true, 
-      message: "User is eligible to participate" 
+      message: "User is eligible to participate",
+      startsAt: startsAt.toISOString(),
+      quiz: slot
     });
   } catch (error) {
     console.error("checkQuizEligibility error:", error);
@@ -183,6 +191,47 @@ export const checkQuizEligibility = async (req, res) => {
   }
 };
 
+/**
+ * Development only: a completed test payment for one slot, so quizzes can be played
+ * without Razorpay
+ */
+const createTestPayment = async (user, quiz) => {
+  const payment = await Payment.create({
+    user: user._id,
+    amount: quiz.entryFee ?? 5,
+    currency: 'INR',
+    status: 'completed',
+    verified: true,
+    razorpayOrderId: 'test_order_' + Date.now(),
+    razorpayPaymentId: 'test_payment_' + Date.now(),
+    razorpaySignature: 'test_signature_' + Date.now(),
+    quiz: quiz._id,
+    forDate: quiz.date,
+    orderId: 'test_order_' + Date.now(),
+    notes: {
+      purpose: 'quiz_entry',
+      quizId: quiz._id.toString(),
+      test: true
+    }
+  });
+
+  user.payments = user.payments || [];
+  user.payments.push({
+    orderId: payment.razorpayOrderId,
+    paymentId: payment.razorpayPaymentId,
+    amount: payment.amount,
+    currency: 'INR',
+    status: 'completed',
+    date: new Date(),
+    purpose: 'quiz_entry',
+    razorpaySignature: payment.razorpaySignature,
+    quizId: quiz._id,
+    forDate: payment.forDate
+  });
+  await user.save();
+  console.log('✅ Test payment created for user:', user.fullName);
+};
+
 // Enter quiz (register participant)
 export const enterQuiz = async (req, res) => {
   try {
@@ -195,82 +244,7 @@ export const enterQuiz = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    // Check Payment model
-    const paymentRecord = await Payment.findOne({
-      user: userId,
-      forDate: { $gte: today, $lt: tomorrow },
-      status: 'completed',
-      verified: true
-    });
-
-    // Check if user has paid
-    let hasPaid = !!paymentRecord;
-    if (!hasPaid && user.paidForDates && user.paidForDates.length > 0) {
-      hasPaid = user.paidForDates.some(date => {
-        const d = new Date(date);
-        return d >= today && d < tomorrow;
-      });
-    }
-
-    // For testing purposes, create a test payment if user hasn't paid
-    if (!hasPaid) {
-      console.log('Creating test payment for user:', user.fullName);
-      
-      // Create a test payment
-      const testPayment = new Payment({
-        user: userId,
-        amount: 5, // ₹5
-        currency: 'INR',
-        status: 'completed',
-        verified: true,
-        razorpayOrderId: 'test_order_' + Date.now(),
-        razorpayPaymentId: 'test_payment_' + Date.now(),
-        razorpaySignature: 'test_signature_' + Date.now(),
-        forDate: today,
-        orderId: 'test_order_' + Date.now(),
-        notes: {
-          purpose: 'quiz_entry',
-          test: true
-        }
-      });
-      
-      await testPayment.save();
-      
-      // Update user's paidForDates
-      if (!user.paidForDates) {
-        user.paidForDates = [];
-      }
-      if (!user.paidForDates.includes(today)) {
-        user.paidForDates.push(today);
-      }
-      
-      // Add to user's payments array
-      if (!user.payments) {
-        user.payments = [];
-      }
-      user.payments.push({
-        orderId: testPayment.razorpayOrderId,
-        paymentId: testPayment.razorpayPaymentId,
-        amount: testPayment.amount,
-        currency: 'INR',
-        status: 'completed',
-        date: new Date(),
-        purpose: 'quiz_entry',
-        razorpaySignature: testPayment.razorpaySignature,
-        forDate: testPayment.forDate
-      });
-      
-      await user.save();
-      hasPaid = true;
-      console.log('✅ Test payment created for user:', user.fullName);
-    }
-
-    const quiz = await Quiz.findById(quizId);
+    const quiz = isObjectId(quizId) ? await Quiz.findById(quizId).select('-questions') : null;
     if (!quiz) {
       return res.status(404).json({ message: "Quiz not found" });
     }
@@ -280,6 +254,22 @@ export const enterQuiz = async (req, res) => {
       return res.status(403).json({ message: "Quiz is not available yet" });
     }
 
+    // Payment is per slot
+    const paymentRecord = await findQuizPayment(userId, quiz);
+    const { paymentDeadline } = getSlotWindow(quiz);
+    if (paymentRecord && new Date(paymentRecord.createdAt) > paymentDeadline) {
+      return res.status(403).json({ message: "Payment was made after the deadline for this quiz" });
+    }
+
+    // Development only: entering unpaid creates a test payment, once a place is taken
+    const testPayment = !paymentRecord && process.env.NODE_ENV === 'development';
+    if (!paymentRecord && !testPayment) {
+      return res.status(403).json({ message: "Payment required for this quiz" });
+    }
+    if (testPayment && Date.now() > paymentDeadline.getTime()) {
+      return res.status(403).json({ message: "Payment deadline for this quiz has passed" });
+    }
+
     // Check if user already participated
     const existingParticipant = quiz.participants.find(p => 
       p.user.toString() === userId
@@ -305,8 +295,8 @@ export const enterQuiz = async (req, res) => {
       });
     }
 
-    // Check if quiz is at capacity
-    if (quiz.currentParticipants >= quiz.maxParticipants) {
+    // Take a place in the slot - atomic, so concurrent entries cannot overfill it
+    if (!(await reserveSlotPlace(quiz._id))) {
       return res.status(400).json({ 
         message: "Quiz is full. Maximum participants reached" 
       });
@@ -314,10 +304,12 @@ export const enterQuiz = async (req, res) => {
 
     // Add participant with payment verification
     const participant = {
+      _id: new mongoose.Types.ObjectId(),
       user: userId,
       startTime: new Date(),
       joinTime: new Date(),
       paid: true, // User has verified payment
+      shuffleSeed: createShuffleSeed(),
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.headers['user-agent'],
       deviceInfo: {
@@ -327,14 +319,23 @@ export const enterQuiz = async (req, res) => {
       }
     };
 
-    quiz.participants.push(participant);
-    quiz.currentParticipants += 1;
-    await quiz.save();
+    const added = await Quiz.updateOne(
+      { _id: quiz._id, 'participants.user': { $ne: userId } },
+      { $push: { participants: participant } }
+    );
+    if (added.modifiedCount === 0) {
+      // A parallel request entered first - give the place back
+      await Quiz.updateOne({ _id: quiz._id }, { $inc: { currentParticipants: -1 } });
+      return res.status(400).json({ 
+        message: "You have already participated in this quiz" 
+      });
+    }
+    if (testPayment) await createTestPayment(user, quiz);
 
     res.json({ 
       success: true, 
       message: "Successfully entered quiz",
-      participantId: quiz.participants[quiz.participants.length - 1]._id,
+      participantId: participant._id,
       quiz: {
         _id: quiz._id,
         isLive: quiz.isLive,
@@ -348,84 +349,24 @@ export const enterQuiz = async (req, res) => {
   }
 };
 
-// Submit answer (real-time via Socket.IO)
+// Submit answer (REST fallback for the socket submit-answer event)
 export const submitAnswer = async (req, res) => {
   try {
-    const { quizId, questionId, selectedIndex, timeTaken } = req.body;
-    const userId = req.user.id;
-
-    const quiz = await Quiz.findById(quizId);
-    if (!quiz) {
-      return res.status(404).json({ message: "Quiz not found" });
-    }
-
-    const participant = quiz.participants.find(p => 
-      p.user.toString() === userId
-    );
-
-    if (!participant) {
-      return res.status(400).json({ message: "User not registered for this quiz" });
-    }
-
-    // Check if user already answered this question
-    const existingAnswer = participant.answers.find(a => 
-      a.questionId.toString() === questionId
-    );
-
-    if (existingAnswer) {
-      return res.status(400).json({ message: "Question already answered" });
-    }
-
-    // Find the question to get correct answer
-    const question = quiz.questions.find(q => 
-      q._id.toString() === questionId
-    );
-
-    if (!question) {
-      return res.status(404).json({ message: "Question not found" });
-    }
-
-    // Server-side timing enforcement similar to socket handler
-    const now = Date.now();
-    const questionStartTime = quiz.questionStartTime?.getTime() || 0;
-    const elapsed = (now - questionStartTime) / 1000;
-    if (elapsed > quiz.timePerQuestion + 1) {
-      return res.status(400).json({ message: "Time limit exceeded" });
-    }
-    if (elapsed < 0.5) {
-      return res.status(400).json({ message: "Answer submitted too quickly" });
-    }
-
-    // Calculate score
-    const isCorrect = selectedIndex === question.correctIndex;
-    const points = isCorrect ? question.points : 0;
-
-    // Add answer
-    participant.answers.push({
-      questionId,
-      selectedIndex,
-      correct: isCorrect,
-      timeTaken: Math.round(elapsed),
-      points,
-      submittedAt: new Date(),
-      serverTimeReceived: new Date()
-    });
-
-    // Update participant stats
-    participant.score += points;
-    participant.totalQuestions += 1;
-    if (isCorrect) participant.correctAnswers += 1;
-    participant.timeSpent += Math.round(elapsed);
-
-    await quiz.save();
+    const { quizId, questionId, selectedIndex, selectedIndexes, value } = req.body;
+    const result = await recordAnswer({ quizId, userId: req.user.id, questionId, selectedIndex, selectedIndexes, value });
 
     res.json({ 
       success: true, 
-      correct: isCorrect,
-      points,
-      totalScore: participant.score
+      correct: result.correct,
+      credit: result.credit,
+      points: result.points,
+      scoreBreakdown: result.scoreBreakdown,
+      totalScore: result.totalScore
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("submitAnswer error:", error);
     res.status(500).json({ message: "Failed to submit answer" });
   }
@@ -435,150 +376,145 @@ export const submitAnswer = async (req, res) => {
 export const completeQuiz = async (req, res) => {
   try {
     const { quizId } = req.body;
-    const userId = req.user.id;
-
-    const quiz = await Quiz.findById(quizId);
-    if (!quiz) {
-      return res.status(404).json({ message: "Quiz not found" });
-    }
-
-    const participant = quiz.participants.find(p => 
-      p.user.toString() === userId
-    );
-
-    if (!participant) {
-      return res.status(400).json({ message: "User not registered for this quiz" });
-    }
-
-    if (participant.isCompleted) {
-      return res.status(400).json({ message: "Quiz already completed" });
-    }
-
-    // Mark as completed
-    participant.isCompleted = true;
-    participant.endTime = new Date();
-
-    // Calculate rank
-    const sortedParticipants = quiz.participants
-      .filter(p => p.isCompleted)
-      .sort((a, b) => b.score - a.score || a.timeSpent - b.timeSpent);
-
-    const rank = sortedParticipants.findIndex(p => 
-      p.user.toString() === userId
-    ) + 1;
-
-    participant.rank = rank;
-
-    await quiz.save();
-
-    // Update user's quiz history
-    const user = await User.findById(userId);
-    if (user) {
-      // Check if this quiz is already in history
-      const existingHistory = user.quizHistory.find(h => 
-        h.quizId && h.quizId.toString() === quiz._id.toString()
-      );
-      
-      if (!existingHistory) {
-        user.quizHistory.push({
-          quizId: quiz._id,
-          score: participant.score,
-          date: quiz.date || new Date(),
-          rank: rank,
-          correctAnswers: participant.correctAnswers,
-          totalQuestions: participant.totalQuestions,
-          timeSpent: participant.timeSpent
-        });
-        await user.save();
-      } else {
-        // Update existing history entry
-        existingHistory.score = participant.score;
-        existingHistory.rank = rank;
-        existingHistory.correctAnswers = participant.correctAnswers;
-        existingHistory.totalQuestions = participant.totalQuestions;
-        existingHistory.timeSpent = participant.timeSpent;
-        await user.save();
-      }
-    }
+    const result = await completeParticipant({ quizId, userId: req.user.id });
 
     res.json({ 
       success: true, 
       message: "Quiz completed successfully",
-      score: participant.score,
-      correctAnswers: participant.correctAnswers,
-      totalQuestions: participant.totalQuestions,
-      rank: rank,
-      timeSpent: participant.timeSpent
+      ...result
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("completeQuiz error:", error);
     res.status(500).json({ message: "Failed to complete quiz" });
   }
 };
 
-// Get winners for a specific date
+const WINNER_USER_FIELDS = "fullName username phone profileImage";
+
+/**
+ * Top 20 groups of a quiz as returned with the winners
+ */
+const groupBoard = (groups, { method = 'average', topK } = {}) => ({
+  method,
+  ...(method === 'top-k' && { topK }),
+  totalGroups: groups.length,
+  groups: groups.slice(0, 20)
+});
+
+/**
+ * Top 20 of one quiz slot - paid and completed, holding back anyone with an unreviewed anti-cheat flag
+ */
+const buildWinners = async (quiz, groupScoring = {}) => {
+  const excluded = await getExcludedUserIds(quiz._id);
+  const completedParticipants = quiz.participants.filter(p => countsForStandings(p, excluded));
+  
+  if (completedParticipants.length === 0) {
+    return { 
+      winners: [], 
+      groupLeaderboard: groupBoard([], groupScoring),
+      message: "No completed participants found for this quiz",
+      quizId: quiz._id,
+      totalParticipants: 0,
+      quizDate: quiz.date
+    };
+  }
+
+  const top = completedParticipants.sort(compareStandings).slice(0, 20);
+  const answersByUser = await getAnswersByUser(quiz._id, top.map(p => p.user?._id || p.user));
+
+  const winners = top.map((participant, index) => ({
+    rank: index + 1,
+    user: {
+      _id: participant.user?._id || participant.user,
+      fullName: participant.user?.fullName || 'Unknown',
+      username: participant.user?.username || 'unknown',
+      profileImage: participant.user?.profileImage || null
+    },
+    score: participant.score || 0,
+    correctAnswers: participant.correctAnswers || 0,
+    totalQuestions: participant.totalQuestions || quiz.totalQuestions || 50,
+    timeSpent: participant.timeSpent || 0,
+    accuracy: participant.totalQuestions > 0 
+      ? ((participant.correctAnswers / participant.totalQuestions) * 100).toFixed(2)
+      : 0,
+    scoring: explainScore(quiz, participant, answersOf(participant, answersByUser))
+  }));
+
+  // Classes, schools and batches ranked on their members' results
+  const groups = await buildGroupLeaderboard(completedParticipants, groupScoring, membershipCutoff(quiz));
+
+  return { 
+    winners,
+    groupLeaderboard: groupBoard(groups, groupScoring),
+    quizId: quiz._id,
+    slotLabel: quiz.slotLabel || '',
+    scoringMode: quiz.scoringMode || 'flat',
+    totalParticipants: completedParticipants.length,
+    quizDate: quiz.date || quiz.createdAt
+  };
+};
+
+// Get winners for a specific date. With several slots that day, ?quizId picks one
+// (default: the latest slot that has started); every slot of the day is listed.
+// ?groupMethod=average|top-k|median&topK= sets how the group leaderboard is scored.
 export const getWinners = async (req, res) => {
   try {
-    const dateParam = req.params.date || null;
-    const queryDate = dateParam ? new Date(dateParam) : new Date();
-    const start = new Date(queryDate.getFullYear(), queryDate.getMonth(), queryDate.getDate());
-    const end = new Date(start);
-    end.setDate(start.getDate() + 1);
+    const groupScoring = parseGroupScoring(req.query);
+    if (groupScoring.error) {
+      return res.status(400).json({ message: groupScoring.error });
+    }
 
-    const quiz = await Quiz.findOne({ 
-      date: { $gte: start, $lt: end } 
-    }).populate("participants.user", "fullName username phone profileImage");
+    // YYYY-MM-DD is a calendar day in QUIZ_TIMEZONE
+    const queryDate = req.params.date || new Date();
+    if (isNaN(new Date(queryDate).getTime())) {
+      return res.status(400).json({ message: "Invalid date" });
+    }
 
-    if (!quiz) {
+    const slots = await findDaySlots(queryDate, {}, "-questions -participants");
+    const started = slots.filter(q => q.isLive || q.isCompleted);
+    const chosen = req.query.quizId
+      ? slots.find(q => q._id.toString() === String(req.query.quizId))
+      : started[started.length - 1] || slots[slots.length - 1];
+
+    if (!chosen) {
       return res.json({ 
         winners: [], 
         message: "No quiz found for this date" 
       });
     }
 
-    // Get top 20 winners - filter by paid and completed
-    const completedParticipants = quiz.participants.filter(p => p.isCompleted && p.paid);
-    
-    if (completedParticipants.length === 0) {
-      return res.json({ 
-        winners: [], 
-        message: "No completed participants found for this quiz",
-        totalParticipants: 0,
-        quizDate: quiz.date
-      });
+    const quiz = await Quiz.findById(chosen._id).populate("participants.user", WINNER_USER_FIELDS);
+    res.json({
+      ...(await buildWinners(quiz, groupScoring)),
+      slots: slots.map(q => slotSummary(q))
+    });
+  } catch (error) {
+    console.error("getWinners error:", error);
+    res.status(500).json({ message: "Failed to fetch winners" });
+  }
+};
+
+// Get winners of one quiz slot (group leaderboard options as getWinners)
+export const getQuizWinners = async (req, res) => {
+  try {
+    const groupScoring = parseGroupScoring(req.query);
+    if (groupScoring.error) {
+      return res.status(400).json({ message: groupScoring.error });
     }
 
-    const winners = completedParticipants
-      .sort((a, b) => {
-        // Sort by score (desc), then by time (asc) - fastest wins on tie
-        if (b.score !== a.score) return b.score - a.score;
-        return (a.timeSpent || 0) - (b.timeSpent || 0);
-      })
-      .slice(0, 20)
-      .map((participant, index) => ({
-        rank: index + 1,
-        user: {
-          _id: participant.user?._id || participant.user,
-          fullName: participant.user?.fullName || 'Unknown',
-          username: participant.user?.username || 'unknown',
-          profileImage: participant.user?.profileImage || null
-        },
-        score: participant.score || 0,
-        correctAnswers: participant.correctAnswers || 0,
-        totalQuestions: participant.totalQuestions || quiz.totalQuestions || 50,
-        timeSpent: participant.timeSpent || 0,
-        accuracy: participant.totalQuestions > 0 
-          ? ((participant.correctAnswers / participant.totalQuestions) * 100).toFixed(2)
-          : 0
-      }));
+    const quiz = isObjectId(req.params.quizId)
+      ? await Quiz.findById(req.params.quizId).populate("participants.user", WINNER_USER_FIELDS)
+      : null;
+    if (!quiz) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
 
-    res.json({ 
-      winners,
-      totalParticipants: completedParticipants.length,
-      quizDate: quiz.date || quiz.createdAt
-    });
+    res.json(await buildWinners(quiz, groupScoring));
   } catch (error) {
-    console.error("getWinners error:", error);
+    console.error("getQuizWinners error:", error);
     res.status(500).json({ message: "Failed to fetch winners" });
   }
 };
@@ -617,3 +553,167 @@ export const getUserQuizHistory = async (req, res) => {
     res.status(500).json({ message: "Failed to fetch quiz history" });
   }
 };
+
+// The user's own answers once a quiz has ended: every question in the order they saw it, what
+// they answered (options as displayed to them), time taken and points. The correct answer and
+// explanation are only included when the quiz reveals answers (settings.showCorrectAnswers).
+export const getMyQuizReview = async (req, res) => {
+  try {
+    const quiz = isObjectId(req.params.quizId)
+      ? await Quiz.findOne(
+        { _id: req.params.quizId, "participants.user": req.user.id },
+        {
+          title: 1, date: 1, slotLabel: 1, isCompleted: 1, endTime: 1, questions: 1, settings: 1, scoringMode: 1,
+          voidedSlots: 1, voidedQuestions: 1, "participants.$": 1
+        }
+      )
+      : null;
+    const participant = quiz?.participants?.[0];
+    if (!quiz || !participant?.paid) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (!quiz.isCompleted) {
+      return res.status(400).json({ message: "Answers can be reviewed once the quiz has ended" });
+    }
+
+    const reveal = !!quiz.settings?.showCorrectAnswers;
+    const permutation = buildPermutation(quiz, participant.shuffleSeed);
+    // Older quizzes kept answers embedded in the participant
+    const stored = participant.answers?.length ? participant.answers : await getParticipantAnswers(quiz._id, req.user.id);
+    const answers = new Map(stored.map(a => [a.questionId.toString(), a]));
+
+    const questions = quiz.questions.map((_, slot) => {
+      const { question, optionOrder } = questionAtSlot(quiz, permutation, slot);
+      const answer = answers.get(question._id.toString());
+      const voided = !!quiz.voidedSlots?.includes(slot) || isQuestionVoided(quiz, question._id) || !!answer?.voided;
+      return {
+        questionIndex: slot + 1,
+        ...toClientQuestion(question, optionOrder),
+        voided,
+        ...(reveal && { ...revealAnswer(question, optionOrder), explanation: question.explanation }),
+        answer: answer ? {
+          selectedIndex: answer.displayedIndex ?? (answer.selectedIndex !== undefined && answer.selectedIndex !== null
+            ? toDisplayedOption(optionOrder, answer.selectedIndex)
+            : undefined),
+          selectedIndexes: answer.displayedIndexes ?? answer.selectedIndexes?.map(i => toDisplayedOption(optionOrder, i)),
+          numericAnswer: answer.numericAnswer,
+          textAnswer: answer.textAnswer,
+          correct: !!answer.correct,
+          credit: answer.credit,
+          timeTaken: answer.timeTaken ?? null,
+          points: voided ? 0 : answer.points || 0,
+          scoreBreakdown: voided ? null : answer.scoreBreakdown || null
+        } : null
+      };
+    });
+
+    res.json({
+      quiz: { _id: quiz._id, title: quiz.title, date: quiz.date, slotLabel: quiz.slotLabel || "", endTime: quiz.endTime },
+      result: {
+        score: participant.score || 0,
+        rank: participant.rank || null,
+        correctAnswers: participant.correctAnswers || 0,
+        totalQuestions: participant.totalQuestions || 0,
+        timeSpent: participant.timeSpent || 0,
+        disqualified: !!participant.disqualified
+      },
+      answersRevealed: reveal,
+      questions
+    });
+  } catch (error) {
+    console.error("getMyQuizReview error:", error);
+    res.status(500).json({ message: "Failed to fetch quiz review" });
+  }
+};
+
+const disputeView = (dispute) => ({
+  _id: dispute._id,
+  quizId: dispute.quiz,
+  questionId: dispute.questionId,
+  reason: dispute.reason,
+  description: dispute.description || "",
+  status: dispute.status,
+  resolution: dispute.resolution || null,
+  adminNotes: dispute.adminNotes || null,
+  createdAt: dispute.createdAt,
+  reviewedAt: dispute.reviewedAt || null
+});
+
+// Dispute one question of a finished quiz: { reason, description?, suggestedIndex? }
+// suggestedIndex is the option the participant believes is correct, as it was shown to them
+export const raiseDispute = async (req, res) => {
+  try {
+    const { quizId, questionId } = req.params;
+    const { reason = "wrong-answer", description, suggestedIndex } = req.body;
+    if (!DISPUTE_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `reason must be one of: ${DISPUTE_REASONS.join(", ")}` });
+    }
+    if (description && String(description).length > 500) {
+      return res.status(400).json({ message: "Description is too long (max 500 characters)" });
+    }
+
+    const quiz = isObjectId(quizId)
+      ? await Quiz.findOne(
+        { _id: quizId, "participants.user": req.user.id },
+        { isCompleted: 1, endTime: 1, questions: 1, settings: 1, voidedQuestions: 1, "participants.$": 1 }
+      )
+      : null;
+    const participant = quiz?.participants?.[0];
+    if (!quiz || !participant?.paid) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    if (!quiz.isCompleted) {
+      return res.status(400).json({ message: "Questions can be disputed once the quiz has ended" });
+    }
+    if (!disputeWindowOpen(quiz)) {
+      return res.status(400).json({ message: `Disputes close ${DISPUTE_WINDOW_HOURS} hours after the quiz ends` });
+    }
+
+    const canonicalIndex = quiz.questions.findIndex(q => q._id.toString() === String(questionId));
+    if (canonicalIndex === -1) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+    if (isQuestionVoided(quiz, questionId)) {
+      return res.status(400).json({ message: "This question was already voided" });
+    }
+
+    let suggested;
+    if (suggestedIndex !== undefined && suggestedIndex !== null) {
+      const optionOrder = buildPermutation(quiz, participant.shuffleSeed).optionOrders[canonicalIndex];
+      suggested = toCanonicalOption(optionOrder, suggestedIndex);
+      if (suggested === undefined) {
+        return res.status(400).json({ message: "Invalid suggestedIndex" });
+      }
+    }
+
+    const dispute = await QuestionDispute.create({
+      quiz: quiz._id,
+      questionId: quiz.questions[canonicalIndex]._id,
+      user: req.user.id,
+      reason,
+      description: description ? String(description).trim() : undefined,
+      suggestedIndex: suggested
+    });
+    res.status(201).json({ dispute: disputeView(dispute) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "You already disputed this question" });
+    }
+    console.error("raiseDispute error:", error);
+    res.status(500).json({ message: "Failed to raise dispute" });
+  }
+};
+
+// The user's disputes on one quiz and how they were resolved
+export const getMyDisputes = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.quizId)) {
+      return res.status(404).json({ message: "Quiz not found" });
+    }
+    const disputes = await QuestionDispute.find({ quiz: req.params.quizId, user: req.user.id }).sort({ createdAt: -1 });
+    res.json({ disputes: disputes.map(disputeView) });
+  } catch (error) {
+    console.error("getMyDisputes error:", error);
+    res.status(500).json({ message: "Failed to fetch disputes" });
+  }
+};
@@ -0,0 +1,66 @@
+// backend/models/Challenge.js
+// Head-to-head challenge: a short private quiz between two users, played live in its own
+// socket room (utils/challengeSession.js). Questions are snapshotted from the bank or a
+// finished quiz when the challenge is created, so both players get exactly the same set.
+import mongoose from "mongoose";
+import { QuestionSchema } from "./Quiz.js";
+
+export const CHALLENGE_STATUSES = ['pending', 'accepted', 'live', 'completed', 'declined', 'cancelled', 'expired'];
+
+const ChallengePlayerSchema = new mongoose.Schema({
+  _id: false,
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  readyAt: { type: Date }, // in the room and ready to start
+  score: { type: Number, default: 0 },
+  correctAnswers: { type: Number, default: 0 },
+  timeSpent: { type: Number, default: 0 }, // seconds
+  answers: [{
+    _id: false,
+    questionId: mongoose.Schema.Types.ObjectId,
+    selectedIndex: Number,
+    selectedIndexes: { type: [Number], default: undefined },
+    numericAnswer: Number,
+    textAnswer: String,
+    correct: Boolean,
+    credit: Number,
+    points: Number,
+    timeTaken: Number, // seconds
+    submittedAt: Date
+  }]
+});
+
+const challengeSchema = new mongoose.Schema(
+  {
+    challenger: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    opponent: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // unset: open invite, the first to accept plays
+    inviteCode: { type: String, required: true },
+    status: { type: String, enum: CHALLENGE_STATUSES, default: 'pending' },
+    source: {
+      kind: { type: String, enum: ['bank', 'quiz'], required: true },
+      quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz" }, // kind 'quiz': the finished quiz drawn from
+      category: String,
+      difficulty: String
+    },
+    questions: [QuestionSchema],
+    timePerQuestion: { type: Number, default: 15 }, // seconds
+    scoringMode: { type: String, enum: ['flat', 'time-decay', 'streak-bonus', 'negative-marking'], default: 'time-decay' },
+    players: [ChallengePlayerSchema], // challenger first, opponent once accepted
+    expiresAt: { type: Date, required: true }, // pending invites lapse after this
+    // Clock, as for live quizzes
+    currentQuestionIndex: { type: Number, default: -1 },
+    questionStartTime: { type: Date },
+    closedQuestionIndex: { type: Number, default: -1 }, // last question announced as ended
+    startedAt: Date,
+    endedAt: Date,
+    winner: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // unset on a draw
+    isDraw: { type: Boolean, default: false }
+  },
+  { timestamps: true }
+);
+
+challengeSchema.index({ inviteCode: 1 }, { unique: true });
+challengeSchema.index({ challenger: 1, createdAt: -1 });
+challengeSchema.index({ opponent: 1, createdAt: -1 });
+challengeSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model("Challenge", challengeSchema);
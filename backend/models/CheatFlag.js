@@ -0,0 +1,57 @@
+// backend/models/CheatFlag.js
+import mongoose from "mongoose";
+
+const cheatFlagSchema = new mongoose.Schema(
+  {
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz",
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['shared-ip', 'shared-device', 'inhuman-speed', 'identical-answers', 'instant-answers']
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed // signal-specific evidence (shared value, timings, ...)
+    },
+    relatedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }],
+    // open and confirmed flags keep the participant out of the winners list
+    status: {
+      type: String,
+      enum: ['open', 'cleared', 'confirmed'],
+      default: 'open'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    reviewedAt: {
+      type: Date
+    },
+    adminNotes: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+// One flag per signal per participant, so re-running the pass updates instead of duplicating
+cheatFlagSchema.index({ quiz: 1, user: 1, type: 1 }, { unique: true });
+cheatFlagSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("CheatFlag", cheatFlagSchema);
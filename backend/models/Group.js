@@ -0,0 +1,30 @@
+// backend/models/Group.js
+// A class, school or coaching batch. Members join with the group's code; their own quiz
+// results roll up into group leaderboards (utils/groupLeaderboard.js) and the owner's
+// per-quiz member report. Quizzes themselves stay individual.
+import mongoose from "mongoose";
+
+export const GROUP_KINDS = ['class', 'school', 'batch'];
+
+const groupSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    kind: { type: String, enum: GROUP_KINDS, default: 'class' },
+    description: { type: String, trim: true, maxlength: 500 },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // teacher; not a member unless they join
+    joinCode: { type: String, required: true, uppercase: true, trim: true },
+    members: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+      joinedAt: { type: Date, default: Date.now }
+    }],
+    maxMembers: { type: Number, default: 500 }
+  },
+  { timestamps: true }
+);
+
+groupSchema.index({ joinCode: 1 }, { unique: true });
+groupSchema.index({ owner: 1 });
+groupSchema.index({ 'members.user': 1 });
+
+export default mongoose.model("Group", groupSchema);
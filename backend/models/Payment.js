@@ -29,7 +29,8 @@ const paymentSchema = new mongoose.Schema(
     razorpayPaymentId: { type: String, unique: true, sparse: true },
     razorpaySignature: { type: String },
     verified: { type: Boolean, default: false }, // Whether webhook verified
-    forDate: { type: Date }, // Which quiz date this payment is for
+    quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz" }, // Which quiz slot this payment is for
+    forDate: { type: Date }, // Day of that quiz (payments made before slots only carry this)
     orderId: {
       type: String,
     },
@@ -48,6 +49,7 @@ paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ razorpayOrderId: 1 });
 paymentSchema.index({ razorpayPaymentId: 1 });
 paymentSchema.index({ forDate: 1 });
+paymentSchema.index({ quiz: 1, user: 1 });
 
 const Payment = mongoose.model("Payment", paymentSchema);
 export default Payment;
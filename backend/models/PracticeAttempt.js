@@ -0,0 +1,36 @@
+// backend/models/PracticeAttempt.js
+// Free, untimed replay of a completed quiz. Kept apart from Quiz.participants and
+// User.quizHistory so practice never touches paid results, ranks or winners.
+import mongoose from "mongoose";
+
+const practiceAttemptSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+    shuffleSeed: { type: String }, // question/option order of this attempt, same scheme as live quizzes
+    answers: [{
+      _id: false,
+      questionId: mongoose.Schema.Types.ObjectId,
+      selectedIndex: Number, // canonical option index
+      displayedIndex: Number, // option index as shown in this attempt
+      selectedIndexes: { type: [Number], default: undefined },
+      displayedIndexes: { type: [Number], default: undefined },
+      numericAnswer: Number,
+      textAnswer: String,
+      correct: Boolean,
+      credit: Number,
+      points: Number,
+      answeredAt: { type: Date, default: Date.now }
+    }],
+    score: { type: Number, default: 0 },
+    correctAnswers: { type: Number, default: 0 },
+    totalQuestions: { type: Number, default: 0 }, // questions in the quiz
+    completedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+practiceAttemptSchema.index({ user: 1, createdAt: -1 });
+practiceAttemptSchema.index({ user: 1, quiz: 1 });
+
+export default mongoose.model("PracticeAttempt", practiceAttemptSchema);
@@ -0,0 +1,41 @@
+// backend/models/Question.js
+// Question bank. Quizzes embed a snapshot of each bank question (Quiz.questions[].bankQuestion),
+// refreshed on every bank edit until the quiz goes live.
+import mongoose from "mongoose";
+
+const questionSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['single', 'multi', 'true-false', 'numeric', 'text'], default: 'single' },
+    text: { type: String, required: true },
+    options: [String],
+    correctIndex: Number,
+    correctIndexes: { type: [Number], default: undefined },
+    partialCredit: { type: Boolean, default: false },
+    numericAnswer: Number,
+    tolerance: { type: Number, default: undefined },
+    acceptedAnswers: { type: [String], default: undefined },
+    imageUrl: String,
+    contentFormat: { type: String, enum: ['plain', 'latex'], default: 'plain' },
+    explanation: String,
+    category: String,
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
+    points: { type: Number, default: 1 },
+    tags: [{ type: String, lowercase: true, trim: true }],
+    usage: [{
+      quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz" },
+      usedAt: Date // the quiz's scheduled date
+    }],
+    usageCount: { type: Number, default: 0 },
+    lastUsedAt: { type: Date },
+    lastChallengedAt: { type: Date }, // last drawn into a head-to-head challenge (not a quiz usage)
+    active: { type: Boolean, default: true }, // archived questions are never picked again
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+// Indexes for recipe lookups
+questionSchema.index({ active: 1, category: 1, difficulty: 1, lastUsedAt: 1 });
+questionSchema.index({ tags: 1 });
+
+export default mongoose.model("Question", questionSchema);
@@ -0,0 +1,30 @@
+// backend/models/QuestionDispute.js
+// A participant's claim that one question of a finished quiz was graded wrong. Admins review
+// the disputes of a question together and accept (fix the answer key or void the question,
+// then regrade - utils/quizRegrade.js) or reject them.
+import mongoose from "mongoose";
+
+export const DISPUTE_REASONS = ['wrong-answer', 'multiple-correct', 'ambiguous', 'typo', 'other'];
+
+const questionDisputeSchema = new mongoose.Schema(
+  {
+    quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+    questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, enum: DISPUTE_REASONS, default: 'wrong-answer' },
+    description: { type: String, maxlength: 500 },
+    suggestedIndex: { type: Number }, // canonical option the user says is correct, if any
+    status: { type: String, enum: ['open', 'accepted', 'rejected'], default: 'open' },
+    resolution: { type: String, enum: ['correct', 'void', 'reject'] }, // what the admin did
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    adminNotes: { type: String }
+  },
+  { timestamps: true }
+);
+
+// One dispute per participant per question
+questionDisputeSchema.index({ quiz: 1, questionId: 1, user: 1 }, { unique: true });
+questionDisputeSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("QuestionDispute", questionDisputeSchema);
@@ -1,10 +1,20 @@
 // backend/models/Quiz.js
 import mongoose from "mongoose";
 
-const QuestionSchema = new mongoose.Schema({
+export const QuestionSchema = new mongoose.Schema({
+  bankQuestion: { type: mongoose.Schema.Types.ObjectId, ref: "Question" }, // source in the question bank, if any
+  type: { type: String, enum: ['single', 'multi', 'true-false', 'numeric', 'text'], default: 'single' },
   text: String,
-  options: [String], // array of 4 options
-  correctIndex: Number, // store correct answer index (server-only)
+  options: [String], // answer options (single, multi, true-false)
+  correctIndex: Number, // store correct answer index (server-only) - single, true-false
+  correctIndexes: { type: [Number], default: undefined }, // all correct option indexes (server-only) - multi
+  partialCredit: { type: Boolean, default: false }, // multi: proportional points instead of all-or-nothing
+  numericAnswer: Number, // numeric (server-only)
+  tolerance: { type: Number, default: undefined }, // numeric: accepted +/- distance from numericAnswer
+  acceptedAnswers: { type: [String], default: undefined }, // text: normalized accepted answers (server-only)
+  imageUrl: String, // optional diagram, uploaded through the uploadImage pipeline
+  contentFormat: { type: String, enum: ['plain', 'latex'], default: 'plain' }, // 'latex': $...$ formulas in text/options/explanation
+  explanation: String, // revealed after the question closes when settings.showCorrectAnswers (server-only until then)
   category: String, // subject/category
   difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
   points: { type: Number, default: 1 }
@@ -16,12 +26,28 @@ const ParticipantSchema = new mongoose.Schema({
   totalQuestions: { type: Number, default: 0 },
   correctAnswers: { type: Number, default: 0 },
   timeSpent: { type: Number, default: 0 }, // total time in seconds
+  // score/totalQuestions/correctAnswers/timeSpent are aggregated from QuizAnswer and written when the quiz ends.
+  // Answers of quizzes run before the QuizAnswer collection (read-only now):
   answers: [{
     questionId: mongoose.Schema.Types.ObjectId,
-    selectedIndex: Number,
+    selectedIndex: Number, // canonical option index (mapped back from the participant's order)
+    displayedIndex: Number, // option index as shown to the participant
+    selectedIndexes: { type: [Number], default: undefined }, // multi: canonical option indexes
+    displayedIndexes: { type: [Number], default: undefined }, // multi: option indexes as shown
+    numericAnswer: Number, // numeric: submitted value
+    textAnswer: String, // text: submitted answer as typed
     correct: Boolean,
+    credit: Number, // share of the question's points earned (partial credit on multi)
     timeTaken: Number, // time taken for this question
+    responseMs: Number, // ms between question start and the server receiving the answer (anti-cheat)
+    latencyMs: Number, // measured one-way latency taken off responseMs for timeTaken/deadline
     points: Number,
+    scoreBreakdown: { // How `points` was computed under the quiz's scoringMode
+      base: Number,
+      timeDecay: Number,
+      streakBonus: Number,
+      penalty: Number
+    },
     submittedAt: { type: Date }, // Server timestamp
     serverTimeReceived: { type: Date } // When server received this answer
   }],
@@ -30,6 +56,23 @@ const ParticipantSchema = new mongoose.Schema({
   isCompleted: { type: Boolean, default: false },
   rank: Number,
   paid: { type: Boolean, default: false }, // Payment verification for this quiz
+  shuffleSeed: { type: String }, // Seed of this participant's question/option permutation
+  // Tab-switch / focus-loss reports (focus-change socket event), judged by the quiz's focusPolicy
+  focusLossCount: { type: Number, default: 0 },
+  focusAwaySince: { type: Date }, // set while the app is hidden, cleared when it comes back
+  focusByQuestion: [{
+    _id: false,
+    questionId: mongoose.Schema.Types.ObjectId,
+    losses: { type: Number, default: 0 },
+    awayMs: { type: Number, default: 0 }
+  }],
+  focusPenalty: { type: Number, default: 0 }, // points docked under the 'dock' policy
+  disconnectedAt: { type: Date }, // socket dropped mid-quiz; cleared on reconnect within the grace window
+  reconnectCount: { type: Number, default: 0 },
+  leftAt: { type: Date }, // stayed away past the grace window - earned points kept, no more answers
+  disqualified: { type: Boolean, default: false },
+  disqualifiedAt: { type: Date },
+  disqualifiedReason: { type: String },
   socketId: { type: String }, // Track socket connection
   ipAddress: String,
   userAgent: String,
@@ -46,7 +89,20 @@ const QuizSchema = new mongoose.Schema({
   title: { type: String, default: "Daily Quiz" },
   description: { type: String, default: "" },
   date: { type: Date, required: true, index: true }, // date/time for quiz
-  scheduledAt: { type: Date }, // Scheduled time (8 PM IST for daily quizzes)
+  scheduledAt: { type: Date }, // Slot start time
+  // Quiz slot - several can run on the same day, each with its own window, fee and capacity
+  slotLabel: { type: String, default: "" }, // e.g. "Morning", "Evening"
+  durationMinutes: { type: Number, default: 30 }, // from start to forced end
+  paymentDeadline: { type: Date }, // last moment to pay; defaults to timeline.paymentCloseMinutes before start
+  entryFee: { type: Number, default: 5 }, // rupees
+  timezone: { type: String }, // IANA zone for the quiz's day and local times; QUIZ_TIMEZONE when unset
+  // Lifecycle offsets around scheduledAt (start) and the slot end, in minutes
+  timeline: {
+    paymentCloseMinutes: { type: Number, default: 5 }, // before start, when no paymentDeadline is set
+    alertMinutes: { type: Number, default: 5 }, // "starting soon" alert before start
+    readyMinutes: { type: Number, default: 1 }, // "join now" notice before start
+    resultsDelayMinutes: { type: Number, default: 1 } // results announced after the slot ends
+  },
   startTime: Date,
   endTime: Date,
   questions: [QuestionSchema],
@@ -57,6 +113,18 @@ const QuizSchema = new mongoose.Schema({
   scheduleType: { type: String, enum: ['one-off', 'daily', 'weekly'], default: 'daily' },
   totalQuestions: { type: Number, default: 50 },
   timePerQuestion: { type: Number, default: 15 }, // seconds
+  scoringMode: { type: String, enum: ['flat', 'time-decay', 'streak-bonus', 'negative-marking'], default: 'flat' },
+  scoringOptions: {
+    minPointsFraction: { type: Number, default: 0.5 }, // time-decay: share of points left at the buzzer
+    streakBonus: { type: Number, default: 0.1 }, // streak-bonus: extra share per consecutive correct answer
+    maxStreakBonus: { type: Number, default: 0.5 }, // streak-bonus: cap on the extra share
+    negativeFraction: { type: Number, default: 0.25 } // negative-marking: share deducted for a wrong answer
+  },
+  focusPolicy: {
+    action: { type: String, enum: ['none', 'warn', 'dock', 'disqualify'], default: 'warn' },
+    allowedLosses: { type: Number, default: 2 }, // focus losses tolerated before dock/disqualify applies
+    dockPoints: { type: Number, default: 1 } // dock: points deducted per loss beyond allowedLosses
+  },
   maxParticipants: { type: Number, default: 2000 },
   currentParticipants: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
@@ -69,11 +137,26 @@ const QuizSchema = new mongoose.Schema({
   // Server-side quiz state
   currentQuestionIndex: { type: Number, default: -1 },
   questionStartTime: { type: Date },
-  participantsAnswered: { type: Number, default: 0 }
+  questionDurationMs: { type: Number }, // clock of the current question, admin extensions included
+  closedQuestionIndex: { type: Number, default: -1 }, // last clock slot announced as ended - no more answers to it
+  // Admin live controls: a paused clock keeps the remaining time of the current question;
+  // voided clock slots (0-based) score nothing for anyone
+  pausedAt: { type: Date },
+  pausedRemainingMs: { type: Number },
+  voidedSlots: { type: [Number], default: [] },
+  voidedQuestions: { type: [mongoose.Schema.Types.ObjectId], default: [] }, // voided after the quiz by an accepted dispute
+  participantsAnswered: { type: Number, default: 0 },
+  // Lifecycle notifications already sent, so the scheduler never repeats one
+  notificationsSent: {
+    alert: Date,
+    ready: Date,
+    results: Date
+  }
 });
 
 // Index for better performance
 QuizSchema.index({ date: 1, isLive: 1 });
+QuizSchema.index({ published: 1, scheduledAt: 1 });
 QuizSchema.index({ 'participants.user': 1 });
 
 
@@ -0,0 +1,38 @@
+// backend/models/QuizAnswer.js
+// One document per submitted answer. Live answers are inserted here instead of being pushed
+// into Quiz.participants[].answers, so the Quiz document stays a fixed size during a quiz;
+// running totals and final standings are aggregated from this collection (utils/quizAnswers.js).
+import mongoose from "mongoose";
+
+const quizAnswerSchema = new mongoose.Schema({
+  quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  selectedIndex: Number, // canonical option index (mapped back from the participant's order)
+  displayedIndex: Number, // option index as shown to the participant
+  selectedIndexes: { type: [Number], default: undefined }, // multi: canonical option indexes
+  displayedIndexes: { type: [Number], default: undefined }, // multi: option indexes as shown
+  numericAnswer: Number, // numeric: submitted value
+  textAnswer: String, // text: submitted answer as typed
+  correct: Boolean,
+  credit: Number, // share of the question's points earned (partial credit on multi)
+  timeTaken: Number, // seconds, on the server clock
+  responseMs: Number, // ms between question start and the server receiving the answer (anti-cheat)
+  latencyMs: Number, // measured one-way latency added to the answer deadline
+  durationMs: Number, // the question's clock when answered (time-decay scale, extends included)
+  points: Number,
+  scoreBreakdown: { // How `points` was computed under the quiz's scoringMode
+    base: Number,
+    timeDecay: Number,
+    streakBonus: Number,
+    penalty: Number
+  },
+  voided: { type: Boolean, default: false }, // question voided by an admin - kept for the record, scores nothing
+  submittedAt: { type: Date }, // Server timestamp
+  serverTimeReceived: { type: Date } // When server received this answer
+});
+
+// One answer per participant per question - the duplicate-answer guard
+quizAnswerSchema.index({ quiz: 1, user: 1, questionId: 1 }, { unique: true });
+
+export default mongoose.model("QuizAnswer", quizAnswerSchema);
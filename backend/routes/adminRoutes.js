@@ -9,17 +9,39 @@ import {
   getAllQuizzes,
   updateQuiz,
   updateQuizSchedule,
+  delayQuiz,
   startQuiz,
+  pauseLiveQuiz,
+  resumeLiveQuiz,
+  extendLiveQuestion,
+  skipLiveQuestion,
   getPayments,
   reconcilePayments,
   banUser,
   unbanUser,
   getWinners,
   getQuizDetails,
+  getParticipantPermutation,
+  getQuizAnalytics,
+  getCheatFlags,
+  reviewCheatFlag,
+  rerunAntiCheat,
+  getQuestionDisputes,
+  resolveDisputes,
+  uploadQuestionImage,
   deleteQuiz,
   deleteUser,
 } from "../controllers/adminController.js";
+import {
+  listQuestions,
+  createQuestions,
+  importQuestionsCSV,
+  updateQuestion,
+  archiveQuestion,
+  assembleQuiz,
+} from "../controllers/questionBankController.js";
 import multer from "multer";
+import { uploadImage } from "../middleware/upload.js";
 import AdminAudit from "../models/AdminAudit.js";
 
 const router = express.Router();
@@ -28,10 +50,10 @@ const upload = multer({ dest: "uploads/" });
 // Apply protection to all admin routes
 router.use(protect, adminOnly);
 
-// Admin audit middleware
+// Admin audit middleware - one record per request; handlers may enrich it via req.auditId
 router.use(async (req, res, next) => {
   try {
-    await AdminAudit.create({
+    const audit = await AdminAudit.create({
       admin: req.user.id,
       action: `${req.method} ${req.originalUrl}`,
       method: req.method,
@@ -39,6 +61,7 @@ router.use(async (req, res, next) => {
       body: req.body,
       query: req.query,
     });
+    req.auditId = audit._id;
   } catch (e) {
     // non-blocking
   }
@@ -60,15 +83,41 @@ router.post("/quizzes", createQuiz);
 router.get("/quizzes/:id", getQuizDetails);
 router.put("/quizzes/:id", updateQuiz);
 router.delete("/quizzes/:id", deleteQuiz);
-router.patch("/quizzes/:id/schedule", updateQuizSchedule);
+router.patch("/quizzes/:id/schedule", updateQuizSchedule); // move: scheduledAt or startDate/startTime (quiz timezone), slot settings
+router.post("/quizzes/:id/delay", delayQuiz); // { minutes } - push back a quiz that has not started
 router.post("/quizzes/:id/start", startQuiz);
+// Live controls - each is broadcast to the quiz room
+router.post("/quizzes/:id/pause", pauseLiveQuiz);
+router.post("/quizzes/:id/resume", resumeLiveQuiz);
+router.post("/quizzes/:id/extend", extendLiveQuestion); // { seconds }
+router.post("/quizzes/:id/skip", skipLiveQuestion); // { reason? } - voids the current question and rescores
+router.get("/quizzes/:id/participants/:userId/permutation", getParticipantPermutation);
+router.get("/quizzes/:id/analytics", getQuizAnalytics);
+router.post("/quizzes/:id/anti-cheat", rerunAntiCheat);
 router.post("/quizzes/upload", upload.single("csv"), uploadQuizCSV);
+router.put("/quizzes/:id/questions/:questionId/image", uploadImage.single("image"), uploadQuestionImage);
+router.post("/quizzes/assemble", assembleQuiz);
+
+// Question bank
+router.get("/questions", listQuestions);
+router.post("/questions", createQuestions);
+router.post("/questions/upload", upload.single("csv"), importQuestionsCSV);
+router.put("/questions/:id", updateQuestion);
+router.delete("/questions/:id", archiveQuestion);
 
 // Payments
 router.get("/payments", getPayments);
 router.get("/payments/reconcile", reconcilePayments);
 
 // Winners
-router.get("/winners", getWinners);
+router.get("/winners", getWinners); // ?quizId=<slot> or ?date=YYYY-MM-DD
+
+// Anti-cheat review
+router.get("/cheat-flags", getCheatFlags);
+router.put("/cheat-flags/:id", reviewCheatFlag);
+
+// Question disputes
+router.get("/disputes", getQuestionDisputes); // grouped by question (?status, ?quizId)
+router.post("/quizzes/:id/questions/:questionId/disputes/resolve", resolveDisputes); // { action: correct|void|reject, ...answer key }
 
 export default router;
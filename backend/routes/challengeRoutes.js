@@ -0,0 +1,26 @@
+// backend/routes/challengeRoutes.js
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  createChallenge,
+  getMyChallenges,
+  getInvite,
+  acceptChallenge,
+  declineChallenge,
+  cancelChallenge,
+  getChallengeResult
+} from "../controllers/challengeController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", getMyChallenges); // challenges sent or received (?status=)
+router.post("/", createChallenge); // { opponentId?, source: bank|quiz, quizId?, category?, difficulty?, count, timePerQuestion, scoringMode }
+router.get("/invite/:code", getInvite); // what the invite link shows
+router.post("/invite/:code/accept", acceptChallenge);
+router.post("/:id/decline", declineChallenge); // invited opponent
+router.post("/:id/cancel", cancelChallenge); // challenger, before it starts
+router.get("/:id/result", getChallengeResult); // result screen once finished
+
+export default router;
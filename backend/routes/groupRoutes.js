@@ -0,0 +1,36 @@
+// backend/routes/groupRoutes.js
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  createGroup,
+  getMyGroups,
+  getGroup,
+  joinGroup,
+  leaveGroup,
+  updateGroup,
+  resetJoinCode,
+  removeMember,
+  deleteGroup,
+  getGroupQuizzes,
+  getGroupQuizReport
+} from "../controllers/groupController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", getMyGroups); // groups the user owns or belongs to
+router.post("/", createGroup); // { name, kind: class|school|batch, description } - creator owns it
+router.post("/join", joinGroup); // { code }
+router.get("/:id", getGroup); // owner and members
+router.post("/:id/leave", leaveGroup);
+
+// Owner only
+router.put("/:id", updateGroup);
+router.delete("/:id", deleteGroup);
+router.post("/:id/code", resetJoinCode); // new join code, old one stops working
+router.delete("/:id/members/:userId", removeMember);
+router.get("/:id/quizzes", getGroupQuizzes); // finished quizzes members took part in
+router.get("/:id/quizzes/:quizId/report", getGroupQuizReport); // per-member report (?groupMethod, ?topK)
+
+export default router;
@@ -37,7 +37,7 @@ router.post(
 router.post("/create-order", protect, paymentLimiter, createOrder); // create razorpay order
 router.post("/verify", protect, paymentLimiter, verifyPayment); // verify signature after checkout
 router.get("/history", protect, getPaymentHistory); // get user's payment history
-router.get("/quiz-status", protect, checkQuizPayment); // check if user paid for today's quiz
+router.get("/quiz-status", protect, checkQuizPayment); // check if user paid for a quiz slot (?quizId) or today's slots
 router.post("/refund", protect, refundPayment); // refund payment (placeholder)
 
 export default router;
@@ -8,21 +8,47 @@ import {
   submitAnswer, 
   completeQuiz,
   getWinners,
-  getUserQuizHistory 
+  getQuizWinners,
+  getUserQuizHistory,
+  getMyQuizReview,
+  raiseDispute,
+  getMyDisputes
 } from "../controllers/quizController.js";
+import {
+  getPracticeQuizzes,
+  startPracticeAttempt,
+  submitPracticeAnswer,
+  completePracticeAttempt,
+  getPracticeAttempts,
+  getPracticeAttempt
+} from "../controllers/practiceController.js";
 
 const router = express.Router();
 
 // Public routes
 router.get("/winners", getWinners); // top 20 winners for today (public)
-router.get("/winners/:date", getWinners); // top 20 winners for specific date (public)
+router.get("/winners/:date", getWinners); // top 20 winners for specific date (public, ?quizId picks a slot)
+router.get("/:quizId/winners", getQuizWinners); // top 20 winners of one quiz slot (public)
 
 // Protected routes
-router.get("/today", protect, getTodayQuiz); // fetch quiz summary (no answers)
-router.get("/eligibility", protect, checkQuizEligibility); // check if user can participate
+router.get("/today", protect, getTodayQuiz); // today's slots + current slot summary (no answers)
+router.get("/eligibility", protect, checkQuizEligibility); // check if user can participate (?quizId)
 router.post("/enter", protect, enterQuiz); // join / mark participant
 router.post("/answer", protect, submitAnswer); // submit single answer
 router.post("/complete", protect, completeQuiz); // complete quiz
 router.get("/history", protect, getUserQuizHistory); // get user's quiz history
+router.get("/:quizId/my-review", protect, getMyQuizReview); // own answers once the quiz has ended
+
+// Question disputes (participants, for a while after the quiz ends)
+router.post("/:quizId/questions/:questionId/dispute", protect, raiseDispute); // { reason, description?, suggestedIndex? }
+router.get("/:quizId/disputes", protect, getMyDisputes); // user's disputes on this quiz
+
+// Practice mode (completed quizzes, free, untimed - never affects paid results)
+router.get("/practice", protect, getPracticeQuizzes); // past quizzes open for practice
+router.get("/practice/attempts", protect, getPracticeAttempts); // user's practice attempts
+router.get("/practice/attempts/:attemptId", protect, getPracticeAttempt); // attempt review
+router.post("/practice/attempts/:attemptId/answers", protect, submitPracticeAnswer); // answer + explanation
+router.post("/practice/attempts/:attemptId/complete", protect, completePracticeAttempt);
+router.post("/practice/:quizId/attempts", protect, startPracticeAttempt); // start an attempt
 
 export default router;
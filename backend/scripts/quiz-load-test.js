@@ -0,0 +1,439 @@
+// backend/scripts/quiz-load-test.js
+// Load test for a live quiz: starts the server against a local Mongo/Redis, seeds N paid
+// participants straight into the DB, connects N authenticated Socket.IO clients, joins them
+// with join-room and answers every question with configurable correctness and latency.
+//
+// Reports answer-acceptance latency, rejected answers, dropped events and whether the final
+// standings match the scores the simulated players should have earned.
+//
+//   npm run load-test -- --players=2000 --questions=20 --time=10 --correct=0.7 --latency=200-3000
+//
+// Options (--name=value):
+//   --players         simulated participants (default 200)
+//   --questions       questions in the test quiz (default 10)
+//   --time            seconds per question (default 10)
+//   --correct         share of answers given correctly, 0..1 (default 0.7)
+//   --latency         think time before answering, ms "min-max" (default 300-4000)
+//   --connect-batch   sockets opened in parallel while ramping up (default 100)
+//   --port            port for the spawned server (default 5055)
+//   --url             target an already running server instead of spawning one
+//   --mongo           Mongo URI (default LOADTEST_MONGODB_URI or mongodb://127.0.0.1:27017/dailymind-loadtest)
+//   --redis           Redis URL for the spawned server (default LOADTEST_REDIS_URL, none = local fallback)
+//   --json            write the report to this file as well
+//   --keep            leave the seeded users/quiz in the DB
+//
+// Everything the run seeds is deleted afterwards unless --keep. The database name must
+// contain "loadtest" so a production URI is never written to by accident.
+import dotenv from "dotenv";
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import axios from "axios";
+import { io as connectSocket } from "socket.io-client";
+import User from "../models/User.js";
+import Quiz from "../models/Quiz.js";
+import QuizAnswer from "../models/QuizAnswer.js";
+import CheatFlag from "../models/CheatFlag.js";
+import { createShuffleSeed } from "../utils/quizShuffle.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const backendDir = path.join(__dirname, "..");
+dotenv.config({ path: path.join(backendDir, ".env") });
+
+// ---------------------- Options ----------------------
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, ...value] = arg.replace(/^--/, "").split("=");
+  return [key, value.length ? value.join("=") : true];
+}));
+
+const [latencyMin, latencyMax] = String(args.latency || "300-4000").split("-").map(Number);
+const options = {
+  players: Number(args.players || 200),
+  questions: Number(args.questions || 10),
+  timePerQuestion: Number(args.time || 10),
+  correctRate: Number(args.correct ?? 0.7),
+  latencyMin,
+  latencyMax: latencyMax ?? latencyMin,
+  connectBatch: Number(args["connect-batch"] || 100),
+  port: Number(args.port || 5055),
+  url: args.url || null,
+  mongoUri: args.mongo || process.env.LOADTEST_MONGODB_URI || "mongodb://127.0.0.1:27017/dailymind-loadtest",
+  redisUrl: args.redis || process.env.LOADTEST_REDIS_URL || "",
+  json: args.json || null,
+  keep: !!args.keep
+};
+
+const serverUrl = options.url || `http://127.0.0.1:${options.port}`;
+const jwtSecret = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Answers are never planned closer than this to the deadline, so every sent answer should be accepted
+const DEADLINE_MARGIN_MS = 1000;
+const QUIZ_END_SLACK_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return Math.round(sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))]);
+};
+
+const latencySummary = (values) => ({
+  count: values.length,
+  p50: percentile(values, 50),
+  p90: percentile(values, 90),
+  p99: percentile(values, 99),
+  max: values.length ? Math.round(Math.max(...values)) : null
+});
+
+// ---------------------- Server ----------------------
+async function startServer() {
+  const env = {
+    ...process.env,
+    PORT: String(options.port),
+    MONGODB_URI: options.mongoUri,
+    REDIS_URL: options.redisUrl,
+    JWT_SECRET: jwtSecret,
+    NODE_ENV: "development"
+  };
+  const child = spawn(process.execPath, ["server.js"], { cwd: backendDir, env, stdio: ["ignore", "pipe", "pipe"] });
+
+  // Keep the server's output out of the report, but show its errors
+  child.stderr.on("data", chunk => process.stderr.write(`[server] ${chunk}`));
+  child.stdout.resume();
+
+  const deadline = Date.now() + 60000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      await axios.get(`${serverUrl}/health`, { timeout: 2000 });
+      return child;
+    } catch {
+      await sleep(500);
+    }
+  }
+  child.kill("SIGTERM");
+  throw new Error("Server did not become healthy within 60s");
+}
+
+async function stopServer(child) {
+  if (!child || child.exitCode !== null) return;
+  const exited = new Promise(resolve => child.once("exit", resolve));
+  child.kill("SIGTERM");
+  await Promise.race([exited, sleep(10000)]);
+  if (child.exitCode === null) child.kill("SIGKILL");
+}
+
+// ---------------------- Seeding ----------------------
+async function seed(runId) {
+  const correctIndexes = Array.from({ length: options.questions }, () => Math.floor(Math.random() * 4));
+  const questions = correctIndexes.map((correctIndex, i) => ({
+    type: "single",
+    text: `Load test question ${i + 1}`,
+    options: [0, 1, 2, 3].map(o => `Q${i + 1} option ${o + 1}`),
+    correctIndex,
+    points: 1
+  }));
+
+  const admin = await User.create({
+    fullName: "Load Test Admin",
+    phone: `lt-${runId}-admin`,
+    password: crypto.randomBytes(16).toString("hex"),
+    role: "admin",
+    isVerified: true
+  });
+
+  const users = await User.insertMany(Array.from({ length: options.players }, (_, i) => ({
+    fullName: `Load Tester ${i + 1}`,
+    username: `lt_${runId}_${i + 1}`,
+    phone: `lt-${runId}-${i + 1}`,
+    password: crypto.randomBytes(16).toString("hex"),
+    isVerified: true
+  })));
+
+  const now = new Date();
+  const quiz = await Quiz.create({
+    title: `Load test ${runId}`,
+    date: now,
+    scheduleType: "one-off",
+    questions,
+    totalQuestions: questions.length,
+    timePerQuestion: options.timePerQuestion,
+    scoringMode: "flat", // points depend only on correctness, so expected scores are exact
+    focusPolicy: { action: "none" },
+    maxParticipants: options.players,
+    currentParticipants: options.players,
+    participants: users.map(u => ({ user: u._id, paid: true, joinTime: now, shuffleSeed: createShuffleSeed() }))
+  });
+
+  return { admin, users, quiz };
+}
+
+async function cleanup({ admin, users, quiz }) {
+  const userIds = [admin._id, ...users.map(u => u._id)];
+  await Promise.all([
+    User.deleteMany({ _id: { $in: userIds } }),
+    Quiz.deleteOne({ _id: quiz._id }),
+    QuizAnswer.deleteMany({ quiz: quiz._id }),
+    CheatFlag.deleteMany({ quiz: quiz._id })
+  ]);
+}
+
+// ---------------------- Simulated players ----------------------
+const token = (user) => jwt.sign({ id: user._id.toString() }, jwtSecret, { algorithm: "HS256", expiresIn: "2h" });
+
+function createPlayer(user, quiz, stats) {
+  const quizId = quiz._id.toString();
+  // Option text -> correct, so answers stay right whatever option order this player sees
+  const correctText = new Map(quiz.questions.map(q => [q._id.toString(), q.options[q.correctIndex]]));
+
+  const player = {
+    userId: user._id.toString(),
+    socket: null,
+    joined: false,
+    questions: new Set(),
+    ended: new Set(),
+    leaderboards: 0,
+    quizEnded: false,
+    firstQuestionIndex: null,
+    expectedScore: 0,
+    pending: new Map() // questionId -> submit time
+  };
+
+  const answer = (payload) => {
+    const { question, questionIndex, timeLeft } = payload;
+    if (player.questions.has(questionIndex)) return; // resume + broadcast can both deliver the current question
+    player.questions.add(questionIndex);
+    if (player.firstQuestionIndex === null) player.firstQuestionIndex = questionIndex;
+
+    const latestMs = timeLeft - DEADLINE_MARGIN_MS;
+    if (latestMs <= 0) {
+      stats.skippedLate++;
+      return;
+    }
+    const delay = Math.min(randomBetween(options.latencyMin, options.latencyMax), latestMs);
+    const correct = Math.random() < options.correctRate;
+    const rightIndex = question.options.indexOf(correctText.get(String(question._id)));
+    const selectedIndex = correct ? rightIndex : (rightIndex + 1 + Math.floor(Math.random() * 3)) % question.options.length;
+
+    setTimeout(() => {
+      if (!player.socket.connected) return;
+      if (correct) player.expectedScore += question.points || 1;
+      player.pending.set(String(question._id), Date.now());
+      stats.sent++;
+      player.socket.emit("submit-answer", { roomId: quizId, questionId: question._id, selectedIndex });
+    }, delay);
+  };
+
+  player.connect = () => new Promise(resolve => {
+    const started = Date.now();
+    const socket = connectSocket(serverUrl, {
+      auth: { token: token(user) },
+      transports: ["websocket"],
+      forceNew: true,
+      reconnection: false,
+      timeout: 20000
+    });
+    player.socket = socket;
+
+    socket.on("time-ping", (_, ack) => ack && ack());
+    socket.on("question", answer);
+    socket.on("session-resumed", (state) => {
+      player.joined = true;
+      stats.joinLatencies.push(Date.now() - player.joinSentAt);
+      if (state.current && !state.currentAnswered) answer(state.current);
+    });
+    socket.on("join-error", (err) => {
+      stats.joinErrors.push(err.message);
+    });
+    socket.on("answer-result", (result) => {
+      const sentAt = player.pending.get(String(result.questionId));
+      player.pending.delete(String(result.questionId));
+      if (sentAt) stats.answerLatencies.push(Date.now() - sentAt);
+      stats.accepted++;
+    });
+    socket.on("answer-error", (err) => {
+      stats.rejected[err.message] = (stats.rejected[err.message] || 0) + 1;
+    });
+    socket.on("question-ended", ({ questionIndex }) => player.ended.add(questionIndex));
+    socket.on("leaderboard", () => { player.leaderboards++; });
+    socket.on("quiz-ended", () => { player.quizEnded = true; });
+    socket.on("force-disconnect", () => { stats.forcedDisconnects++; });
+    socket.on("disconnect", (reason) => {
+      if (!player.quizEnded) stats.disconnects[reason] = (stats.disconnects[reason] || 0) + 1;
+    });
+
+    socket.once("connect", () => {
+      stats.connectLatencies.push(Date.now() - started);
+      resolve(true);
+    });
+    socket.once("connect_error", (err) => {
+      stats.connectErrors[err.message] = (stats.connectErrors[err.message] || 0) + 1;
+      resolve(false);
+    });
+  });
+
+  player.join = () => {
+    player.joinSentAt = Date.now();
+    player.socket.emit("join-room", { roomId: quizId });
+  };
+
+  return player;
+}
+
+// ---------------------- Report ----------------------
+async function verifyStandings(quiz, players) {
+  const final = await Quiz.findById(quiz._id).select("isCompleted participants.user participants.score participants.rank participants.timeSpent").lean();
+  const byUser = new Map(final.participants.map(p => [p.user.toString(), p]));
+
+  const scoreMismatches = players
+    .filter(p => (byUser.get(p.userId)?.score || 0) !== p.expectedScore)
+    .map(p => ({ userId: p.userId, expected: p.expectedScore, actual: byUser.get(p.userId)?.score || 0 }));
+
+  // Walking the final ranks, expected scores must never go up; equal scores are ordered by the
+  // server-measured time spent (the harness cannot know it)
+  const byRank = players
+    .map(p => ({ userId: p.userId, expectedScore: p.expectedScore, ...byUser.get(p.userId) }))
+    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+  const rankInversions = byRank.slice(1)
+    .map((p, i) => ({ above: byRank[i], below: p }))
+    .filter(({ above, below }) => above.rank == null || below.rank == null
+      || below.expectedScore > above.expectedScore
+      || (below.expectedScore === above.expectedScore && (below.timeSpent || 0) < (above.timeSpent || 0)))
+    .map(({ above, below }) => ({
+      above: { userId: above.userId, rank: above.rank, expectedScore: above.expectedScore },
+      below: { userId: below.userId, rank: below.rank, expectedScore: below.expectedScore }
+    }));
+
+  return { quizCompleted: !!final.isCompleted, scoreMismatches, rankInversions };
+}
+
+function droppedEvents(players) {
+  const dropped = { question: 0, questionEnded: 0, leaderboard: 0, quizEnded: 0 };
+  players.filter(p => p.joined).forEach(p => {
+    // Only the questions after the player's first one can be counted as dropped
+    const expected = p.firstQuestionIndex === null ? 0 : options.questions - p.firstQuestionIndex + 1;
+    dropped.question += Math.max(0, expected - p.questions.size);
+    dropped.questionEnded += Math.max(0, expected - p.ended.size);
+    dropped.leaderboard += Math.max(0, expected - p.leaderboards);
+    if (!p.quizEnded) dropped.quizEnded++;
+  });
+  return dropped;
+}
+
+// ---------------------- Run ----------------------
+async function run() {
+  const dbName = new URL(options.mongoUri.replace(/^mongodb(\+srv)?:/, "http:")).pathname.slice(1);
+  if (!dbName.includes("loadtest")) {
+    throw new Error(`Refusing to seed "${dbName || "(default)"}": use a database whose name contains "loadtest"`);
+  }
+
+  const runId = crypto.randomBytes(3).toString("hex");
+  console.log(`🧪 Quiz load test ${runId}:`, options);
+
+  await mongoose.connect(options.mongoUri);
+  const server = options.url ? null : await startServer();
+  if (server) console.log(`🚀 Server started on ${serverUrl} (pid ${server.pid})`);
+
+  let seeded = null;
+  try {
+    seeded = await seed(runId);
+    const { admin, users, quiz } = seeded;
+    console.log(`🌱 Seeded ${users.length} paid participants into quiz ${quiz._id}`);
+
+    const stats = {
+      sent: 0,
+      accepted: 0,
+      skippedLate: 0,
+      rejected: {},
+      joinErrors: [],
+      connectErrors: {},
+      disconnects: {},
+      forcedDisconnects: 0,
+      connectLatencies: [],
+      joinLatencies: [],
+      answerLatencies: []
+    };
+    const players = users.map(u => createPlayer(u, quiz, stats));
+
+    // Ramp up connections in batches
+    for (let i = 0; i < players.length; i += options.connectBatch) {
+      await Promise.all(players.slice(i, i + options.connectBatch).map(p => p.connect()));
+    }
+    const connected = players.filter(p => p.socket.connected);
+    console.log(`🔌 ${connected.length}/${players.length} sockets connected`);
+
+    // join-room only works once the quiz is live - everyone joins at once, like quiz night
+    await axios.post(`${serverUrl}/api/admin/quizzes/${quiz._id}/start`, {}, {
+      headers: { Authorization: `Bearer ${token(admin)}` }
+    });
+    connected.forEach(p => p.join());
+
+    const quizMs = options.questions * (options.timePerQuestion * 1000 + 1000);
+    const deadline = Date.now() + quizMs + QUIZ_END_SLACK_MS;
+    while (Date.now() < deadline && connected.some(p => p.joined && !p.quizEnded)) {
+      await sleep(1000);
+    }
+    await sleep(2000); // final standings are written just before quiz-ended goes out
+
+    const standings = await verifyStandings(quiz, players.filter(p => p.joined));
+    const report = {
+      runId,
+      options,
+      players: players.length,
+      connected: connected.length,
+      joined: players.filter(p => p.joined).length,
+      connectErrors: stats.connectErrors,
+      joinErrors: stats.joinErrors.length,
+      connectLatencyMs: latencySummary(stats.connectLatencies),
+      joinLatencyMs: latencySummary(stats.joinLatencies),
+      answers: {
+        sent: stats.sent,
+        accepted: stats.accepted,
+        rejected: stats.rejected,
+        noReply: stats.sent - stats.accepted - Object.values(stats.rejected).reduce((a, b) => a + b, 0),
+        skippedTooLate: stats.skippedLate
+      },
+      answerAcceptanceLatencyMs: latencySummary(stats.answerLatencies),
+      droppedEvents: droppedEvents(players),
+      disconnects: stats.disconnects,
+      forcedDisconnects: stats.forcedDisconnects,
+      standings: {
+        quizCompleted: standings.quizCompleted,
+        scoreMismatches: standings.scoreMismatches.length,
+        rankInversions: standings.rankInversions.length,
+        sampleScoreMismatches: standings.scoreMismatches.slice(0, 10),
+        sampleRankInversions: standings.rankInversions.slice(0, 10)
+      }
+    };
+
+    players.forEach(p => p.socket?.disconnect());
+
+    console.log("\n📊 Load test report");
+    console.log(JSON.stringify(report, null, 2));
+    if (options.json) fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+
+    const healthy = standings.quizCompleted
+      && standings.scoreMismatches.length === 0
+      && standings.rankInversions.length === 0
+      && report.answers.accepted === report.answers.sent;
+    console.log(healthy ? "✅ All answers accepted and final standings match" : "❌ Load test found problems (see report)");
+    return healthy;
+  } finally {
+    if (seeded && !options.keep) await cleanup(seeded);
+    await stopServer(server);
+    await mongoose.disconnect();
+  }
+}
+
+run()
+  .then(healthy => process.exit(healthy ? 0 : 1))
+  .catch(err => {
+    console.error("❌ Load test failed:", err);
+    process.exit(1);
+  });
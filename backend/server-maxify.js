@@ -22,10 +22,13 @@ import userRoutes from "./routes/userRoutes.js";
 import blogRoutes from "./routes/blogRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
+import groupRoutes from "./routes/groupRoutes.js";
+import challengeRoutes from "./routes/challengeRoutes.js";
 import { webhookHandler } from "./controllers/paymentController.js";
 import { initializeQuizScheduler, setIoInstance } from "./utils/quizScheduler.js";
+import { registerQuizSocketHandlers } from "./utils/quizSocketHandlers.js";
+import { registerChallengeSocketHandlers } from "./utils/challengeSocketHandlers.js";
 import { startDeletionWorker } from "./utils/deletionWorker.js";
-import Quiz from "./models/Quiz.js";
 import User from "./models/User.js";
 import { getRedisClient } from "./config/redis.js";
 import fs from "fs";
@@ -289,6 +292,8 @@ app.use("/api/payment", paymentRoutes);
 app.use("/api/blogs", blogRoutes);
 app.use("/api", userRoutes);
 app.use("/api/reports", reportRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/challenges", challengeRoutes);
 
 app.use("/api/notifications", notificationRoutes);
 
@@ -377,8 +382,6 @@ const socketAuth = async (socket, next) => {
 
 io.use(socketAuth);
 
-// Keep small in-memory map for active connections (safe because we rely on Redis adapter for multi-instance)
-const activeSockets = new Map(); // userId -> Set(socketId)
 // Store active connected users for notifications
 global.onlineUsers = new Map(); // userId => socketId
 
@@ -422,314 +425,15 @@ emitLiveStats();
   const username = socket.user?.fullName || 'unknown';
   console.log(`🔌 Socket connected: ${username} (${socket.userId})`);
 
-  socket.on("join-room", async ({ roomId, deviceId }) => {
-    try {
-      const quizId = roomId;
-      const userId = socket.userId;
-
-      const quiz = await Quiz.findById(quizId);
-      if (!quiz) {
-        socket.emit("join-error", { message: "Quiz not found" });
-        return;
-      }
-      if (!quiz.isLive) {
-        socket.emit("join-error", { message: "Quiz is not live yet" });
-        return;
-      }
-
-      const participant = quiz.participants.find(p => p.user.toString() === userId && p.paid === true);
-      if (!participant) {
-        socket.emit("join-error", { message: "You are not registered or payment not verified" });
-        return;
-      }
-
-      // device enforcement logic (preserve from your existing implementation)
-      if (deviceId) {
-        const u = await User.findById(userId);
-        if (u) {
-          if (!u.deviceId) {
-            u.deviceId = deviceId;
-            await u.save();
-          } else if (u.deviceId !== deviceId) {
-            if (process.env.NODE_ENV === 'production') {
-              socket.emit("join-error", { message: "Device mismatch detected. Please use the same device you registered with." });
-              return;
-            } else {
-              u.deviceId = deviceId;
-              await u.save();
-            }
-          }
-        }
-      }
-
-      if (!activeSockets.has(userId)) activeSockets.set(userId, new Set());
-      const userSockets = activeSockets.get(userId);
-
-      // disconnect old sockets to prevent multi-login in same quiz
-      if (userSockets.size > 0) {
-        userSockets.forEach(oldSocketId => {
-          const oldSocket = io.sockets.sockets.get(oldSocketId);
-          if (oldSocket) {
-            oldSocket.emit("force-disconnect", { message: "You connected from another device/session" });
-            oldSocket.disconnect(true);
-          }
-        });
-        userSockets.clear();
-      }
-
-      userSockets.add(socket.id);
-      socket.join(`quiz-${quizId}`);
-
-      // Atomic participant update
-      try {
-        await Quiz.findOneAndUpdate(
-          { _id: quizId, 'participants.user': userId },
-          {
-            $set: {
-              'participants.$.socketId': socket.id,
-              'participants.$.ipAddress': socket.handshake.address,
-              'participants.$.userAgent': socket.handshake.headers['user-agent'],
-              'participants.$.lastSubmissionAt': new Date()
-            }
-          },
-          { new: true }
-        );
-      } catch (error) {
-        console.error("Join room atomic update failed:", error);
-        // fallback: best-effort retry once
-        const updatedQuiz = await Quiz.findById(quizId);
-        const updatedParticipant = updatedQuiz?.participants?.find(p => p.user.toString() === userId && p.paid === true);
-        if (!updatedParticipant) {
-          socket.emit("join-error", { message: "Failed to join quiz. Please try again." });
-          return;
-        }
-      }
-
-      socket.emit("joined", { roomId: `quiz-${quizId}` });
-      socket.to(`quiz-${quizId}`).emit("user-joined", { userId, username: socket.user.fullName });
-
-      // If quiz is live, immediately emit the current question state (existing logic preserved)
-      if (quiz.isLive && typeof quiz.currentQuestionIndex === 'number' && quiz.currentQuestionIndex >= 0) {
-        const idx = quiz.currentQuestionIndex;
-        const q = quiz.questions[idx];
-        if (q) {
-          const startMs = quiz.questionStartTime ? quiz.questionStartTime.getTime() : Date.now();
-          const elapsedMs = Date.now() - startMs;
-          const durationMs = (quiz.timePerQuestion || 15) * 1000;
-          const remainingMs = Math.max(0, durationMs - elapsedMs);
-          socket.emit('question', {
-            questionIndex: idx + 1,
-            totalQuestions: quiz.totalQuestions,
-            question: {
-              _id: q._id,
-              text: q.text,
-              options: q.options,
-              category: q.category,
-              points: q.points
-            },
-            timeLeft: remainingMs,
-            startTime: startMs,
-            duration: durationMs
-          });
-        }
-      }
-
-    } catch (err) {
-      console.error("join-room error:", err);
-      socket.emit("join-error", { message: err.message || "Failed to join quiz" });
-    }
-  });
-
-  // submit-answer handler (preserve your logic)
-  socket.on("submit-answer", async (payload) => {
-    try {
-      const { roomId, questionId, selectedIndex } = payload;
-      const userId = socket.userId;
-
-      if (!roomId || !userId || !questionId || selectedIndex === undefined) {
-        socket.emit("answer-error", { message: "Invalid answer data" });
-        return;
-      }
-
-      const quiz = await Quiz.findById(roomId);
-      if (!quiz) {
-        socket.emit("answer-error", { message: "Quiz not found" });
-        return;
-      }
-
-      if (!quiz.isLive) {
-        socket.emit("answer-error", { message: "Quiz is not live" });
-        return;
-      }
-
-      const participant = quiz.participants.find(p => p.user.toString() === userId && p.paid === true);
-      if (!participant) {
-        socket.emit("answer-error", { message: "User not registered for this quiz" });
-        return;
-      }
-
-      const question = quiz.questions.find(q => q._id.toString() === questionId);
-      if (!question) {
-        socket.emit("answer-error", { message: "Question not found" });
-        return;
-      }
-
-      const existingAnswer = participant.answers.find(a => a.questionId.toString() === questionId);
-      if (existingAnswer) {
-        socket.emit("answer-error", { message: "Question already answered" });
-        return;
-      }
-
-      const now = Date.now();
-      const questionStartTime = quiz.questionStartTime?.getTime() || 0;
-      const timeElapsed = (now - questionStartTime) / 1000;
-
-      if (timeElapsed > quiz.timePerQuestion + 1) {
-        socket.emit("answer-error", { message: "Time limit exceeded" });
-        return;
-      }
-
-      const isCorrect = selectedIndex === question.correctIndex;
-      const points = isCorrect ? question.points : 0;
-      const timeTaken = Math.round(timeElapsed);
-
-      // Use atomic update to prevent race conditions
-      const updatedQuiz = await Quiz.findOneAndUpdate(
-        {
-          _id: roomId,
-          'participants.user': userId,
-          'participants.paid': true,
-          'participants.answers.questionId': { $ne: questionId } // Ensure not already answered
-        },
-        {
-          $push: {
-            'participants.$.answers': {
-              questionId,
-              selectedIndex,
-              correct: isCorrect,
-              timeTaken,
-              points,
-              submittedAt: new Date(),
-              serverTimeReceived: new Date()
-            }
-          },
-          $inc: {
-            'participants.$.score': points,
-            'participants.$.totalQuestions': 1,
-            'participants.$.correctAnswers': isCorrect ? 1 : 0,
-            'participants.$.timeSpent': timeTaken
-          },
-          $set: {
-            'participants.$.lastSubmissionAt': new Date()
-          }
-        },
-        { new: true }
-      );
-
-      if (!updatedQuiz) {
-        socket.emit("answer-error", { message: "Failed to save answer or already answered" });
-        return;
-      }
-
-      // Get updated participant for response
-      const updatedParticipant = updatedQuiz.participants.find(p => p.user.toString() === userId && p.paid === true);
-
-      socket.emit("answer-result", {
-        questionId,
-        correct: isCorrect,
-        points,
-        totalScore: updatedParticipant?.score || 0,
-        timeElapsed: timeTaken
-      });
-
-      socket.to(`quiz-${roomId}`).emit("participant-answered", {
-        userId,
-        username: socket.user.fullName
-      });
-    } catch (err) {
-      console.error("submit-answer error:", err);
-      socket.emit("answer-error", { message: "Failed to process answer" });
-    }
-  });
-
-  // complete-quiz handler (preserve your logic)
-  socket.on("complete-quiz", async ({ roomId }) => {
-    try {
-      const userId = socket.userId;
-      const quiz = await Quiz.findById(roomId);
-      if (!quiz) {
-        socket.emit("quiz-error", { message: "Quiz not found" });
-        return;
-      }
-      const participant = quiz.participants.find(p => p.user.toString() === userId);
-      if (!participant) {
-        socket.emit("quiz-error", { message: "User not registered for this quiz" });
-        return;
-      }
-      if (participant.isCompleted) {
-        socket.emit("quiz-error", { message: "Quiz already completed" });
-        return;
-      }
-
-      participant.isCompleted = true;
-      participant.endTime = new Date();
-
-      const sortedParticipants = quiz.participants
-        .filter(p => p.isCompleted)
-        .sort((a, b) => b.score - a.score || a.timeSpent - b.timeSpent);
-
-      const rank = sortedParticipants.findIndex(p => p.user.toString() === userId) + 1;
-      participant.rank = rank;
-      await quiz.save();
-
-      const user = await User.findById(userId);
-      if (user) {
-        const existingHistory = user.quizHistory.find(h => h.quizId && h.quizId.toString() === quiz._id.toString());
-        if (!existingHistory) {
-          user.quizHistory.push({
-            quizId: quiz._id,
-            score: participant.score,
-            date: quiz.date || new Date(),
-            rank,
-            correctAnswers: participant.correctAnswers,
-            totalQuestions: participant.totalQuestions,
-            timeSpent: participant.timeSpent
-          });
-          await user.save();
-        } else {
-          existingHistory.score = participant.score;
-          existingHistory.rank = rank;
-          existingHistory.correctAnswers = participant.correctAnswers;
-          existingHistory.totalQuestions = participant.totalQuestions;
-          existingHistory.timeSpent = participant.timeSpent;
-          await user.save();
-        }
-      }
-
-      socket.emit("quiz-completed", {
-        score: participant.score,
-        rank,
-        correctAnswers: participant.correctAnswers,
-        totalQuestions: participant.totalQuestions,
-        timeSpent: participant.timeSpent
-      });
-    } catch (err) {
-      console.error("complete-quiz error:", err);
-      socket.emit("quiz-error", { message: "Failed to complete quiz" });
-    }
-  });
+  // Live quiz protocol (join-room / submit-answer / complete-quiz)
+  registerQuizSocketHandlers(io, socket);
+  registerChallengeSocketHandlers(io, socket);
 
   socket.on("disconnect", (reason) => {
     try {
 
       global.onlineUsers.delete(socket.userId);
 
-      const userId = socket.userId;
-      if (userId && activeSockets.has(userId)) {
-        const set = activeSockets.get(userId);
-        set.delete(socket.id);
-        if (set.size === 0) activeSockets.delete(userId);
-      }
       console.log(`🔌 Socket disconnected: ${socket.userId} (reason: ${reason})`);
     } catch (e) {
       console.warn("socket disconnect cleanup error", e);
@@ -25,13 +25,16 @@ import userRoutes from "./routes/userRoutes.js";
 import blogRoutes from "./routes/blogRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
+import groupRoutes from "./routes/groupRoutes.js";
+import challengeRoutes from "./routes/challengeRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 
 import { webhookHandler } from "./controllers/paymentController.js";
 import { initializeQuizScheduler, setIoInstance } from "./utils/quizScheduler.js";
+import { registerQuizSocketHandlers } from "./utils/quizSocketHandlers.js";
+import { registerChallengeSocketHandlers } from "./utils/challengeSocketHandlers.js";
 import { startDeletionWorker } from "./utils/deletionWorker.js";
 
-import Quiz from "./models/Quiz.js";
 import User from "./models/User.js";
 import { getRedisClient } from "./config/redis.js";
 
@@ -314,6 +317,8 @@ app.use("/api/payment", paymentRoutes);
 app.use("/api/blogs", blogRoutes);
 app.use("/api", userRoutes);
 app.use("/api/reports", reportRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/challenges", challengeRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/admin-auth", adminAuthRoutes);
@@ -362,8 +367,7 @@ const socketAuth = async (socket, next) => {
 };
 io.use(socketAuth);
 
-// ---------------------- Active socket tracking ----------------------
-const activeSockets = new Map();
+// ---------------------- Online user tracking ----------------------
 global.onlineUsers = new Map();
 
 // ---------------------- Socket.IO Events ----------------------
@@ -385,136 +389,13 @@ io.on("connection", (socket) => {
   };
   emitLiveStats();
 
-  // --- Quiz join ---
-  socket.on("join-room", async ({ roomId, deviceId }) => {
-    try {
-      const quiz = await Quiz.findById(roomId);
-      if (!quiz || !quiz.isLive) return socket.emit("join-error", { message: "Quiz not available" });
-
-      const participant = quiz.participants.find(p => p.user.toString() === userId && p.paid);
-      if (!participant) return socket.emit("join-error", { message: "Not registered" });
-
-      if (deviceId) {
-        const u = await User.findById(userId);
-        if (u.deviceId && u.deviceId !== deviceId && process.env.NODE_ENV === "production") {
-          return socket.emit("join-error", { message: "Device mismatch" });
-        } else u.deviceId = deviceId;
-        await u.save();
-      }
-
-      if (!activeSockets.has(userId)) activeSockets.set(userId, new Set());
-      const userSockets = activeSockets.get(userId);
-      userSockets.forEach(sid => {
-        const oldSocket = io.sockets.sockets.get(sid);
-        if (oldSocket) {
-          oldSocket.emit("force-disconnect", { message: "Connected elsewhere" });
-          oldSocket.disconnect(true);
-        }
-      });
-      userSockets.clear();
-      userSockets.add(socket.id);
-      socket.join(`quiz-${roomId}`);
-
-      await Quiz.findOneAndUpdate(
-        { _id: roomId, "participants.user": userId },
-        {
-          $set: {
-            "participants.$.socketId": socket.id,
-            "participants.$.ipAddress": socket.handshake.address,
-            "participants.$.userAgent": socket.handshake.headers["user-agent"],
-            "participants.$.lastSubmissionAt": new Date(),
-          },
-        }
-      );
-
-      socket.emit("joined", { roomId: `quiz-${roomId}` });
-      socket.to(`quiz-${roomId}`).emit("user-joined", { userId, username });
-
-      // emit current question if quiz live
-      if (quiz.currentQuestionIndex >= 0) {
-        const q = quiz.questions[quiz.currentQuestionIndex];
-        if (q) {
-          const startMs = quiz.questionStartTime?.getTime() || Date.now();
-          const elapsedMs = Date.now() - startMs;
-          const durationMs = (quiz.timePerQuestion || 15) * 1000;
-          socket.emit("question", { questionIndex: quiz.currentQuestionIndex + 1, totalQuestions: quiz.totalQuestions, question: q, timeLeft: Math.max(0, durationMs - elapsedMs), startTime: startMs, duration: durationMs });
-        }
-      }
-    } catch (err) {
-      socket.emit("join-error", { message: err.message || "Join failed" });
-    }
-  });
-
-  // --- Submit answer ---
-  socket.on("submit-answer", async ({ roomId, questionId, selectedIndex }) => {
-    try {
-      if (!roomId || !questionId || selectedIndex === undefined) return socket.emit("answer-error", { message: "Invalid data" });
-      const quiz = await Quiz.findById(roomId);
-      if (!quiz || !quiz.isLive) return socket.emit("answer-error", { message: "Quiz not live" });
-      const participant = quiz.participants.find(p => p.user.toString() === userId && p.paid);
-      if (!participant) return socket.emit("answer-error", { message: "Not registered" });
-      const question = quiz.questions.find(q => q._id.toString() === questionId);
-      if (!question) return socket.emit("answer-error", { message: "Question not found" });
-
-      const now = Date.now();
-      const timeElapsed = (now - (quiz.questionStartTime?.getTime() || 0)) / 1000;
-      if (timeElapsed > quiz.timePerQuestion + 1) return socket.emit("answer-error", { message: "Time exceeded" });
-
-      const isCorrect = selectedIndex === question.correctIndex;
-      const points = isCorrect ? question.points : 0;
-      const updatedQuiz = await Quiz.findOneAndUpdate(
-        { _id: roomId, "participants.user": userId, "participants.answers.questionId": { $ne: questionId } },
-        {
-          $push: { "participants.$.answers": { questionId, selectedIndex, correct: isCorrect, points, timeTaken: Math.round(timeElapsed), submittedAt: new Date(), serverTimeReceived: new Date() } },
-          $inc: { "participants.$.score": points, "participants.$.totalQuestions": 1, "participants.$.correctAnswers": isCorrect ? 1 : 0, "participants.$.timeSpent": Math.round(timeElapsed) },
-          $set: { "participants.$.lastSubmissionAt": new Date() },
-        },
-        { new: true }
-      );
-      const updatedParticipant = updatedQuiz.participants.find(p => p.user.toString() === userId);
-      socket.emit("answer-result", { questionId, correct: isCorrect, points, totalScore: updatedParticipant.score, timeElapsed: Math.round(timeElapsed) });
-      socket.to(`quiz-${roomId}`).emit("participant-answered", { userId, username });
-    } catch (err) {
-      socket.emit("answer-error", { message: "Failed to submit" });
-    }
-  });
-
-  // --- Complete quiz ---
-  socket.on("complete-quiz", async ({ roomId }) => {
-    try {
-      const quiz = await Quiz.findById(roomId);
-      const participant = quiz.participants.find(p => p.user.toString() === userId);
-      if (!quiz || !participant) return socket.emit("quiz-error", { message: "Quiz not found" });
-      if (participant.isCompleted) return socket.emit("quiz-error", { message: "Already completed" });
-
-      participant.isCompleted = true;
-      participant.endTime = new Date();
-      const sorted = quiz.participants.filter(p => p.isCompleted).sort((a, b) => b.score - a.score || a.timeSpent - b.timeSpent);
-      participant.rank = sorted.findIndex(p => p.user.toString() === userId) + 1;
-      await quiz.save();
-
-      const user = await User.findById(userId);
-      if (user) {
-        const existing = user.quizHistory.find(h => h.quizId?.toString() === quiz._id.toString());
-        if (!existing) user.quizHistory.push({ quizId: quiz._id, score: participant.score, date: quiz.date || new Date(), rank: participant.rank, correctAnswers: participant.correctAnswers, totalQuestions: participant.totalQuestions, timeSpent: participant.timeSpent });
-        else Object.assign(existing, { score: participant.score, rank: participant.rank, correctAnswers: participant.correctAnswers, totalQuestions: participant.totalQuestions, timeSpent: participant.timeSpent });
-        await user.save();
-      }
-
-      socket.emit("quiz-completed", { score: participant.score, rank: participant.rank, correctAnswers: participant.correctAnswers, totalQuestions: participant.totalQuestions, timeSpent: participant.timeSpent });
-    } catch (err) {
-      socket.emit("quiz-error", { message: "Failed to complete" });
-    }
-  });
+  // --- Live quiz protocol ---
+  registerQuizSocketHandlers(io, socket);
+  registerChallengeSocketHandlers(io, socket);
 
   // Disconnect
   socket.on("disconnect", (reason) => {
     global.onlineUsers.delete(socket.userId);
-    if (activeSockets.has(userId)) {
-      const set = activeSockets.get(userId);
-      set.delete(socket.id);
-      if (set.size === 0) activeSockets.delete(userId);
-    }
     console.log(`🔌 Socket disconnected: ${userId} (${reason})`);
   });
 
@@ -7,11 +7,12 @@ const instance = new Razorpay({
   key_secret: process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret'
 });
 
-async function createOrder(amountPaise, receipt) {
+async function createOrder(amountPaise, receipt, notes) {
   const options = {
     amount: amountPaise,
     currency: 'INR',
-    receipt: receipt || `rcpt_${Date.now()}`
+    receipt: receipt || `rcpt_${Date.now()}`,
+    ...(notes && { notes })
   };
   return instance.orders.create(options);
 }
@@ -0,0 +1,173 @@
+// backend/utils/antiCheat.js
+// Post-quiz anti-cheat pass. Reads what the live quiz already recorded per participant
+// (IP, device, answer timings and selections), writes a CheatFlag per suspicious signal
+// and keeps flagged participants out of the winners until an admin clears them.
+import Quiz from '../models/Quiz.js';
+import User from '../models/User.js';
+import CheatFlag from '../models/CheatFlag.js';
+import { getAnswersByUser, answersOf } from './quizAnswers.js';
+
+export const ANTI_CHEAT_THRESHOLDS = {
+  sharedIpMinAccounts: Number(process.env.ANTI_CHEAT_SHARED_IP_MIN || 10), // mobile CGNAT puts many real players on one IP
+  humanReactionMs: 500, // a correct answer faster than this is not read-and-answer
+  inhumanMinAnswers: 3, // correct answers under humanReactionMs before flagging
+  instantMs: 150, // "a few ms after question-start"
+  instantShare: 0.9, // share of a participant's answers under instantMs
+  minAnswersForPattern: 5, // answered questions needed for the sequence / instant checks
+  identicalMinWrong: 2 // identical sequences must share this many wrong answers to count
+};
+
+// Statuses that keep a participant out of the winners list
+const BLOCKING_STATUSES = ['open', 'confirmed'];
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+// Selection as a comparable string, whatever the question type
+const selectionKey = (answer) => {
+  if (answer.selectedIndexes?.length) return answer.selectedIndexes.join('+');
+  if (answer.numericAnswer !== undefined && answer.numericAnswer !== null) return `n${answer.numericAnswer}`;
+  if (answer.textAnswer) return `t${answer.textAnswer.trim().toLowerCase()}`;
+  return String(answer.selectedIndex);
+};
+
+/**
+ * Flags for one finished quiz, as plain objects { user, type, severity, details, relatedUsers }.
+ * `deviceIds` maps userId -> User.deviceId, `answersByUser` userId -> answers (getAnswersByUser).
+ */
+export function detectCheatSignals(quiz, deviceIds = new Map(), answersByUser = new Map()) {
+  const t = ANTI_CHEAT_THRESHOLDS;
+  const participants = quiz.participants
+    .filter(p => p.paid)
+    .map(p => ({ user: p.user, ipAddress: p.ipAddress, deviceInfo: p.deviceInfo, answers: answersOf(p, answersByUser) }));
+  const flags = [];
+  const userIdOf = (p) => p.user.toString();
+
+  // `linkMembers` stores the other accounts on each flag; large groups keep just the shared
+  // value and a count in details, as listing every member on every flag grows quadratically
+  const flagGroup = (groups, type, severity, minSize, describe, { linkMembers = true } = {}) => {
+    groups.forEach((members, value) => {
+      if (members.length < minSize) return;
+      members.forEach(p => flags.push({
+        user: p.user,
+        type,
+        severity,
+        details: describe(value, members),
+        relatedUsers: linkMembers ? members.filter(m => m !== p).map(m => m.user) : []
+      }));
+    });
+  };
+
+  // Many accounts behind one IP
+  flagGroup(
+    groupBy(participants, p => p.ipAddress || p.deviceInfo?.ipAddress),
+    'shared-ip', 'medium', t.sharedIpMinAccounts,
+    (ip, members) => ({ ipAddress: ip, accounts: members.length }),
+    { linkMembers: false }
+  );
+
+  // Several accounts registered from one device
+  flagGroup(
+    groupBy(participants, p => deviceIds.get(userIdOf(p))),
+    'shared-device', 'high', 2,
+    (deviceId, members) => ({ deviceId, accounts: members.length })
+  );
+
+  participants.forEach(p => {
+    const timed = (p.answers || []).filter(a => typeof a.responseMs === 'number');
+
+    // Correct answers faster than anyone can read the question
+    const inhuman = timed.filter(a => a.correct && a.responseMs < t.humanReactionMs);
+    if (inhuman.length >= t.inhumanMinAnswers) {
+      flags.push({
+        user: p.user,
+        type: 'inhuman-speed',
+        severity: 'high',
+        details: {
+          answers: inhuman.length,
+          thresholdMs: t.humanReactionMs,
+          fastestMs: Math.min(...inhuman.map(a => a.responseMs))
+        }
+      });
+    }
+
+    // Answers landing right after question-start for the whole quiz (scripted client)
+    const instant = timed.filter(a => a.responseMs < t.instantMs);
+    if (timed.length >= t.minAnswersForPattern && instant.length / timed.length >= t.instantShare) {
+      flags.push({
+        user: p.user,
+        type: 'instant-answers',
+        severity: 'high',
+        details: { instant: instant.length, answered: timed.length, thresholdMs: t.instantMs }
+      });
+    }
+  });
+
+  // Identical answer sequences - including the same wrong answers - across accounts
+  const sequences = groupBy(participants, p => {
+    const answers = [...(p.answers || [])].sort((a, b) => String(a.questionId).localeCompare(String(b.questionId)));
+    const wrong = answers.filter(a => !a.correct).length;
+    if (answers.length < t.minAnswersForPattern || wrong < t.identicalMinWrong) return null;
+    return answers.map(a => `${a.questionId}:${selectionKey(a)}`).join('|');
+  });
+  flagGroup(
+    sequences, 'identical-answers', 'high', 2,
+    (_, members) => ({ accounts: members.length, answered: members[0].answers.length })
+  );
+
+  return flags;
+}
+
+/**
+ * Run the pass for a finished quiz and upsert its flags. Flags an admin already
+ * reviewed keep their status; the evidence is refreshed. Open flags whose signal no
+ * longer fires (changed thresholds, a regrade) are dropped.
+ */
+export async function runAntiCheatPass(quizId) {
+  const quiz = await Quiz.findById(quizId).select('participants');
+  if (!quiz) return 0;
+
+  const users = await User.find({ _id: { $in: quiz.participants.map(p => p.user) } }).select('deviceId');
+  const deviceIds = new Map(users.filter(u => u.deviceId).map(u => [u._id.toString(), u.deviceId]));
+
+  const flags = detectCheatSignals(quiz, deviceIds, await getAnswersByUser(quizId));
+  if (flags.length > 0) {
+    await CheatFlag.bulkWrite(flags.map(flag => ({
+      updateOne: {
+        filter: { quiz: quiz._id, user: flag.user, type: flag.type },
+        update: {
+          $set: { severity: flag.severity, details: flag.details, relatedUsers: flag.relatedUsers || [] },
+          $setOnInsert: { status: 'open' }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  const current = new Set(flags.map(f => `${f.user}:${f.type}`));
+  const open = await CheatFlag.find({ quiz: quiz._id, status: 'open' }).select('user type').lean();
+  const stale = open.filter(f => !current.has(`${f.user}:${f.type}`)).map(f => f._id);
+  if (stale.length > 0) await CheatFlag.deleteMany({ _id: { $in: stale }, status: 'open' });
+
+  const flaggedUsers = new Set(flags.map(f => f.user.toString())).size;
+  console.log(`🕵️ Anti-cheat pass for quiz ${quizId}: ${flags.length} flags on ${flaggedUsers} participants, ${stale.length} stale dropped`);
+  return flags.length;
+}
+
+/**
+ * Users held out of a quiz's winners until their flags are cleared
+ */
+export async function getExcludedUserIds(quizId) {
+  const userIds = await CheatFlag.distinct('user', { quiz: quizId, status: { $in: BLOCKING_STATUSES } });
+  return new Set(userIds.map(id => id.toString()));
+}
+
+export default { detectCheatSignals, runAntiCheatPass, getExcludedUserIds, ANTI_CHEAT_THRESHOLDS };
@@ -0,0 +1,412 @@
+// backend/utils/challengeSession.js
+// Live runner for head-to-head challenges. Both players get the same questions in the same
+// order on one clock, in a challenge-<id> room apart from the daily quiz rooms.
+// Every clock step (start a question, close it, finish) is a compare-and-set on the
+// Challenge document, so whichever instance drives the clock - the one that saw both
+// players ready, or one that picks up a stalled clock - a step never runs twice.
+import Challenge from '../models/Challenge.js';
+import Block from '../models/Block.js';
+import { toClientQuestion, userRoom } from './quizSession.js';
+import { evaluateAnswer, revealAnswer } from './questionTypes.js';
+import { scoreAnswer } from './quizScoring.js';
+
+const START_COUNTDOWN_MS = 3000; // "get ready" between both players ready and question 1
+const QUESTION_GAP_MS = 2000; // the reveal stays up this long before the next question
+const ANSWER_GRACE_SEC = 1; // network slack accepted after the clock runs out
+const MAX_LATENCY_ALLOWANCE_MS = Number(process.env.QUIZ_MAX_LATENCY_ALLOWANCE_MS || 400); // deadline only
+const STALL_MS = 15000; // a clock step this overdue lost its instance
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+let ioInstance = null;
+let sweepInterval = null;
+// challengeId -> timeout of the next clock step, for challenges this instance drives
+const challengeTimers = new Map();
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const setChallengeIo = (io) => {
+  ioInstance = io;
+};
+
+/**
+ * Socket.IO room of one challenge
+ */
+export const challengeRoom = (challengeId) => `challenge-${challengeId}`;
+
+export const emitToChallenge = (challengeId, event, payload) => {
+  if (ioInstance) ioInstance.to(challengeRoom(challengeId)).emit(event, payload);
+};
+
+export const notifyUser = (userId, event, payload) => {
+  if (ioInstance) ioInstance.to(userRoom(userId)).emit(event, payload);
+};
+
+// Errors raised here carry a statusCode so REST callers can map them directly
+export const challengeError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Whether either user blocked the other - blocked users cannot challenge each other
+ */
+export const isBlockedBetween = async (userA, userB) => !!(await Block.exists({
+  $or: [
+    { blockedBy: userA, blockedUser: userB },
+    { blockedBy: userB, blockedUser: userA }
+  ]
+}));
+
+export const playerOf = (challenge, userId) =>
+  challenge.players.find(p => (p.user?._id || p.user).toString() === String(userId));
+
+// Both players see options in stored order
+const optionOrderOf = (question) => (question.options || []).map((_, i) => i);
+
+const answerTo = (player, question) => player.answers.find(a => a.questionId?.toString() === question._id.toString());
+
+const scoreboard = (challenge) => challenge.players.map(p => ({
+  userId: p.user?._id || p.user,
+  score: round2(p.score || 0),
+  correctAnswers: p.correctAnswers || 0,
+  answered: p.answers.length
+}));
+
+/**
+ * The question on the clock with the server-computed remaining time, or null between questions
+ */
+const questionPayload = (challenge, now = Date.now()) => {
+  const index = challenge.currentQuestionIndex;
+  const question = challenge.questions[index];
+  if (!question || challenge.closedQuestionIndex >= index || !challenge.questionStartTime) return null;
+
+  const startTime = challenge.questionStartTime.getTime();
+  const duration = challenge.timePerQuestion * 1000;
+  return {
+    challengeId: challenge._id.toString(),
+    questionIndex: index + 1,
+    totalQuestions: challenge.questions.length,
+    question: toClientQuestion(question),
+    timeLeft: Math.max(0, startTime + duration - now),
+    startTime,
+    duration,
+    serverTime: now
+  };
+};
+
+/**
+ * Everything a (re)joining player needs: status, scores, the question on the clock and
+ * whether they already answered it
+ */
+export const buildChallengeState = (challenge, userId, now = Date.now()) => {
+  const current = challenge.status === 'live' ? questionPayload(challenge, now) : null;
+  const player = playerOf(challenge, userId);
+  return {
+    challengeId: challenge._id.toString(),
+    status: challenge.status,
+    totalQuestions: challenge.questions.length,
+    timePerQuestion: challenge.timePerQuestion,
+    startedAt: challenge.startedAt || null,
+    players: challenge.players.map(p => ({ userId: p.user?._id || p.user, ready: !!p.readyAt })),
+    scoreboard: scoreboard(challenge),
+    current,
+    currentAnswered: !!current && !!player && !!answerTo(player, challenge.questions[challenge.currentQuestionIndex]),
+    serverTime: now
+  };
+};
+
+/**
+ * Result screen: both players' totals, the winner and every question with the answer key
+ * and what each player answered
+ */
+export const buildChallengeResult = async (challenge) => {
+  await challenge.populate('players.user', 'fullName username profileImage');
+  return {
+    challengeId: challenge._id.toString(),
+    status: challenge.status,
+    winner: challenge.winner || null,
+    isDraw: challenge.isDraw,
+    startedAt: challenge.startedAt,
+    endedAt: challenge.endedAt,
+    players: challenge.players.map(p => ({
+      user: p.user,
+      score: round2(p.score || 0),
+      correctAnswers: p.correctAnswers || 0,
+      timeSpent: p.timeSpent || 0,
+      answered: p.answers.length
+    })),
+    questions: challenge.questions.map((question, index) => ({
+      questionIndex: index + 1,
+      ...toClientQuestion(question),
+      ...revealAnswer(question, optionOrderOf(question)),
+      explanation: question.explanation,
+      answers: challenge.players.map(p => {
+        const answer = answerTo(p, question);
+        return {
+          userId: p.user?._id || p.user,
+          answered: !!answer,
+          correct: answer?.correct || false,
+          points: answer?.points || 0,
+          timeTaken: answer?.timeTaken ?? null,
+          selectedIndex: answer?.selectedIndex,
+          selectedIndexes: answer?.selectedIndexes,
+          numericAnswer: answer?.numericAnswer,
+          textAnswer: answer?.textAnswer
+        };
+      })
+    }))
+  };
+};
+
+const scheduleStep = (challengeId, step, delayMs) => {
+  clearTimeout(challengeTimers.get(challengeId));
+  challengeTimers.set(challengeId, setTimeout(() => {
+    challengeTimers.delete(challengeId);
+    step().catch(err => console.error(`❌ Challenge ${challengeId} clock step failed:`, err));
+  }, Math.max(0, delayMs)));
+};
+
+/**
+ * Mark a player ready in the room; the second ready player starts the countdown
+ */
+export const markPlayerReady = async (challengeId, userId) => {
+  const challenge = await Challenge.findOneAndUpdate(
+    { _id: challengeId, status: 'accepted', players: { $elemMatch: { user: userId, readyAt: null } } },
+    { $set: { 'players.$.readyAt': new Date() } },
+    { new: true, projection: { players: 1 } }
+  );
+  if (!challenge) return false;
+
+  emitToChallenge(challengeId, 'challenge-player-ready', { challengeId: String(challengeId), userId: String(userId) });
+  if (challenge.players.length === 2 && challenge.players.every(p => p.readyAt)) {
+    await startChallenge(challengeId);
+  }
+  return true;
+};
+
+/**
+ * Take an accepted challenge live; question 1 follows a short countdown
+ */
+async function startChallenge(challengeId) {
+  const startsAt = new Date(Date.now() + START_COUNTDOWN_MS);
+  const live = await Challenge.findOneAndUpdate(
+    { _id: challengeId, status: 'accepted' },
+    { $set: { status: 'live', startedAt: startsAt } },
+    { new: true, projection: { _id: 1 } }
+  );
+  if (!live) return;
+
+  const id = live._id.toString();
+  console.log(`⚔️ Challenge ${id} starting`);
+  emitToChallenge(id, 'challenge-starting', { challengeId: id, startsAt, serverTime: Date.now() });
+  scheduleStep(id, () => runChallengeQuestion(id, 0), START_COUNTDOWN_MS);
+}
+
+/**
+ * Put question `index` on the clock and schedule its close
+ */
+async function runChallengeQuestion(challengeId, index) {
+  const challenge = await Challenge.findOneAndUpdate(
+    { _id: challengeId, status: 'live', currentQuestionIndex: index - 1 },
+    { $set: { currentQuestionIndex: index, questionStartTime: new Date() } },
+    { new: true }
+  );
+  if (!challenge || !challenge.questions[index]) return;
+
+  emitToChallenge(challengeId, 'challenge-question', questionPayload(challenge));
+  scheduleStep(challengeId, () => closeChallengeQuestion(challengeId, index), challenge.timePerQuestion * 1000);
+}
+
+/**
+ * Close question `index`: reveal the answer and both players' results, then move on
+ */
+async function closeChallengeQuestion(challengeId, index) {
+  const challenge = await Challenge.findOneAndUpdate(
+    { _id: challengeId, status: 'live', currentQuestionIndex: index, closedQuestionIndex: { $lt: index } },
+    { $set: { closedQuestionIndex: index } },
+    { new: true }
+  );
+  if (!challenge) return;
+
+  const question = challenge.questions[index];
+  emitToChallenge(challengeId, 'challenge-question-ended', {
+    challengeId: String(challengeId),
+    questionIndex: index + 1,
+    questionId: question._id,
+    ...revealAnswer(question, optionOrderOf(question)),
+    explanation: question.explanation,
+    results: challenge.players.map(p => {
+      const answer = answerTo(p, question);
+      return { userId: p.user, answered: !!answer, correct: answer?.correct || false, points: answer?.points || 0 };
+    }),
+    scoreboard: scoreboard(challenge)
+  });
+
+  const next = index + 1 < challenge.questions.length
+    ? () => runChallengeQuestion(challengeId, index + 1)
+    : () => finishChallenge(challengeId);
+  scheduleStep(challengeId, next, QUESTION_GAP_MS);
+}
+
+/**
+ * End a live challenge: more points wins, then less time spent; otherwise a draw
+ */
+export async function finishChallenge(challengeId) {
+  const challenge = await Challenge.findOne({ _id: challengeId, status: 'live' }).select('players');
+  if (!challenge) return null;
+
+  const [first, second] = challenge.players;
+  let winner = null;
+  if (first && second) {
+    const diff = round2(first.score) - round2(second.score) || (second.timeSpent || 0) - (first.timeSpent || 0);
+    if (diff !== 0) winner = diff > 0 ? first.user : second.user;
+  } else if (first) {
+    winner = first.user;
+  }
+
+  const done = await Challenge.findOneAndUpdate(
+    { _id: challengeId, status: 'live' },
+    {
+      $set: { status: 'completed', endedAt: new Date(), isDraw: !winner, ...(winner && { winner }) },
+      ...(!winner && { $unset: { winner: 1 } })
+    },
+    { new: true }
+  );
+  if (!done) return null;
+
+  clearTimeout(challengeTimers.get(String(challengeId)));
+  challengeTimers.delete(String(challengeId));
+
+  const result = await buildChallengeResult(done);
+  emitToChallenge(challengeId, 'challenge-ended', result);
+  console.log(`🏁 Challenge ${challengeId} ended${winner ? `, won by ${winner}` : ' in a draw'}`);
+  return result;
+}
+
+/**
+ * Record one player's answer to the question on the clock. Once both players have answered,
+ * the question closes without waiting out the clock.
+ * `latencyMs` is the socket's measured one-way latency (see timeSync.js); it only widens the
+ * deadline - points are scored on the server clock.
+ */
+export const recordChallengeAnswer = async ({ challengeId, userId, questionId, selectedIndex, selectedIndexes, value, latencyMs = 0 }) => {
+  if (!challengeId || !userId || !questionId) throw challengeError('Invalid answer data');
+
+  const challenge = await Challenge.findOne({ _id: challengeId, 'players.user': userId });
+  if (!challenge) throw challengeError('Challenge not found', 404);
+  if (challenge.status !== 'live') throw challengeError('Challenge is not live');
+
+  const index = challenge.currentQuestionIndex;
+  const question = challenge.questions[index];
+  if (!question || question._id.toString() !== String(questionId) || challenge.closedQuestionIndex >= index) {
+    throw challengeError('Question is not active');
+  }
+
+  const evaluation = evaluateAnswer(question, { selectedIndex, selectedIndexes, value }, optionOrderOf(question));
+  if (!evaluation) throw challengeError('Invalid answer data');
+
+  const allowanceMs = Math.min(Math.max(0, Number(latencyMs) || 0), MAX_LATENCY_ALLOWANCE_MS);
+  const responseMs = Math.max(0, Date.now() - challenge.questionStartTime.getTime());
+  if (responseMs - allowanceMs > (challenge.timePerQuestion + ANSWER_GRACE_SEC) * 1000) throw challengeError('Time limit exceeded');
+  const timeElapsed = responseMs / 1000;
+
+  // Consecutive correct answers right before this question
+  const player = playerOf(challenge, userId);
+  let streak = 0;
+  for (let i = index - 1; i >= 0 && answerTo(player, challenge.questions[i])?.correct; i--) streak++;
+
+  const { correct, credit, stored } = evaluation;
+  const { points } = scoreAnswer({ quiz: challenge, question, correct, credit, timeElapsed, streak });
+  const timeTaken = Math.round(timeElapsed);
+
+  const updated = await Challenge.findOneAndUpdate(
+    {
+      _id: challengeId,
+      status: 'live',
+      currentQuestionIndex: index,
+      players: { $elemMatch: { user: userId, 'answers.questionId': { $ne: question._id } } }
+    },
+    {
+      $push: { 'players.$.answers': { questionId: question._id, ...stored, correct, credit, points, timeTaken, submittedAt: new Date() } },
+      $inc: { 'players.$.score': points, 'players.$.correctAnswers': correct ? 1 : 0, 'players.$.timeSpent': timeTaken }
+    },
+    { new: true, projection: { players: 1 } }
+  );
+  if (!updated) throw challengeError('Question already answered');
+
+  emitToChallenge(challengeId, 'challenge-opponent-answered', {
+    challengeId: String(challengeId),
+    userId: String(userId),
+    questionIndex: index + 1
+  });
+
+  // Only the driving instance holds the timer; elsewhere the clock closes the question
+  const id = String(challengeId);
+  if (challengeTimers.has(id) && updated.players.every(p => answerTo(p, question))) {
+    scheduleStep(id, () => closeChallengeQuestion(id, index), 0);
+  }
+
+  return {
+    questionId: question._id,
+    correct,
+    credit,
+    points,
+    totalScore: round2(playerOf(updated, userId).score)
+  };
+};
+
+/**
+ * Run the step a live challenge is overdue for when the instance driving it went away
+ */
+export const resumeStalledChallenge = async (challenge, now = Date.now()) => {
+  if (challenge.status !== 'live') return;
+  const id = challenge._id.toString();
+  if (challengeTimers.has(id)) return;
+
+  const index = challenge.currentQuestionIndex;
+  if (index < 0) {
+    if (now - challenge.startedAt.getTime() > STALL_MS) await runChallengeQuestion(id, 0);
+    return;
+  }
+
+  const questionEnd = challenge.questionStartTime.getTime() + challenge.timePerQuestion * 1000;
+  if (challenge.closedQuestionIndex < index) {
+    if (now - questionEnd > STALL_MS) await closeChallengeQuestion(id, index);
+    return;
+  }
+
+  if (now - questionEnd - QUESTION_GAP_MS > STALL_MS) {
+    if (index + 1 < challenge.questions.length) await runChallengeQuestion(id, index + 1);
+    else await finishChallenge(id);
+  }
+};
+
+/**
+ * Periodically lapse invites nobody played and pick up stalled clocks
+ */
+export const startChallengeSweeper = () => {
+  if (sweepInterval) return;
+
+  sweepInterval = setInterval(async () => {
+    try {
+      const now = new Date();
+      await Challenge.updateMany(
+        { status: { $in: ['pending', 'accepted'] }, expiresAt: { $lt: now } },
+        { $set: { status: 'expired' } }
+      );
+
+      const live = await Challenge.find({ status: 'live', updatedAt: { $lt: new Date(now.getTime() - STALL_MS) } })
+        .select('status questions._id timePerQuestion currentQuestionIndex closedQuestionIndex questionStartTime startedAt');
+      for (const challenge of live) {
+        await resumeStalledChallenge(challenge, now.getTime());
+      }
+    } catch (err) {
+      console.error('❌ Challenge sweep failed:', err);
+    }
+  }, SWEEP_INTERVAL_MS);
+};
+
+export default {
+  markPlayerReady,
+  recordChallengeAnswer,
+  finishChallenge,
+  resumeStalledChallenge,
+  startChallengeSweeper
+};
@@ -0,0 +1,84 @@
+// backend/utils/challengeSocketHandlers.js
+// Head-to-head challenge socket protocol, registered next to the quiz protocol on each
+// authenticated socket; challenge state changes are delegated to challengeSession.js.
+//
+// Client -> server: join-challenge { challengeId }, leave-challenge { challengeId },
+//                   challenge-answer { challengeId, questionId, selectedIndex | selectedIndexes | value }
+// Server -> client: challenge-state, challenge-error, challenge-player-ready, challenge-starting { startsAt },
+//                   challenge-question, challenge-opponent-answered, challenge-answer-result,
+//                   challenge-question-ended, challenge-ended (result screen), challenge-cancelled;
+//                   in the user's own room: challenge-invite, challenge-accepted, challenge-declined
+import Challenge from '../models/Challenge.js';
+import { measureLatency, getSocketLatency } from './timeSync.js';
+import { userRoom } from './quizSession.js';
+import {
+  challengeRoom, isBlockedBetween, markPlayerReady, buildChallengeState, buildChallengeResult,
+  recordChallengeAnswer, resumeStalledChallenge
+} from './challengeSession.js';
+
+const JOINABLE_STATUSES = ['accepted', 'live', 'completed'];
+
+export function registerChallengeSocketHandlers(io, socket) {
+  const userId = socket.userId;
+
+  // Personal events (invites, accepts) reach every open device of the user
+  if (userId) socket.join(userRoom(userId));
+
+  socket.on('join-challenge', async ({ challengeId } = {}) => {
+    try {
+      const challenge = await Challenge.findOne({ _id: challengeId, 'players.user': userId });
+      if (!challenge || !JOINABLE_STATUSES.includes(challenge.status)) {
+        socket.emit('challenge-error', { challengeId, message: 'Challenge not found or no longer open' });
+        return;
+      }
+
+      const opponent = challenge.players.find(p => p.user.toString() !== String(userId));
+      if (opponent && await isBlockedBetween(userId, opponent.user)) {
+        socket.emit('challenge-error', { challengeId, message: 'You cannot play this challenge' });
+        return;
+      }
+
+      const id = challenge._id.toString();
+      socket.join(challengeRoom(id));
+
+      if (challenge.status === 'completed') {
+        socket.emit('challenge-ended', await buildChallengeResult(challenge));
+        return;
+      }
+
+      socket.emit('challenge-state', buildChallengeState(challenge, userId));
+      measureLatency(socket).catch(err => console.warn('latency measurement failed:', err.message));
+
+      // The second ready player starts the countdown; a rejoin mid-challenge picks up a stalled clock
+      if (challenge.status === 'accepted') await markPlayerReady(id, userId);
+      else await resumeStalledChallenge(challenge);
+    } catch (err) {
+      console.error('join-challenge error:', err);
+      socket.emit('challenge-error', { challengeId, message: 'Failed to join challenge' });
+    }
+  });
+
+  socket.on('leave-challenge', ({ challengeId } = {}) => {
+    if (challengeId) socket.leave(challengeRoom(challengeId));
+  });
+
+  socket.on('challenge-answer', async ({ challengeId, questionId, selectedIndex, selectedIndexes, value } = {}) => {
+    try {
+      const result = await recordChallengeAnswer({
+        challengeId,
+        userId,
+        questionId,
+        selectedIndex,
+        selectedIndexes,
+        value,
+        latencyMs: getSocketLatency(socket)
+      });
+      socket.emit('challenge-answer-result', { challengeId, ...result });
+    } catch (err) {
+      if (!err.statusCode) console.error('challenge-answer error:', err);
+      socket.emit('challenge-error', { challengeId, questionId, message: err.statusCode ? err.message : 'Failed to submit answer' });
+    }
+  });
+}
+
+export default { registerChallengeSocketHandlers };
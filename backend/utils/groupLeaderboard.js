@@ -0,0 +1,100 @@
+// backend/utils/groupLeaderboard.js
+// Group standings for one quiz: each group's members who took part, rolled up into one
+// score. The method is picked per request so every group is ranked the same way. Only
+// members who had joined by the time the quiz started count, so a group cannot recruit
+// a quiz's top scorers after the fact.
+import Group from '../models/Group.js';
+
+export const GROUP_SCORING_METHODS = ['average', 'top-k', 'median'];
+export const DEFAULT_TOP_K = 5;
+export const MAX_TOP_K = 50;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Whether a participant's result counts for standings - the winners list's rule:
+ * completed, paid, not disqualified and not excluded by the anti-cheat review
+ */
+export const countsForStandings = (participant, excluded = new Set()) =>
+  !!participant.isCompleted && !!participant.paid && !participant.disqualified
+  && !excluded.has(String(participant.user?._id || participant.user));
+
+/**
+ * When group membership is judged for a quiz - its actual start, else its slot time
+ */
+export const membershipCutoff = (quiz) => quiz.startTime || quiz.scheduledAt || null;
+
+/**
+ * Whether a group member counts for a quiz that started at `asOf` (no cutoff: everyone)
+ */
+export const memberAt = (member, asOf) =>
+  !asOf || !member.joinedAt || member.joinedAt.getTime() <= new Date(asOf).getTime();
+
+/**
+ * Group scoring from a request query (?groupMethod=average|top-k|median&topK=5):
+ * { method, topK } or { error }
+ */
+export function parseGroupScoring(query = {}) {
+  const method = query.groupMethod || 'average';
+  if (!GROUP_SCORING_METHODS.includes(method)) {
+    return { error: `groupMethod must be one of: ${GROUP_SCORING_METHODS.join(', ')}` };
+  }
+  const topK = query.topK === undefined ? DEFAULT_TOP_K : parseInt(query.topK);
+  if (!topK || topK < 1 || topK > MAX_TOP_K) return { error: `topK must be between 1 and ${MAX_TOP_K}` };
+  return { method, topK };
+}
+
+/**
+ * One group's score from its members' scores: mean, sum of the best topK, or median
+ */
+export function groupScore(scores, { method = 'average', topK = DEFAULT_TOP_K } = {}) {
+  if (scores.length === 0) return 0;
+  const sorted = [...scores].sort((a, b) => b - a);
+  const sum = (list) => list.reduce((total, score) => total + score, 0);
+
+  if (method === 'top-k') return round2(sum(sorted.slice(0, topK)));
+  if (method === 'median') {
+    const mid = Math.floor(sorted.length / 2);
+    return round2(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+  }
+  return round2(sum(sorted) / sorted.length);
+}
+
+/**
+ * Every group with at least one member among `participants` (those that count for
+ * standings), best first. Members who did not take part, or joined after `asOf`
+ * (membershipCutoff of the quiz), are left out of the score; on a tie the group
+ * with more members taking part goes first.
+ */
+export async function buildGroupLeaderboard(participants, scoring = {}, asOf = null) {
+  const scoreByUser = new Map(participants.map(p => [String(p.user?._id || p.user), p.score || 0]));
+  if (scoreByUser.size === 0) return [];
+
+  const groups = await Group.find({ 'members.user': { $in: [...scoreByUser.keys()] } }).select('name kind members.user members.joinedAt');
+  return groups
+    .map(group => {
+      const members = group.members.filter(m => memberAt(m, asOf));
+      const scores = members
+        .map(m => scoreByUser.get(m.user.toString()))
+        .filter(score => score !== undefined);
+      return {
+        group: { _id: group._id, name: group.name, kind: group.kind },
+        score: groupScore(scores, scoring),
+        participants: scores.length,
+        members: members.length
+      };
+    })
+    .filter(entry => entry.participants > 0)
+    .sort((a, b) => b.score - a.score || b.participants - a.participants)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+export default {
+  GROUP_SCORING_METHODS,
+  countsForStandings,
+  membershipCutoff,
+  memberAt,
+  parseGroupScoring,
+  groupScore,
+  buildGroupLeaderboard
+};
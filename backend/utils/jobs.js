@@ -1,8 +1,8 @@
 // backend/utils/jobs.js
 import { Queue, Worker } from 'bullmq';
 import Quiz from '../models/Quiz.js';
-import { startQuizSession, endQuizSession } from './quizScheduler.js';
-import { sendQuizNotifications } from './notifications.js';
+import { startQuiz, endQuizSession } from './quizSession.js';
+import { getSlotTimeline } from './quizSlots.js';
 
 const connection = process.env.REDIS_URL ? { connection: { url: process.env.REDIS_URL } } : null;
 
@@ -38,17 +38,19 @@ export function registerQuizWorkers(io) {
         
         if (type === 'ALERT_5MIN') {
           const { quizId } = job.data;
-          await sendQuizNotifications({ quizId, kind: '5min_before' });
+          const { emitQuizAlertEvent } = await import('./quizScheduler.js');
+          await emitQuizAlertEvent(quizId);
         }
         
         if (type === 'READY_NOTIFY') {
           const { quizId } = job.data;
-          await sendQuizNotifications({ quizId, kind: 'ready' });
+          const { emitQuizReadyEvent } = await import('./quizScheduler.js');
+          await emitQuizReadyEvent(quizId);
         }
         
         if (type === 'START') {
           const { quizId } = job.data;
-          const quiz = await Quiz.findById(quizId);
+          const quiz = await Quiz.findById(quizId).select('isLive');
           if (!quiz) {
             console.error(`[jobs] Quiz not found: ${quizId}`);
             throw new Error(`Quiz ${quizId} not found`);
@@ -59,33 +61,8 @@ export function registerQuizWorkers(io) {
             return;
           }
           
-          // Shuffle questions before starting
-          if (quiz.settings?.shuffleQuestions && quiz.questions && quiz.questions.length > 0) {
-            const { shuffleQuestions } = await import('./quizScheduler.js');
-            quiz.questions = shuffleQuestions(quiz.questions);
-            console.log(`🔀 Quiz questions shuffled for quiz ${quizId}`);
-          }
-          
-          // Mark quiz as live and start session
-          quiz.status = "live";
-          quiz.isLive = true;
-          quiz.published = true;
-          quiz.startTime = new Date();
-          quiz.currentQuestionIndex = 0;
-          await quiz.save();
-          
           console.log(`🚀 Starting quiz session for ${quizId}`);
-          await startQuizSession(quiz);
-          
-          // Emit socket event if io available
-          if (io) {
-            io.to(`quiz-${quizId}`).emit('quiz-started', {
-              quizId: quiz._id.toString(),
-              startTime: quiz.startTime,
-              totalQuestions: quiz.totalQuestions,
-              timePerQuestion: quiz.timePerQuestion
-            });
-          }
+          await startQuiz(quizId);
         }
         
         if (type === 'END') {
@@ -98,10 +75,9 @@ export function registerQuizWorkers(io) {
         
         if (type === 'RESULT_ANNOUNCE') {
           const { quizId } = job.data;
-          await sendQuizNotifications({ quizId, kind: 'results' });
-          // Also finalize results
+          // Ends the quiz if still running, then announces results
           const { finalizeQuizResults } = await import('./quizScheduler.js');
-          await finalizeQuizResults();
+          await finalizeQuizResults(quizId);
         }
         
         console.log(`[jobs] Job ${type} completed successfully`);
@@ -136,29 +112,65 @@ export function registerQuizWorkers(io) {
   }
 }
 
-export async function scheduleDailyQuizJobsForDate(date, quizId) {
+const LIFECYCLE_JOBS = [
+  ['ALERT_5MIN', 'alertAt'],
+  ['READY_NOTIFY', 'readyAt'],
+  ['START', 'startsAt'],
+  ['END', 'endsAt'],
+  ['RESULT_ANNOUNCE', 'resultsAt']
+];
+
+// One job per quiz and type, so rescheduling a slot replaces its jobs instead of adding more
+const lifecycleJobId = (quizId, type) => `${type}-${quizId}`;
+
+/**
+ * Drop every pending lifecycle job of a quiz (unpublished, moved or deleted)
+ */
+export async function unscheduleQuizJobs(quizId) {
+  if (!quizQueue) return;
+  for (const [type] of LIFECYCLE_JOBS) {
+    const job = await quizQueue.getJob(lifecycleJobId(quizId, type));
+    if (job) await job.remove().catch(() => {}); // a job already running finishes on its own
+  }
+}
+
+/**
+ * Schedule alert, ready, start, end and results jobs from the quiz slot's own times
+ */
+export async function scheduleQuizJobs(quiz) {
   if (!quizQueue) return;
-  const base = new Date(date);
-  // Times in IST
-  const IST = 5.5 * 60 * 60 * 1000;
-  const d = new Date(base.getTime());
-  const setIST = (h, m) => new Date(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0)).getTime() + IST + (h * 60 + m) * 60000);
-  const tAlert5min = setIST(19, 55); // 5 minutes before
-  const tReady = setIST(19, 59); // 1 minute before
-  const tStart = setIST(20, 0); // Quiz start
-  const tEnd = setIST(20, 30); // Quiz end
-  const tAnnounce = setIST(20, 31); // Results
+  const quizId = quiz._id.toString();
+  await unscheduleQuizJobs(quizId);
+
+  const timeline = getSlotTimeline(quiz);
+  if (quiz.isCompleted || timeline.resultsAt.getTime() < Date.now()) return;
 
   const opts = { removeOnComplete: true, removeOnFail: true };
-  
-  // Schedule all notification and quiz lifecycle events
-  await quizQueue.add('ALERT_5MIN', { type: 'ALERT_5MIN', quizId }, { ...opts, delay: Math.max(0, tAlert5min.getTime() - Date.now()) });
-  await quizQueue.add('READY_NOTIFY', { type: 'READY_NOTIFY', quizId }, { ...opts, delay: Math.max(0, tReady.getTime() - Date.now()) });
-  await quizQueue.add('START', { type: 'START', quizId }, { ...opts, delay: Math.max(0, tStart.getTime() - Date.now()) });
-  await quizQueue.add('END', { type: 'END', quizId }, { ...opts, delay: Math.max(0, tEnd.getTime() - Date.now()) });
-  await quizQueue.add('RESULT_ANNOUNCE', { type: 'RESULT_ANNOUNCE', quizId }, { ...opts, delay: Math.max(0, tAnnounce.getTime() - Date.now()) });
-  
-  console.log(`📅 Scheduled jobs for quiz ${quizId}: 5min alert, ready, start, end, results`);
+  for (const [type, moment] of LIFECYCLE_JOBS) {
+    await quizQueue.add(type, { type, quizId }, {
+      ...opts,
+      jobId: lifecycleJobId(quizId, type),
+      delay: Math.max(0, timeline[moment].getTime() - Date.now())
+    });
+  }
+
+  console.log(`📅 Scheduled jobs for quiz ${quizId} starting ${timeline.startsAt.toISOString()}: 5min alert, ready, start, end, results`);
 }
 
+/**
+ * (Re)schedule every upcoming published slot - on startup, so slots published while
+ * Redis was away still get their jobs. Job ids make this safe to repeat.
+ */
+export async function scheduleUpcomingQuizJobs() {
+  if (!quizQueue) return 0;
+  const upcoming = await Quiz.find({
+    published: true,
+    isCompleted: false,
+    scheduledAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+  }).select('-questions -participants');
 
+  for (const quiz of upcoming) {
+    await scheduleQuizJobs(quiz);
+  }
+  return upcoming.length;
+}
@@ -1,32 +1,22 @@
 // backend/utils/notifications.js
 import Quiz from '../models/Quiz.js';
-import Payment from '../models/Payment.js';
 import User from '../models/User.js';
+import { getPaidUserIds, timelineSettings, formatMinutes } from './quizSlots.js';
 
 /**
  * Send quiz notifications via Socket.IO to eligible users
- * Eligible users = users who have paid for today's quiz
+ * Eligible users = users who have paid for this quiz slot
  */
 export async function sendQuizNotifications({ quizId, kind }) {
   try {
-    const quiz = await Quiz.findById(quizId);
+    const quiz = await Quiz.findById(quizId).select('title slotLabel date scheduledAt timezone timeline');
     if (!quiz) {
       console.warn(`[notifications] Quiz ${quizId} not found`);
       return;
     }
 
-    // Find all eligible users (paid for today's quiz)
-    const today = new Date();
-    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const todayEnd = new Date(todayStart.getTime() + 86400000);
-
-    const eligiblePayments = await Payment.find({
-      forDate: { $gte: todayStart, $lt: todayEnd },
-      status: 'completed',
-      verified: true
-    }).populate('user', '_id phone email fullName');
-
-    const eligibleUserIds = eligiblePayments.map(p => p.user._id.toString());
+    // Find all eligible users (paid for this slot)
+    const eligibleUserIds = await getPaidUserIds(quiz);
 
     console.log(`[notifications] Found ${eligibleUserIds.length} eligible users for quiz ${quizId}`);
 
@@ -36,7 +26,7 @@ export async function sendQuizNotifications({ quizId, kind }) {
       case '5min_before':
         notification = {
           title: '📢 Quiz Starting Soon!',
-          body: 'Daily quiz starts in 5 minutes. Get ready!',
+          body: `${quiz.title || 'Quiz'} starts in ${formatMinutes(timelineSettings(quiz).alertMinutes)}. Get ready!`,
           type: 'quiz-alert',
           quizId: quizId.toString()
         };
@@ -45,7 +35,7 @@ export async function sendQuizNotifications({ quizId, kind }) {
       case 'ready':
         notification = {
           title: '⏰ Quiz Starting Now!',
-          body: 'Quiz starts in 1 minute. Join now!',
+          body: `Quiz starts in ${formatMinutes(timelineSettings(quiz).readyMinutes)}. Join now!`,
           type: 'quiz-ready',
           quizId: quizId.toString()
         };
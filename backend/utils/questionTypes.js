@@ -0,0 +1,228 @@
+// backend/utils/questionTypes.js
+// Question types beyond single-choice MCQ: input validation for admin uploads,
+// server-side answer evaluation and the post-question answer reveal.
+//
+// - single:     options + correctIndex
+// - multi:      options + correctIndexes (all required, or partial credit when partialCredit)
+// - true-false: options ["True", "False"] + correctIndex
+// - numeric:    numericAnswer +/- tolerance
+// - text:       acceptedAnswers, compared after normalization
+
+export const QUESTION_TYPES = ['single', 'multi', 'true-false', 'numeric', 'text'];
+
+export const OPTION_TYPES = ['single', 'multi', 'true-false'];
+
+// Options of these types are shuffled per participant (true/false keeps its order)
+export const SHUFFLED_OPTION_TYPES = ['single', 'multi'];
+
+export const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+export const CONTENT_FORMATS = ['plain', 'latex'];
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Projection that keeps answer keys and explanations out of quiz listings
+export const HIDDEN_ANSWER_SELECT =
+  '-questions.correctIndex -questions.correctIndexes -questions.numericAnswer -questions.tolerance -questions.acceptedAnswers -questions.explanation';
+
+export const questionType = (question) => question.type || 'single';
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+export const normalizeTextAnswer = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const isIndex = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+
+/**
+ * Validate and normalize an admin-supplied question.
+ * Returns { question } or { error }.
+ */
+export function validateQuestion(input) {
+  const type = input.type || 'single';
+  if (!QUESTION_TYPES.includes(type)) return { error: `type must be one of ${QUESTION_TYPES.join(', ')}` };
+  if (!input.text || !String(input.text).trim()) return { error: 'text is required' };
+  if (input.difficulty && !DIFFICULTIES.includes(input.difficulty)) {
+    return { error: `difficulty must be one of ${DIFFICULTIES.join(', ')}` };
+  }
+  if (input.contentFormat && !CONTENT_FORMATS.includes(input.contentFormat)) {
+    return { error: `contentFormat must be one of ${CONTENT_FORMATS.join(', ')}` };
+  }
+
+  const question = {
+    type,
+    text: String(input.text).trim(),
+    category: input.category,
+    difficulty: input.difficulty,
+    points: input.points,
+    imageUrl: input.imageUrl || undefined,
+    contentFormat: input.contentFormat || undefined,
+    explanation: input.explanation ? String(input.explanation).trim() : undefined
+  };
+
+  if (type === 'single' || type === 'multi') {
+    if (!Array.isArray(input.options) || input.options.length < 2 || input.options.some(o => !String(o ?? '').trim())) {
+      return { error: 'at least 2 non-empty options required' };
+    }
+    question.options = input.options.map(o => String(o).trim());
+  }
+
+  if (type === 'single') {
+    if (!isIndex(input.correctIndex, question.options.length)) {
+      return { error: `correctIndex must be 0-${question.options.length - 1}` };
+    }
+    question.correctIndex = input.correctIndex;
+  }
+
+  if (type === 'multi') {
+    const indexes = [...new Set(input.correctIndexes || [])];
+    if (indexes.length === 0 || !indexes.every(i => isIndex(i, question.options.length))) {
+      return { error: `correctIndexes must be a non-empty list of 0-${question.options.length - 1}` };
+    }
+    question.correctIndexes = indexes.sort((a, b) => a - b);
+    question.partialCredit = !!input.partialCredit;
+  }
+
+  if (type === 'true-false') {
+    question.options = TRUE_FALSE_OPTIONS;
+    if (typeof input.correctAnswer === 'boolean') question.correctIndex = input.correctAnswer ? 0 : 1;
+    else if (isIndex(input.correctIndex, 2)) question.correctIndex = input.correctIndex;
+    else return { error: 'correctAnswer (true/false) or correctIndex 0-1 required' };
+  }
+
+  if (type === 'numeric') {
+    const value = Number(input.numericAnswer);
+    const tolerance = Number(input.tolerance ?? 0);
+    if (input.numericAnswer === '' || input.numericAnswer === null || !Number.isFinite(value)) {
+      return { error: 'numericAnswer must be a number' };
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) return { error: 'tolerance must be a non-negative number' };
+    question.numericAnswer = value;
+    question.tolerance = tolerance;
+  }
+
+  if (type === 'text') {
+    const accepted = (input.acceptedAnswers || []).map(normalizeTextAnswer).filter(Boolean);
+    if (accepted.length === 0) return { error: 'acceptedAnswers must contain at least one answer' };
+    question.acceptedAnswers = [...new Set(accepted)];
+  }
+
+  return { question };
+}
+
+/**
+ * Map one CSV row onto validateQuestion() input. correctAnswer depends on type:
+ * single: 1-4, multi: "1;3", true-false: true/false, numeric: number, text: "answer|alias"
+ */
+export function questionFromCsvRow(row) {
+  const type = (row.type || 'single').trim().toLowerCase();
+  const correctAnswer = (row.correctAnswer || '').trim();
+  const input = {
+    type,
+    text: row.question,
+    category: row.category || undefined,
+    difficulty: row.difficulty || undefined,
+    imageUrl: row.imageUrl || undefined,
+    contentFormat: row.contentFormat || undefined,
+    explanation: row.explanation || undefined,
+    points: parseInt(row.points) || 1,
+    options: [row.optionA, row.optionB, row.optionC, row.optionD].filter(opt => opt && opt.trim())
+  };
+
+  if (type === 'single') input.correctIndex = parseInt(correctAnswer) - 1;
+  if (type === 'multi') {
+    input.correctIndexes = correctAnswer.split(';').map(n => parseInt(n) - 1);
+    input.partialCredit = /^(true|yes|1)$/i.test((row.partialCredit || '').trim());
+  }
+  if (type === 'true-false' && /^(true|false)$/i.test(correctAnswer)) {
+    input.correctAnswer = correctAnswer.toLowerCase() === 'true';
+  }
+  if (type === 'numeric') {
+    input.numericAnswer = correctAnswer;
+    input.tolerance = row.tolerance || 0;
+  }
+  if (type === 'text') input.acceptedAnswers = correctAnswer.split('|');
+
+  return validateQuestion(input);
+}
+
+/**
+ * Evaluate a participant's submission against the canonical answer key.
+ * `optionOrder` maps displayed option indexes to canonical ones.
+ * Returns { correct, credit, stored } or null when the submission is malformed.
+ * `credit` is the share of the question's points earned (0..1).
+ */
+export function evaluateAnswer(question, { selectedIndex, selectedIndexes, value } = {}, optionOrder = []) {
+  const type = questionType(question);
+
+  if (type === 'single' || type === 'true-false') {
+    const displayedIndex = Number(selectedIndex);
+    const canonical = optionOrder[displayedIndex];
+    if (selectedIndex === undefined || selectedIndex === null || !Number.isInteger(displayedIndex) || canonical === undefined) return null;
+    const correct = canonical === question.correctIndex;
+    return { correct, credit: correct ? 1 : 0, stored: { selectedIndex: canonical, displayedIndex } };
+  }
+
+  if (type === 'multi') {
+    if (!Array.isArray(selectedIndexes) || selectedIndexes.length === 0) return null;
+    const displayed = [...new Set(selectedIndexes.map(Number))];
+    const canonical = displayed.map(i => optionOrder[i]);
+    if (!displayed.every(Number.isInteger) || canonical.some(i => i === undefined)) return null;
+
+    const expected = new Set(question.correctIndexes || []);
+    const hits = canonical.filter(i => expected.has(i)).length;
+    const misses = canonical.length - hits;
+    const correct = hits === expected.size && misses === 0;
+    const credit = correct ? 1 : question.partialCredit ? Math.max(0, (hits - misses) / expected.size) : 0;
+    return {
+      correct,
+      credit: Math.round(credit * 100) / 100,
+      stored: { selectedIndexes: canonical.sort((a, b) => a - b), displayedIndexes: displayed }
+    };
+  }
+
+  if (type === 'numeric') {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return null;
+    const correct = Math.abs(number - question.numericAnswer) <= (question.tolerance || 0) + 1e-9; // float slack
+    return { correct, credit: correct ? 1 : 0, stored: { numericAnswer: number } };
+  }
+
+  if (type === 'text') {
+    const normalized = normalizeTextAnswer(value);
+    if (!normalized) return null;
+    const correct = (question.acceptedAnswers || []).includes(normalized);
+    return { correct, credit: correct ? 1 : 0, stored: { textAnswer: String(value).slice(0, 200) } };
+  }
+
+  return null;
+}
+
+/**
+ * Correct answer as the participant saw the question (displayed option order)
+ */
+export function revealAnswer(question, optionOrder = []) {
+  const type = questionType(question);
+  if (type === 'single' || type === 'true-false') return { correctIndex: optionOrder.indexOf(question.correctIndex) };
+  if (type === 'multi') {
+    return { correctIndexes: (question.correctIndexes || []).map(i => optionOrder.indexOf(i)).sort((a, b) => a - b) };
+  }
+  if (type === 'numeric') return { correctAnswer: question.numericAnswer, tolerance: question.tolerance || 0 };
+  if (type === 'text') return { correctAnswer: question.acceptedAnswers?.[0] };
+  return {};
+}
+
+export default {
+  QUESTION_TYPES,
+  validateQuestion,
+  questionFromCsvRow,
+  evaluateAnswer,
+  revealAnswer,
+  normalizeTextAnswer
+};
@@ -0,0 +1,208 @@
+// backend/utils/quizAnalytics.js
+// Per-question statistics for a finished quiz, computed from the participants' answers,
+// with flags for questions whose numbers suggest a bad key, a misleading distractor or
+// a question that does not separate strong from weak participants. Voided questions (live
+// skip or dispute) are marked and kept out of the rates, discrimination and flags.
+import { compareStandings } from './quizSession.js';
+import { OPTION_TYPES, questionType } from './questionTypes.js';
+import { answersOf } from './quizAnswers.js';
+import { buildPermutation, questionAtSlot } from './quizShuffle.js';
+import { isQuestionVoided } from './quizRegrade.js';
+
+// Share of participants taken from each end of the standings for the discrimination index
+const DISCRIMINATION_GROUP = 0.27;
+// Below this many ranked participants the discrimination index is too noisy to report
+const MIN_DISCRIMINATION_SAMPLE = 10;
+
+export const ANALYTICS_THRESHOLDS = {
+  tooHard: 0.1, // correct share below this
+  tooEasy: 0.95, // correct share above this
+  lowDiscrimination: 0.2,
+  mostlyUnanswered: 0.5 // unanswered share above this
+};
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const correctShare = (group, questionId) => {
+  if (group.length === 0) return 0;
+  return group.filter(p => p.answersById.get(questionId)?.correct).length / group.length;
+};
+
+/**
+ * Question ids voided for one participant: voided questions, plus whatever sat in a voided
+ * slot of their (possibly shuffled) order
+ */
+const voidedQuestionIds = (quiz, participant) => {
+  const ids = new Set((quiz.voidedQuestions || []).map(id => id.toString()));
+  if (quiz.voidedSlots?.length) {
+    const permutation = buildPermutation(quiz, participant.shuffleSeed);
+    quiz.voidedSlots.forEach(slot => {
+      const { question } = questionAtSlot(quiz, permutation, slot) || {};
+      if (question) ids.add(question._id.toString());
+    });
+  }
+  return ids;
+};
+
+/**
+ * Option (or submitted value) distribution for one question
+ */
+function answerDistribution(question, answers, participantCount) {
+  const type = questionType(question);
+
+  if (OPTION_TYPES.includes(type)) {
+    const counts = question.options.map(() => 0);
+    answers.forEach(a => {
+      const picked = type === 'multi' ? (a.selectedIndexes || []) : [a.selectedIndex];
+      picked.forEach(i => { if (counts[i] !== undefined) counts[i]++; });
+    });
+    const correctSet = new Set(type === 'multi' ? question.correctIndexes || [] : [question.correctIndex]);
+    return question.options.map((text, index) => ({
+      index,
+      text,
+      count: counts[index],
+      share: participantCount ? round3(counts[index] / participantCount) : 0,
+      correct: correctSet.has(index)
+    }));
+  }
+
+  // Free-form answers: the most common submissions
+  const counts = new Map();
+  answers.forEach(a => {
+    const value = type === 'numeric' ? a.numericAnswer : a.textAnswer?.trim().toLowerCase();
+    if (value === undefined || value === null || value === '') return;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([value, count]) => ({
+      value,
+      count,
+      share: participantCount ? round3(count / participantCount) : 0
+    }));
+}
+
+function flagQuestion(question, stats) {
+  const flags = [];
+  const t = ANALYTICS_THRESHOLDS;
+
+  if (['single', 'true-false'].includes(questionType(question))) {
+    const answer = stats.distribution.find(o => o.correct);
+    const distractor = stats.distribution
+      .filter(o => !o.correct)
+      .sort((a, b) => b.count - a.count)[0];
+    if (answer && distractor && distractor.count > answer.count) {
+      flags.push({
+        code: 'distractor-beats-answer',
+        message: `Option ${distractor.index + 1} was picked more often than the answer (${distractor.count} vs ${answer.count}) - check the key`
+      });
+    }
+  }
+
+  if (stats.participants > 0) {
+    if (stats.correctRate < t.tooHard) flags.push({ code: 'too-hard', message: `Only ${Math.round(stats.correctRate * 100)}% answered correctly` });
+    if (stats.correctRate > t.tooEasy) flags.push({ code: 'too-easy', message: `${Math.round(stats.correctRate * 100)}% answered correctly` });
+    if (stats.unanswered / stats.participants > t.mostlyUnanswered) {
+      flags.push({ code: 'mostly-unanswered', message: `${stats.unanswered} of ${stats.participants} participants did not answer` });
+    }
+  }
+
+  if (stats.discriminationIndex !== null) {
+    if (stats.discriminationIndex < 0) {
+      flags.push({ code: 'negative-discrimination', message: 'Bottom scorers did better than top scorers' });
+    } else if (stats.discriminationIndex < t.lowDiscrimination) {
+      flags.push({ code: 'low-discrimination', message: 'Barely separates top scorers from bottom scorers' });
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Analytics for every question of a quiz, in canonical order.
+ * `answersByUser` comes from getAnswersByUser (quizAnswers.js). A question voided for every
+ * participant comes back with `voided: true`, its submissions only, and no rates or flags;
+ * one voided for some (a skipped slot in shuffled orders) is measured on the others.
+ */
+export function computeQuizAnalytics(quiz, answersByUser = new Map()) {
+  const ranked = quiz.participants
+    .filter(p => p.paid)
+    .sort(compareStandings)
+    .map(p => ({
+      ...(p.toObject ? p.toObject() : p),
+      answersById: new Map(answersOf(p, answersByUser).map(a => [a.questionId?.toString(), a])),
+      voidedIds: voidedQuestionIds(quiz, p)
+    }));
+
+  const groupSize = ranked.length >= MIN_DISCRIMINATION_SAMPLE ? Math.ceil(ranked.length * DISCRIMINATION_GROUP) : 0;
+  const top = ranked.slice(0, groupSize);
+  const bottom = groupSize ? ranked.slice(-groupSize) : [];
+
+  const questions = quiz.questions.map((question, index) => {
+    const questionId = question._id.toString();
+    const counts = (p) => !p.voidedIds.has(questionId);
+    const counted = ranked.filter(counts);
+    const voided = isQuestionVoided(quiz, question._id) || (ranked.length > 0 && counted.length === 0);
+
+    if (voided) {
+      const submitted = ranked.map(p => p.answersById.get(questionId)).filter(Boolean);
+      return {
+        questionId: question._id,
+        bankQuestion: question.bankQuestion,
+        index: index + 1,
+        type: questionType(question),
+        text: question.text,
+        voided: true,
+        participants: ranked.length,
+        answered: submitted.length,
+        distribution: answerDistribution(question, submitted, ranked.length),
+        flags: []
+      };
+    }
+
+    const answers = counted.map(p => p.answersById.get(questionId)).filter(a => a && !a.voided);
+    const correct = answers.filter(a => a.correct).length;
+    const topCounted = top.filter(counts);
+    const bottomCounted = bottom.filter(counts);
+
+    const stats = {
+      questionId: question._id,
+      bankQuestion: question.bankQuestion,
+      index: index + 1,
+      type: questionType(question),
+      text: question.text,
+      voided: false,
+      participants: counted.length,
+      answered: answers.length,
+      unanswered: counted.length - answers.length,
+      correct,
+      correctRate: counted.length ? round3(correct / counted.length) : 0,
+      averageCredit: answers.length ? round3(answers.reduce((sum, a) => sum + (a.credit ?? (a.correct ? 1 : 0)), 0) / answers.length) : 0,
+      medianTimeTaken: median(answers.map(a => a.timeTaken).filter(t => typeof t === 'number')),
+      discriminationIndex: topCounted.length && bottomCounted.length
+        ? round3(correctShare(topCounted, questionId) - correctShare(bottomCounted, questionId))
+        : null,
+      distribution: answerDistribution(question, answers, counted.length)
+    };
+    stats.flags = flagQuestion(question, stats);
+    return stats;
+  });
+
+  return {
+    participants: ranked.length,
+    discriminationGroupSize: groupSize,
+    flaggedQuestions: questions.filter(q => q.flags.length > 0).length,
+    voidedQuestions: questions.filter(q => q.voided).length,
+    questions
+  };
+}
+
+export default { computeQuizAnalytics, ANALYTICS_THRESHOLDS };
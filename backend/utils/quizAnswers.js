@@ -0,0 +1,135 @@
+// backend/utils/quizAnswers.js
+// Answer store for live quizzes. Each answer is one QuizAnswer document (insert-only, no
+// Quiz document rewrite per answer); participant totals are aggregated from it while the
+// quiz runs and written onto Quiz.participants once, when the quiz ends.
+//
+// Quizzes finished before the collection existed keep their answers embedded in
+// participants[].answers - answersOf() and participantTotals() fall back to those.
+import mongoose from 'mongoose';
+import QuizAnswer from '../models/QuizAnswer.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+const EMPTY_TOTALS = { score: 0, correctAnswers: 0, totalQuestions: 0, timeSpent: 0 };
+
+/**
+ * Insert one answer. Returns null when this participant already answered the question
+ * (unique index), so concurrent duplicate submissions cannot both count.
+ */
+export async function saveAnswer(answer) {
+  try {
+    return await QuizAnswer.create(answer);
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+/**
+ * One participant's answers in submission order
+ */
+export function getParticipantAnswers(quizId, userId) {
+  return QuizAnswer.find({ quiz: quizId, user: userId }).sort({ submittedAt: 1 }).lean();
+}
+
+/**
+ * userId -> answers for a quiz, optionally limited to some participants
+ */
+export async function getAnswersByUser(quizId, userIds = null) {
+  const filter = { quiz: quizId };
+  if (userIds) filter.user = { $in: userIds };
+
+  const byUser = new Map();
+  const answers = await QuizAnswer.find(filter).sort({ submittedAt: 1 }).lean();
+  answers.forEach(a => {
+    const key = a.user.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(a);
+  });
+  return byUser;
+}
+
+/**
+ * A participant's answers from getAnswersByUser, or the embedded ones of an older quiz.
+ * Works with populated participants.user too.
+ */
+export const answersOf = (participant, answersByUser) =>
+  answersByUser.get((participant.user?._id || participant.user).toString()) || participant.answers || [];
+
+/**
+ * Running totals from a list of answers (focus penalties and voided answers not included)
+ */
+export function totalsFromAnswers(answers) {
+  return answers.filter(a => !a.voided).reduce((totals, a) => ({
+    score: round2(totals.score + (a.points || 0)),
+    correctAnswers: totals.correctAnswers + (a.correct ? 1 : 0),
+    totalQuestions: totals.totalQuestions + 1,
+    timeSpent: totals.timeSpent + (a.timeTaken || 0)
+  }), { ...EMPTY_TOTALS });
+}
+
+/**
+ * userId -> answer totals for a quiz, grouped in Mongo
+ */
+export async function aggregateTotals(quizId, userIds = null) {
+  const match = { quiz: toObjectId(quizId), voided: { $ne: true } };
+  if (userIds) match.user = { $in: userIds.map(toObjectId) };
+
+  const rows = await QuizAnswer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$user',
+        score: { $sum: { $ifNull: ['$points', 0] } },
+        correctAnswers: { $sum: { $cond: ['$correct', 1, 0] } },
+        totalQuestions: { $sum: 1 },
+        timeSpent: { $sum: { $ifNull: ['$timeTaken', 0] } }
+      }
+    }
+  ]);
+  return new Map(rows.map(({ _id, score, ...rest }) => [_id.toString(), { ...rest, score: round2(score) }]));
+}
+
+/**
+ * A participant's standing: answer totals minus focus-loss penalties.
+ * Participants of older quizzes (embedded answers) already carry their totals.
+ */
+export function participantTotals(participant, answerTotals) {
+  if (participant.answers?.length) {
+    const { score, correctAnswers, totalQuestions, timeSpent } = participant;
+    return { score: score || 0, correctAnswers: correctAnswers || 0, totalQuestions: totalQuestions || 0, timeSpent: timeSpent || 0 };
+  }
+  const totals = answerTotals || EMPTY_TOTALS;
+  return { ...totals, score: round2(totals.score - (participant.focusPenalty || 0)) };
+}
+
+/**
+ * Void the answers to a question, optionally only some participants'. Returns how many
+ * answers changed; already voided ones are left alone, so repeating is harmless.
+ */
+export async function voidAnswers(quizId, questionId, userIds = null) {
+  const filter = { quiz: quizId, questionId, voided: { $ne: true } };
+  if (userIds) filter.user = { $in: userIds };
+  const result = await QuizAnswer.updateMany(filter, { $set: { voided: true } });
+  return result.modifiedCount;
+}
+
+/**
+ * Drop every answer of a quiz (quiz deleted)
+ */
+export function deleteQuizAnswers(quizId) {
+  return QuizAnswer.deleteMany({ quiz: quizId });
+}
+
+export default {
+  saveAnswer,
+  getParticipantAnswers,
+  getAnswersByUser,
+  answersOf,
+  totalsFromAnswers,
+  aggregateTotals,
+  participantTotals,
+  voidAnswers,
+  deleteQuizAnswers
+};
@@ -0,0 +1,107 @@
+// backend/utils/quizLeader.js
+import os from "os";
+import crypto from "crypto";
+import { getRedisClient } from "../config/redis.js";
+
+/**
+ * Per-quiz leadership lease so only one backend instance drives a quiz's question clock.
+ * Keys:
+ * - quiz:leader:{quizId} -> NODE_ID of the instance holding the lease (PX = LEASE_MS)
+ *
+ * Without Redis there is a single instance, so every lease request succeeds.
+ */
+
+export const LEASE_MS = Number(process.env.QUIZ_LEADER_LEASE_MS || 10000);
+export const RENEW_INTERVAL_MS = Math.floor(LEASE_MS / 3);
+
+export const NODE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+
+function leaderKey(quizId) { return `quiz:leader:${quizId}`; }
+
+// Only touch the key while we still own it
+const RENEW_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+export async function acquireQuizLease(quizId) {
+  try {
+    const client = await getRedisClient();
+    if (!client) return true;
+
+    const key = leaderKey(quizId);
+    const res = await client.set(key, NODE_ID, { NX: true, PX: LEASE_MS });
+    if (res === "OK") return true;
+
+    // We may already hold it (e.g. resume after a local restart of the session)
+    return (await client.get(key)) === NODE_ID;
+  } catch (err) {
+    console.warn("[quizLeader] acquire error", err.message);
+    return false;
+  }
+}
+
+export async function renewQuizLease(quizId) {
+  try {
+    const client = await getRedisClient();
+    if (!client) return true;
+
+    const res = await client.eval(RENEW_SCRIPT, {
+      keys: [leaderKey(quizId)],
+      arguments: [NODE_ID, String(LEASE_MS)],
+    });
+    return Number(res) === 1;
+  } catch (err) {
+    console.warn("[quizLeader] renew error", err.message);
+    return false;
+  }
+}
+
+export async function releaseQuizLease(quizId) {
+  try {
+    const client = await getRedisClient();
+    if (!client) return true;
+
+    await client.eval(RELEASE_SCRIPT, { keys: [leaderKey(quizId)], arguments: [NODE_ID] });
+    return true;
+  } catch (err) {
+    console.warn("[quizLeader] release error", err.message);
+    return false;
+  }
+}
+
+/**
+ * Of `quizIds`, those no live instance leads: no lease key (expired or never taken), or a
+ * lease this instance still holds without driving the quiz. One MGET for the lot.
+ */
+export async function getLeaderlessQuizIds(quizIds) {
+  if (quizIds.length === 0) return [];
+  try {
+    const client = await getRedisClient();
+    if (!client) return quizIds;
+
+    const leaders = await client.mGet(quizIds.map(leaderKey));
+    return quizIds.filter((_, i) => !leaders[i] || leaders[i] === NODE_ID);
+  } catch (err) {
+    console.warn("[quizLeader] leaderless check error", err.message);
+    return [];
+  }
+}
+
+export async function getQuizLeader(quizId) {
+  try {
+    const client = await getRedisClient();
+    if (!client) return NODE_ID;
+    return await client.get(leaderKey(quizId));
+  } catch (err) {
+    console.warn("[quizLeader] get error", err.message);
+    return null;
+  }
+}
@@ -0,0 +1,189 @@
+// backend/utils/quizLeaderboard.js
+import { getRedisClient } from "../config/redis.js";
+
+/**
+ * Live standings while a quiz runs, so ranks never need a re-sort of the Mongo participants array.
+ * Keys:
+ * - quiz:board:{quizId} -> sorted set, member userId, score = rankValue(score, timeSpent)
+ * - quiz:answered:{quizId}:{slot} -> answers received for one clock slot
+ *
+ * Without Redis a per-process Map stands in (single instance only).
+ */
+
+export const LEADERBOARD_TOP_N = Number(process.env.QUIZ_LEADERBOARD_TOP_N || 10);
+const BOARD_TTL_MS = 6 * 60 * 60 * 1000; // outlives any quiz; cleared explicitly on end
+
+// Score (2 decimals) first, then less time spent - one number so the sorted set orders like compareStandings
+const TIME_SLOTS = 1e7;
+const rankValue = (score, timeSpent) => Math.round((score || 0) * 100) * TIME_SLOTS - (timeSpent || 0);
+const fromRankValue = (value) => {
+  const score100 = Math.ceil(value / TIME_SLOTS);
+  return { score: score100 / 100, timeSpent: score100 * TIME_SLOTS - value };
+};
+
+function boardKey(quizId) { return `quiz:board:${quizId}`; }
+function answeredKey(quizId, slot) { return `quiz:answered:${quizId}:${slot}`; }
+
+// Local stand-ins: quizId -> Map(userId -> rankValue), `${quizId}:${slot}` -> count
+const localBoards = new Map();
+const localAnswered = new Map();
+
+const localBoard = (quizId) => {
+  if (!localBoards.has(quizId)) localBoards.set(quizId, new Map());
+  return localBoards.get(quizId);
+};
+
+const sortedLocal = (quizId) => [...localBoard(quizId).entries()].sort((a, b) => b[1] - a[1]);
+
+/**
+ * Set a participant's running totals (absolute, so replays are harmless)
+ */
+export async function setLeaderboardEntry(quizId, userId, { score, timeSpent }) {
+  const id = String(quizId);
+  const value = rankValue(score, timeSpent);
+  try {
+    const client = await getRedisClient();
+    if (!client) {
+      localBoard(id).set(String(userId), value);
+      return;
+    }
+    await client.zAdd(boardKey(id), { score: value, value: String(userId) });
+    await client.pExpire(boardKey(id), BOARD_TTL_MS);
+  } catch (err) {
+    console.warn("[quizLeaderboard] set error", err.message);
+  }
+}
+
+/**
+ * Take a participant off the live board (disqualified)
+ */
+export async function removeLeaderboardEntry(quizId, userId) {
+  const id = String(quizId);
+  try {
+    const client = await getRedisClient();
+    if (!client) {
+      localBoard(id).delete(String(userId));
+      return;
+    }
+    await client.zRem(boardKey(id), String(userId));
+  } catch (err) {
+    console.warn("[quizLeaderboard] remove error", err.message);
+  }
+}
+
+/**
+ * Load every paid participant's totals, e.g. when a quiz resumes on a fresh process
+ */
+export async function seedLeaderboard(quizId, participants) {
+  const entries = participants.filter(p => p.paid && !p.disqualified);
+  for (const p of entries) {
+    await setLeaderboardEntry(quizId, p.user, p);
+  }
+}
+
+export async function getLeaderboardTop(quizId, n = LEADERBOARD_TOP_N) {
+  const id = String(quizId);
+  try {
+    const client = await getRedisClient();
+    const rows = client
+      ? (await client.zRangeWithScores(boardKey(id), 0, n - 1, { REV: true })).map(r => [r.value, r.score])
+      : sortedLocal(id).slice(0, n);
+    return rows.map(([userId, value], i) => ({ rank: i + 1, userId, ...fromRankValue(value) }));
+  } catch (err) {
+    console.warn("[quizLeaderboard] top error", err.message);
+    return [];
+  }
+}
+
+/**
+ * userId -> { rank, score, timeSpent } for the given participants (missing = not ranked yet)
+ */
+export async function getLeaderboardRanks(quizId, userIds) {
+  const id = String(quizId);
+  const ranks = new Map();
+  try {
+    const client = await getRedisClient();
+    if (!client) {
+      const wanted = new Set(userIds.map(String));
+      sortedLocal(id).forEach(([userId, value], i) => {
+        if (wanted.has(userId)) ranks.set(userId, { rank: i + 1, ...fromRankValue(value) });
+      });
+      return ranks;
+    }
+
+    const rows = await Promise.all(userIds.map(async (userId) => {
+      const [rank, value] = await Promise.all([
+        client.zRevRank(boardKey(id), String(userId)),
+        client.zScore(boardKey(id), String(userId))
+      ]);
+      return [String(userId), rank, value];
+    }));
+    rows.forEach(([userId, rank, value]) => {
+      if (rank !== null && value !== null) ranks.set(userId, { rank: rank + 1, ...fromRankValue(value) });
+    });
+  } catch (err) {
+    console.warn("[quizLeaderboard] rank error", err.message);
+  }
+  return ranks;
+}
+
+export async function getLeaderboardSize(quizId) {
+  const id = String(quizId);
+  try {
+    const client = await getRedisClient();
+    if (!client) return localBoard(id).size;
+    return await client.zCard(boardKey(id));
+  } catch (err) {
+    console.warn("[quizLeaderboard] size error", err.message);
+    return 0;
+  }
+}
+
+/**
+ * Count one answer for a clock slot, returns the new total
+ */
+export async function incrementAnswered(quizId, slot) {
+  const key = answeredKey(quizId, slot);
+  try {
+    const client = await getRedisClient();
+    if (!client) {
+      localAnswered.set(key, (localAnswered.get(key) || 0) + 1);
+      return localAnswered.get(key);
+    }
+    const count = await client.incr(key);
+    if (count === 1) await client.pExpire(key, BOARD_TTL_MS);
+    return count;
+  } catch (err) {
+    console.warn("[quizLeaderboard] answered error", err.message);
+    return 0;
+  }
+}
+
+export async function getAnsweredCount(quizId, slot) {
+  const key = answeredKey(quizId, slot);
+  try {
+    const client = await getRedisClient();
+    if (!client) return localAnswered.get(key) || 0;
+    return Number(await client.get(key)) || 0;
+  } catch (err) {
+    console.warn("[quizLeaderboard] answered error", err.message);
+    return 0;
+  }
+}
+
+/**
+ * Drop a finished quiz's live state (final ranks live on the Quiz document)
+ */
+export async function clearLeaderboard(quizId, totalSlots = 0) {
+  const id = String(quizId);
+  localBoards.delete(id);
+  for (let slot = 0; slot < totalSlots; slot++) localAnswered.delete(answeredKey(id, slot));
+  try {
+    const client = await getRedisClient();
+    if (!client) return;
+    const slotKeys = Array.from({ length: totalSlots }, (_, slot) => answeredKey(id, slot));
+    await client.del([boardKey(id), ...slotKeys]);
+  } catch (err) {
+    console.warn("[quizLeaderboard] clear error", err.message);
+  }
+}
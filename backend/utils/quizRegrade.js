@@ -0,0 +1,234 @@
+// backend/utils/quizRegrade.js
+// Question disputes after a quiz. Participants dispute a question for DISPUTE_WINDOW_HOURS
+// after the quiz ends; an admin resolves all disputes of a question at once. Accepting one
+// fixes the answer key or voids the question, rescores every answer from what was submitted
+// (streaks included), re-ranks, rewrites quiz history and notifies everyone whose result
+// moved. Winners and group leaderboards are built from the participants, so they follow.
+import Quiz from '../models/Quiz.js';
+import QuestionDispute from '../models/QuestionDispute.js';
+import QuizAnswer from '../models/QuizAnswer.js';
+import Notification from '../models/Notification.js';
+import { validateQuestion, evaluateAnswer } from './questionTypes.js';
+import { scoreAnswer } from './quizScoring.js';
+import { buildPermutation, questionAtSlot } from './quizShuffle.js';
+import { getAnswersByUser, voidAnswers } from './quizAnswers.js';
+import { finalizeStandings, emitToUser, quizError } from './quizSession.js';
+
+export const DISPUTE_WINDOW_HOURS = Number(process.env.QUIZ_DISPUTE_WINDOW_HOURS || 24);
+export const DISPUTE_ACTIONS = ['correct', 'void', 'reject'];
+
+// Answer-key fields an accepted dispute may change
+const ANSWER_KEY_FIELDS = ['correctIndex', 'correctIndexes', 'partialCredit', 'numericAnswer', 'tolerance', 'acceptedAnswers'];
+
+/**
+ * Whether disputes are still accepted for a finished quiz
+ */
+export const disputeWindowOpen = (quiz, now = Date.now()) =>
+  !!quiz.isCompleted && !!quiz.endTime && now <= quiz.endTime.getTime() + DISPUTE_WINDOW_HOURS * 60 * 60 * 1000;
+
+export const isQuestionVoided = (quiz, questionId) =>
+  (quiz.voidedQuestions || []).some(id => id.toString() === String(questionId));
+
+/**
+ * New answer key for a question from an admin's input, validated as a whole question:
+ * { fields } or { error }
+ */
+const parseAnswerKey = (question, input = {}) => {
+  const keyInput = Object.fromEntries(ANSWER_KEY_FIELDS.filter(f => input[f] !== undefined).map(f => [f, input[f]]));
+  if (input.correctAnswer !== undefined) keyInput.correctAnswer = input.correctAnswer; // true-false
+  if (Object.keys(keyInput).length === 0) return { error: 'New answer key required' };
+
+  const { question: validated, error } = validateQuestion({ ...question.toObject(), ...keyInput });
+  if (error) return { error };
+  return {
+    fields: Object.fromEntries(ANSWER_KEY_FIELDS.filter(f => validated[f] !== undefined).map(f => [f, validated[f]]))
+  };
+};
+
+/**
+ * Rescore every answer of the quiz against the current answer keys, in each participant's
+ * slot order so streaks come out as they would have live. Voided slots and questions are
+ * skipped without breaking a streak. Returns how many answers changed.
+ */
+const rescoreAnswers = async (quiz) => {
+  const answersByUser = await getAnswersByUser(quiz._id);
+  const ops = [];
+
+  for (const participant of quiz.participants) {
+    const answers = answersByUser.get(participant.user.toString());
+    if (!answers) continue;
+
+    const byQuestion = new Map(answers.map(a => [a.questionId.toString(), a]));
+    const permutation = buildPermutation(quiz, participant.shuffleSeed);
+    let streak = 0;
+    for (let slot = 0; slot < quiz.questions.length; slot++) {
+      const { question } = questionAtSlot(quiz, permutation, slot) || {};
+      if (!question || quiz.voidedSlots?.includes(slot) || isQuestionVoided(quiz, question._id)) continue;
+
+      const answer = byQuestion.get(question._id.toString());
+      if (answer?.voided) continue;
+      // Stored selections are canonical, so they are evaluated in canonical option order
+      const evaluation = answer && evaluateAnswer(
+        question,
+        { selectedIndex: answer.selectedIndex, selectedIndexes: answer.selectedIndexes, value: answer.numericAnswer ?? answer.textAnswer },
+        (question.options || []).map((_, i) => i)
+      );
+      if (!evaluation) {
+        streak = 0;
+        continue;
+      }
+
+      const { correct, credit } = evaluation;
+      // Scored on the server clock, as live (the latency allowance only ever widened the deadline)
+      const timeElapsed = answer.responseMs !== undefined ? Math.max(0, answer.responseMs) / 1000 : answer.timeTaken || 0;
+      // Same time-decay scale as live: the slot's clock, extends included (older answers: timePerQuestion)
+      const durationSec = answer.durationMs ? answer.durationMs / 1000 : undefined;
+      const { points, breakdown } = scoreAnswer({ quiz, question, correct, credit, timeElapsed, streak, durationSec });
+      streak = correct ? streak + 1 : 0;
+
+      if (correct !== answer.correct || credit !== answer.credit || points !== answer.points) {
+        ops.push({
+          updateOne: {
+            filter: { _id: answer._id },
+            update: { $set: { correct, credit, points, scoreBreakdown: breakdown } }
+          }
+        });
+      }
+    }
+  }
+
+  if (ops.length > 0) await QuizAnswer.bulkWrite(ops);
+  return ops.length;
+};
+
+/**
+ * Tell each user about the outcome - one in-app notification and one socket event apiece
+ */
+const notifyUsers = async (entries) => {
+  if (entries.length === 0) return;
+  await Notification.insertMany(entries.map(({ userId, title, message }) => ({ user: userId, title, message, type: 'system' })));
+  entries.forEach(({ userId, event }) => emitToUser(userId, 'quiz-regraded', event));
+};
+
+/**
+ * Resolve every open dispute of one question of a finished quiz:
+ * - correct: new answer key (correctIndex / correctIndexes / correctAnswer / numericAnswer / acceptedAnswers ...)
+ * - void: the question scores nothing for anyone
+ * - reject: the answer stands
+ * Returns { action, disputes, rescoredAnswers, affectedUsers }.
+ */
+export const resolveQuestionDisputes = async (quizId, questionId, { action, answerKey = {}, adminNotes, reviewedBy }) => {
+  if (!DISPUTE_ACTIONS.includes(action)) throw quizError(`action must be one of: ${DISPUTE_ACTIONS.join(', ')}`);
+
+  const quiz = await Quiz.findById(quizId).select(
+    'title date endTime isCompleted questions settings scoringMode scoringOptions timePerQuestion voidedSlots voidedQuestions participants'
+  );
+  if (!quiz) throw quizError('Quiz not found', 404);
+  if (!quiz.isCompleted) throw quizError('Quiz has not ended yet');
+  const question = quiz.questions.id(questionId);
+  if (!question) throw quizError('Question not found', 404);
+
+  let keyFields = null;
+  if (action !== 'reject') {
+    if (isQuestionVoided(quiz, question._id)) throw quizError('Question was already voided');
+    // Older quizzes kept answers embedded in the participants and have no answers to rescore
+    if (quiz.participants.some(p => p.answers?.length)) throw quizError('This quiz predates the answer store and cannot be regraded');
+    if (action === 'correct') {
+      const { fields, error } = parseAnswerKey(question, answerKey);
+      if (error) throw quizError(error);
+      keyFields = fields;
+    }
+  }
+
+  // Claim the open disputes first, so two admins cannot resolve the same question twice
+  const disputes = await QuestionDispute.find({ quiz: quiz._id, questionId: question._id, status: 'open' }).select('user');
+  if (disputes.length === 0) throw quizError('No open disputes for this question', 409);
+  const disputeIds = disputes.map(d => d._id);
+  const claim = await QuestionDispute.updateMany(
+    { _id: { $in: disputeIds }, status: 'open' },
+    {
+      $set: {
+        status: action === 'reject' ? 'rejected' : 'accepted',
+        resolution: action,
+        adminNotes,
+        reviewedBy,
+        reviewedAt: new Date()
+      }
+    }
+  );
+  if (claim.modifiedCount === 0) throw quizError('These disputes were just resolved', 409);
+
+  const excerpt = question.text?.length > 60 ? `${question.text.slice(0, 57)}...` : question.text || 'a question';
+  const disputedBy = [...new Set(disputes.map(d => d.user.toString()))];
+
+  if (action === 'reject') {
+    await notifyUsers(disputedBy.map(userId => ({
+      userId,
+      title: 'Dispute reviewed',
+      message: `Your dispute on "${excerpt}" in ${quiz.title} was reviewed - the answer stands.`,
+      event: { quizId: quiz._id, questionId: question._id, action }
+    })));
+    return { action, disputes: disputes.length, rescoredAnswers: 0, affectedUsers: 0 };
+  }
+
+  let ranked;
+  let rescoredAnswers;
+  const before = new Map(quiz.participants.map(p => [p.user.toString(), { score: p.score, rank: p.rank }]));
+  try {
+    if (action === 'correct') {
+      await Quiz.updateOne(
+        { _id: quiz._id, 'questions._id': question._id },
+        { $set: Object.fromEntries(Object.entries(keyFields).map(([k, v]) => [`questions.$.${k}`, v])) }
+      );
+      Object.assign(question, keyFields);
+    } else {
+      await Quiz.updateOne({ _id: quiz._id }, { $addToSet: { voidedQuestions: question._id } });
+      quiz.voidedQuestions.push(question._id);
+      await voidAnswers(quiz._id, question._id);
+    }
+
+    rescoredAnswers = await rescoreAnswers(quiz);
+    ranked = await finalizeStandings(quiz);
+  } catch (err) {
+    // Reopen the disputes so the regrade can be retried
+    await QuestionDispute.updateMany(
+      { _id: { $in: disputeIds } },
+      { $set: { status: 'open' }, $unset: { resolution: 1, reviewedBy: 1, reviewedAt: 1 } }
+    ).catch(reopenErr => console.error('❌ Failed to reopen disputes:', reopenErr));
+    throw err;
+  }
+
+  const verb = action === 'void' ? 'voided' : 're-graded';
+  const affected = ranked.filter(p => {
+    const previous = before.get(p.user.toString());
+    return !previous || previous.score !== p.score || previous.rank !== p.rank;
+  });
+  const affectedIds = new Set(affected.map(p => p.user.toString()));
+  await notifyUsers([
+    ...affected.map(p => ({
+      userId: p.user,
+      title: 'Quiz result updated',
+      message: `"${excerpt}" in ${quiz.title} was ${verb} after a dispute. Your score is now ${p.score} (rank ${p.rank}).`,
+      event: {
+        quizId: quiz._id,
+        questionId: question._id,
+        action,
+        score: p.score,
+        rank: p.rank,
+        previousScore: before.get(p.user.toString())?.score ?? null,
+        previousRank: before.get(p.user.toString())?.rank ?? null
+      }
+    })),
+    ...disputedBy.filter(userId => !affectedIds.has(userId)).map(userId => ({
+      userId,
+      title: 'Dispute accepted',
+      message: `Your dispute on "${excerpt}" in ${quiz.title} was accepted - the question was ${verb}.`,
+      event: { quizId: quiz._id, questionId: question._id, action }
+    }))
+  ]);
+
+  console.log(`⚖️ Quiz ${quiz._id}: question ${question._id} ${verb}, ${rescoredAnswers} answer(s) rescored, ${affected.length} result(s) changed`);
+  return { action, disputes: disputes.length, rescoredAnswers, affectedUsers: affected.length };
+};
+
+export default { DISPUTE_WINDOW_HOURS, disputeWindowOpen, isQuestionVoided, resolveQuestionDisputes };
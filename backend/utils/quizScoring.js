@@ -0,0 +1,93 @@
+// backend/utils/quizScoring.js
+// Per-quiz scoring modes. Every answer path scores through scoreAnswer() and stores the
+// breakdown on the answer, so winners can be explained after the fact.
+//
+// - flat:             full question points for a correct answer
+// - time-decay:       points shrink linearly across the question's clock, down to minPointsFraction
+// - streak-bonus:     each consecutive correct answer adds streakBonus x points, capped at maxStreakBonus
+// - negative-marking: a wrong answer deducts negativeFraction x points (unanswered costs nothing)
+//
+// Partially correct multi-select answers earn `credit` x points; they never count towards a
+// streak and are not penalized.
+
+export const SCORING_MODES = ['flat', 'time-decay', 'streak-bonus', 'negative-marking'];
+
+export const DEFAULT_SCORING_OPTIONS = {
+  minPointsFraction: 0.5,
+  streakBonus: 0.1,
+  maxStreakBonus: 0.5,
+  negativeFraction: 0.25
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const getScoringOptions = (quiz) => ({
+  ...DEFAULT_SCORING_OPTIONS,
+  ...(quiz.scoringOptions?.toObject ? quiz.scoringOptions.toObject() : quiz.scoringOptions || {})
+});
+
+/**
+ * Points for one answer under the quiz's scoring mode.
+ * `streak` is the number of consecutive correct answers immediately before this one;
+ * `credit` is the share of the question earned (defaults to 1 when correct, else 0).
+ * `durationSec` is how long the question's clock actually ran (after any admin extend);
+ * time-decay falls back to the quiz's timePerQuestion without it.
+ * Returns { points, breakdown: { base, timeDecay, streakBonus, penalty } }
+ */
+export function scoreAnswer({ quiz, question, correct, credit = correct ? 1 : 0, timeElapsed = 0, streak = 0, durationSec }) {
+  const mode = quiz.scoringMode || 'flat';
+  const opts = getScoringOptions(quiz);
+  const questionPoints = round2((question.points || 1) * Math.min(1, Math.max(0, credit)));
+  const breakdown = { base: 0, timeDecay: 0, streakBonus: 0, penalty: 0 };
+
+  if (questionPoints > 0) {
+    breakdown.base = questionPoints;
+
+    if (mode === 'time-decay') {
+      const duration = durationSec || quiz.timePerQuestion || 15;
+      const elapsedFraction = Math.min(1, Math.max(0, timeElapsed / duration));
+      breakdown.timeDecay = -round2(questionPoints * (1 - opts.minPointsFraction) * elapsedFraction);
+    }
+
+    if (mode === 'streak-bonus' && correct && streak > 0) {
+      breakdown.streakBonus = round2(questionPoints * Math.min(opts.maxStreakBonus, opts.streakBonus * streak));
+    }
+  } else if (mode === 'negative-marking') {
+    breakdown.penalty = -round2((question.points || 1) * opts.negativeFraction);
+  }
+
+  const points = round2(breakdown.base + breakdown.timeDecay + breakdown.streakBonus + breakdown.penalty);
+  return { points, breakdown };
+}
+
+/**
+ * Sum of the stored per-answer breakdowns, with a one-line explanation for the winners list.
+ * `answers` are the participant's QuizAnswer documents (embedded answers on older quizzes).
+ */
+export function explainScore(quiz, participant, answers = participant.answers || []) {
+  const totals = { base: 0, timeDecay: 0, streakBonus: 0, penalty: 0 };
+  // Answers to voided questions score nothing
+  answers.filter(a => !a.voided).forEach(a => {
+    // Answers recorded before breakdowns existed count as flat
+    const b = a.scoreBreakdown || { base: a.points || 0 };
+    Object.keys(totals).forEach(k => { totals[k] += b[k] || 0; });
+  });
+  // Docked outside scoreAnswer by the quiz's focus-loss policy
+  totals.focusPenalty = -(participant.focusPenalty || 0);
+  Object.keys(totals).forEach(k => { totals[k] = round2(totals[k]); });
+
+  const parts = [`${totals.base} base`];
+  if (totals.timeDecay) parts.push(`${totals.timeDecay} time decay`);
+  if (totals.streakBonus) parts.push(`+${totals.streakBonus} streak bonus`);
+  if (totals.penalty) parts.push(`${totals.penalty} wrong-answer penalty`);
+  if (totals.focusPenalty) parts.push(`${totals.focusPenalty} focus-loss penalty`);
+
+  return {
+    mode: quiz.scoringMode || 'flat',
+    ...totals,
+    total: participant.score || 0,
+    explanation: `${parts.join(', ')} = ${participant.score || 0}`
+  };
+}
+
+export default { SCORING_MODES, scoreAnswer, explainScore, getScoringOptions };
@@ -0,0 +1,1192 @@
+// backend/utils/quizSession.js
+// Single authoritative runner for live quizzes.
+// Admin start, the BullMQ START job and the cron fallback all go through startQuiz();
+// socket and REST answers both go through recordAnswer().
+import Quiz from '../models/Quiz.js';
+import User from '../models/User.js';
+import { sendQuizNotifications } from './notifications.js';
+import { acquireQuizLease, renewQuizLease, releaseQuizLease, getLeaderlessQuizIds, RENEW_INTERVAL_MS } from './quizLeader.js';
+import { scoreAnswer } from './quizScoring.js';
+import { runAntiCheatPass } from './antiCheat.js';
+import {
+  saveAnswer, getParticipantAnswers, totalsFromAnswers, aggregateTotals, participantTotals, voidAnswers
+} from './quizAnswers.js';
+import { isShuffled, buildPermutation, questionAtSlot, toDisplayedOptions } from './quizShuffle.js';
+import { OPTION_TYPES, questionType, evaluateAnswer, revealAnswer } from './questionTypes.js';
+import {
+  LEADERBOARD_TOP_N, setLeaderboardEntry, removeLeaderboardEntry, seedLeaderboard, getLeaderboardTop, getLeaderboardRanks,
+  getLeaderboardSize, incrementAnswered, getAnsweredCount, clearLeaderboard
+} from './quizLeaderboard.js';
+
+// quizId -> { questionIndex, questionStartTime, durationMs, closedIndex, paused, timer, perSecondInterval, permutations }
+// Only sessions this instance leads are kept here; other instances just relay room events.
+const activeQuizSessions = new Map();
+let watchdogInterval = null;
+let ioInstance = null;
+
+const QUESTION_GAP_MS = 1000; // pause between question-ended and the next question
+const ANSWER_GRACE_SEC = 1; // network slack accepted after the clock runs out
+// Cap on the measured one-way latency added to the answer deadline (never to the scored time)
+const MAX_LATENCY_ALLOWANCE_MS = Number(process.env.QUIZ_MAX_LATENCY_ALLOWANCE_MS || 400);
+export const MAX_EXTEND_SEC = 300; // most an admin can add to one question at a time
+// Adapter-wide event telling the instance that leads a quiz to reload its clock from the DB
+const CLOCK_CHANGED_EVENT = 'quiz-clock-changed';
+
+// How long a participant whose socket dropped mid-quiz may be away and still resume
+export const RECONNECT_GRACE_MS = Number(process.env.QUIZ_RECONNECT_GRACE_MS || 120000);
+
+export const setSessionIo = (io) => {
+  ioInstance = io;
+  io.on(CLOCK_CHANGED_EVENT, (quizId) => {
+    syncSessionClock(quizId).catch(err => console.error(`❌ Failed to sync clock of quiz ${quizId}:`, err));
+  });
+};
+
+/**
+ * Socket.IO room every quiz event is broadcast to
+ */
+export const quizRoom = (quizId) => `quiz-${quizId}`;
+
+const emitToQuiz = (quizId, event, payload) => {
+  if (ioInstance) ioInstance.to(quizRoom(quizId)).emit(event, payload);
+};
+
+/**
+ * A user's personal room - every socket of theirs joins it on connect (challengeSocketHandlers.js).
+ * The one place its name is built; quizScheduler and challenge code emit through it too.
+ */
+export const userRoom = (userId) => `user-${userId}`;
+
+export const emitToUser = (userId, event, payload) => {
+  if (ioInstance) ioInstance.to(userRoom(userId)).emit(event, payload);
+};
+
+// Errors raised here carry a statusCode so REST callers can map them directly
+export const quizError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Length of the current question's clock in ms - timePerQuestion unless an admin extended it
+ */
+const clockDurationMs = (quiz) => quiz.questionDurationMs || (quiz.timePerQuestion || 15) * 1000;
+
+/**
+ * Time left on the current question; a paused clock keeps what it had when paused
+ */
+const clockRemainingMs = (quiz, now = Date.now()) => {
+  if (quiz.pausedAt) return quiz.pausedRemainingMs || 0;
+  return (quiz.questionStartTime?.getTime() || now) + clockDurationMs(quiz) - now;
+};
+
+/**
+ * Question as sent to clients, options in the participant's order - never includes the
+ * answer key or the explanation
+ */
+export const toClientQuestion = (question, optionOrder) => {
+  const type = questionType(question);
+  const client = {
+    _id: question._id,
+    type,
+    text: question.text,
+    contentFormat: question.contentFormat || 'plain',
+    imageUrl: question.imageUrl,
+    category: question.category,
+    points: question.points
+  };
+  if (OPTION_TYPES.includes(type)) {
+    client.options = optionOrder ? toDisplayedOptions(question.options, optionOrder) : question.options;
+  }
+  return client;
+};
+
+/**
+ * Payload of the `question` event for the quiz's current clock slot, as seen through a
+ * participant's permutation (canonical order when none), with timeLeft computed from
+ * the persisted questionStartTime
+ */
+export const buildQuestionPayload = (quiz, permutation = null, now = Date.now()) => {
+  const slot = quiz.currentQuestionIndex;
+  const current = slot >= 0 ? questionAtSlot(quiz, permutation, slot) : null;
+  if (!current) return null;
+
+  const startTime = quiz.questionStartTime ? quiz.questionStartTime.getTime() : now;
+  const duration = clockDurationMs(quiz);
+  return {
+    questionIndex: slot + 1,
+    totalQuestions: quiz.questions.length,
+    question: toClientQuestion(current.question, current.optionOrder),
+    timeLeft: Math.max(0, clockRemainingMs(quiz, now)),
+    startTime,
+    duration,
+    paused: !!quiz.pausedAt,
+    serverTime: now // lets clients refresh their clock offset between time-sync rounds
+  };
+};
+
+/**
+ * Everything a (re)joining participant needs to pick up where they were: running totals,
+ * the slots they already answered (locked), the current question and its server-computed
+ * remaining time. `answers` are the participant's QuizAnswer documents.
+ */
+export const buildResumeState = (quiz, participant, permutation, answers, now = Date.now()) => {
+  const slotOf = new Map(permutation.questionOrder.map((canonicalIndex, slot) => [
+    quiz.questions[canonicalIndex]?._id.toString(), slot
+  ]));
+  const totals = participantTotals(participant, totalsFromAnswers(answers));
+  const answered = answers.map(a => ({
+    questionIndex: (slotOf.get(a.questionId?.toString()) ?? -1) + 1,
+    questionId: a.questionId,
+    correct: a.correct,
+    points: a.points,
+    voided: !!a.voided
+  })).sort((a, b) => a.questionIndex - b.questionIndex);
+
+  const current = buildQuestionPayload(quiz, permutation, now);
+  return {
+    quizId: quiz._id.toString(),
+    serverTime: now,
+    score: totals.score,
+    correctAnswers: totals.correctAnswers,
+    totalQuestions: quiz.questions.length,
+    answered,
+    current,
+    currentAnswered: !!current && answered.some(a => String(a.questionId) === String(current.question._id))
+  };
+};
+
+/**
+ * Emit an event whose payload depends on each participant's permutation.
+ * Sockets carry their seed in socket.data.shuffleSeed (set on join-room); fetchSockets
+ * spans every instance through the Redis adapter.
+ */
+const emitPerParticipant = async (quiz, event, build) => {
+  if (!ioInstance) return;
+  const quizId = quiz._id.toString();
+
+  if (!isShuffled(quiz)) {
+    emitToQuiz(quizId, event, build(null));
+    return;
+  }
+
+  const session = activeQuizSessions.get(quizId);
+  const cache = session?.permutations || new Map();
+  const sockets = await ioInstance.in(quizRoom(quizId)).fetchSockets();
+  for (const socket of sockets) {
+    const seed = socket.data?.shuffleSeed;
+    if (seed && !cache.has(seed)) cache.set(seed, buildPermutation(quiz, seed));
+    socket.emit(event, build(seed ? cache.get(seed) : null));
+  }
+};
+
+/**
+ * Consecutive correct answers on the slots right before `slot`, in this participant's order.
+ * Voided slots neither extend nor break a streak.
+ */
+const streakBefore = (quiz, permutation, answers, slot) => {
+  const byQuestion = new Map(answers.map(a => [a.questionId?.toString(), a]));
+  let streak = 0;
+  for (let s = slot - 1; s >= 0; s--) {
+    if (quiz.voidedSlots?.includes(s)) continue;
+    const { question } = questionAtSlot(quiz, permutation, s) || {};
+    if (!question || !byQuestion.get(question._id.toString())?.correct) break;
+    streak++;
+  }
+  return streak;
+};
+
+/**
+ * Standings order: score (desc), then time spent (asc) - fastest wins on tie
+ */
+export const compareStandings = (a, b) => {
+  if (b.score !== a.score) return b.score - a.score;
+  return (a.timeSpent || 0) - (b.timeSpent || 0);
+};
+
+/**
+ * Take a quiz live and start driving its question clock
+ */
+export const startQuiz = async (quizId) => {
+  const quiz = await Quiz.findById(quizId).select('questions isLive isCompleted');
+  if (!quiz) throw quizError('Quiz not found', 404);
+  if (quiz.isLive) throw quizError('Quiz already live');
+  if (quiz.isCompleted) throw quizError('Quiz already completed');
+  if (!quiz.questions || quiz.questions.length === 0) throw quizError('Quiz has no questions');
+
+  // Atomic flip so concurrent starters (cron, job, admin) cannot both win.
+  // Question order stays canonical; each participant sees their own seeded permutation.
+  const liveQuiz = await Quiz.findOneAndUpdate(
+    { _id: quizId, isLive: false, isCompleted: false },
+    {
+      $set: { isLive: true, published: true, startTime: new Date(), currentQuestionIndex: -1, closedQuestionIndex: -1, voidedSlots: [] },
+      $unset: { questionDurationMs: 1, pausedAt: 1, pausedRemainingMs: 1 }
+    },
+    { new: true }
+  ).select('-participants');
+
+  if (!liveQuiz) throw quizError('Quiz already live');
+
+  console.log(`🚀 Quiz started: ${quizId}`);
+
+  emitToQuiz(liveQuiz._id, 'quiz-started', {
+    quizId: liveQuiz._id.toString(),
+    startTime: liveQuiz.startTime,
+    totalQuestions: liveQuiz.questions.length,
+    timePerQuestion: liveQuiz.timePerQuestion
+  });
+
+  await runQuizSession(liveQuiz);
+
+  const notifyData = await sendQuizNotifications({ quizId: liveQuiz._id, kind: 'started' });
+  if (notifyData && ioInstance) {
+    notifyData.eligibleUserIds.forEach(userId => {
+      ioInstance.to(userRoom(userId)).emit('quiz-started-personal', {
+        quizId: liveQuiz._id.toString(),
+        message: 'Quiz is now live! Join now!'
+      });
+    });
+  }
+
+  return liveQuiz;
+};
+
+/**
+ * Drive the question clock for a live quiz, if this instance wins its leadership lease.
+ * Defaults to the persisted question, started now; recovery passes the original start time.
+ * Returns false when another instance leads the quiz.
+ */
+export const runQuizSession = async (quiz, { startIndex, startedAt = Date.now() } = {}) => {
+  const quizId = quiz._id.toString();
+
+  if (activeQuizSessions.has(quizId)) {
+    console.log(`⚠️ Quiz ${quizId} already has active session`);
+    return true;
+  }
+
+  // Reserve the slot before the async lease call so local callers cannot double-start
+  activeQuizSessions.set(quizId, { questionIndex: -1, permutations: new Map() });
+  if (!(await acquireQuizLease(quizId))) {
+    activeQuizSessions.delete(quizId);
+    return false;
+  }
+
+  // A paused clock stays stopped until an admin resumes it
+  if (quiz.pausedAt) {
+    Object.assign(activeQuizSessions.get(quizId), { questionIndex: quiz.currentQuestionIndex, paused: true });
+    return true;
+  }
+
+  const index = startIndex ?? Math.max(0, quiz.currentQuestionIndex);
+  await runQuestion(quizId, index, startedAt);
+  return true;
+};
+
+/**
+ * Stop driving a quiz locally without ending it (leadership lost)
+ */
+const dropSession = (quizId) => {
+  clearSessionTimers(activeQuizSessions.get(quizId));
+  activeQuizSessions.delete(quizId);
+};
+
+/**
+ * Work out where a live quiz's clock should be after downtime, from the persisted
+ * currentQuestionIndex/questionStartTime/questionDurationMs. Questions keep ticking in
+ * wall-clock time, so ones that expired while no process was driving them are not replayed.
+ * Returns { index, startedAt }; index >= questions.length means the window has passed.
+ * Paused quizzes are not passed here - their clock did not move.
+ */
+export const getResumePoint = (quiz, now = Date.now()) => {
+  if (quiz.currentQuestionIndex < 0 || !quiz.questionStartTime) {
+    return { index: 0, startedAt: now };
+  }
+
+  // The current question may have been extended; the ones after it run at timePerQuestion
+  const elapsed = Math.max(0, now - quiz.questionStartTime.getTime());
+  const currentMs = clockDurationMs(quiz);
+  if (elapsed < currentMs) return { index: quiz.currentQuestionIndex, startedAt: now - elapsed };
+
+  const sinceNext = elapsed - currentMs - QUESTION_GAP_MS;
+  if (sinceNext < 0) return { index: quiz.currentQuestionIndex + 1, startedAt: now };
+
+  const durationMs = (quiz.timePerQuestion || 15) * 1000;
+  const slotMs = durationMs + QUESTION_GAP_MS;
+  const skipped = Math.floor(sinceNext / slotMs);
+  const offset = sinceNext - skipped * slotMs;
+  const index = quiz.currentQuestionIndex + 1 + skipped;
+
+  // Restarted inside the gap after a question - the next one starts now
+  if (offset >= durationMs) return { index: index + 1, startedAt: now };
+  return { index, startedAt: now - offset };
+};
+
+/**
+ * Pick up quizzes left live without a clock - by a previous process (crash or deploy
+ * mid-quiz) or by an instance whose leadership lease expired.
+ * Resumes the clock at the right question or finalizes quizzes whose window has passed.
+ * Runs on every watchdog tick, so only quizzes without a live leader are loaded.
+ */
+export const resumeLiveQuizzes = async () => {
+  const live = await Quiz.find({ isLive: true, isCompleted: false }).select('_id').lean();
+  const leaderless = await getLeaderlessQuizIds(
+    live.map(q => q._id.toString()).filter(quizId => !activeQuizSessions.has(quizId))
+  );
+  if (leaderless.length === 0) return 0;
+
+  const quizzes = await Quiz.find({ _id: { $in: leaderless }, isLive: true, isCompleted: false })
+    .select('questions timePerQuestion currentQuestionIndex questionStartTime questionDurationMs pausedAt');
+
+  for (const quiz of quizzes) {
+    const quizId = quiz._id.toString();
+    if (activeQuizSessions.has(quizId)) continue;
+
+    try {
+      if (quiz.pausedAt) {
+        if (await runQuizSession(quiz)) console.log(`♻️ Took over paused quiz ${quizId}`);
+        continue;
+      }
+
+      const { index, startedAt } = getResumePoint(quiz);
+      if (index >= quiz.questions.length) {
+        if (!(await acquireQuizLease(quizId))) continue;
+        console.log(`♻️ Quiz ${quizId} window passed while offline, finalizing`);
+        await endQuizSession(quiz);
+        continue;
+      }
+
+      if (await runQuizSession(quiz, { startIndex: index, startedAt })) {
+        // Everyone dropped with the old process - restart their reconnect grace from now
+        await Quiz.updateOne({ _id: quizId }, { $unset: { 'participants.$[].disconnectedAt': 1 } });
+        await rebuildLeaderboard(quizId);
+        console.log(`♻️ Resumed quiz ${quizId} at question ${index + 1}/${quiz.questions.length}`);
+      }
+    } catch (err) {
+      console.error(`❌ Failed to resume quiz ${quizId}:`, err);
+    }
+  }
+
+  return quizzes.length;
+};
+
+/**
+ * Reload live standings from the stored answers (local stand-in is lost on restart)
+ */
+const rebuildLeaderboard = async (quizId) => {
+  const quiz = await Quiz.findById(quizId)
+    .select('participants.user participants.paid participants.disqualified participants.focusPenalty');
+  if (!quiz) return;
+
+  const totals = await aggregateTotals(quizId);
+  await seedLeaderboard(quizId, quiz.participants.map(p => ({
+    user: p.user,
+    paid: p.paid,
+    disqualified: p.disqualified,
+    ...participantTotals(p, totals.get(p.user.toString()))
+  })));
+};
+
+/**
+ * The live top N with profiles, as of clock slot `index` (the shared part of `leaderboard`)
+ */
+export const buildLeaderboard = async (quizId, index) => {
+  const [top, totalRanked] = await Promise.all([getLeaderboardTop(quizId, LEADERBOARD_TOP_N), getLeaderboardSize(quizId)]);
+  const users = await User.find({ _id: { $in: top.map(e => e.userId) } }).select('fullName username profileImage');
+  const profiles = new Map(users.map(u => [u._id.toString(), u]));
+
+  return {
+    questionIndex: index + 1,
+    totalRanked,
+    top: top.map(e => ({
+      ...e,
+      fullName: profiles.get(e.userId)?.fullName,
+      username: profiles.get(e.userId)?.username,
+      profileImage: profiles.get(e.userId)?.profileImage
+    }))
+  };
+};
+
+/**
+ * Push the top N plus each participant's own rank to everyone in the room
+ * (spectators carry no userId, so their `you` is null)
+ */
+const emitLeaderboard = async (quiz, index) => {
+  if (!ioInstance) return;
+  const quizId = quiz._id.toString();
+  const board = await buildLeaderboard(quizId, index);
+
+  // socket.data.userId is set on join-room; fetchSockets spans every instance
+  const sockets = await ioInstance.in(quizRoom(quizId)).fetchSockets();
+  const ranks = await getLeaderboardRanks(quizId, sockets.map(s => s.data?.userId).filter(Boolean));
+  for (const socket of sockets) {
+    socket.emit('leaderboard', { ...board, you: ranks.get(socket.data?.userId) || null });
+  }
+};
+
+const clearSessionTimers = (session) => {
+  if (session?.timer) clearTimeout(session.timer);
+  if (session?.perSecondInterval) clearInterval(session.perSecondInterval);
+};
+
+/**
+ * Emit one question, tick its countdown and schedule its close
+ */
+async function runQuestion(quizId, index, startedAt = Date.now()) {
+  const session = activeQuizSessions.get(quizId);
+  if (!session) return;
+
+  try {
+    const quiz = await Quiz.findById(quizId)
+      .select('questions timePerQuestion isLive settings currentQuestionIndex questionDurationMs voidedSlots');
+    if (!quiz || !quiz.isLive) {
+      console.log(`⚠️ Quiz ${quizId} no longer live, stopping session`);
+      clearSessionTimers(session);
+      activeQuizSessions.delete(quizId);
+      return;
+    }
+
+    if (index >= quiz.questions.length) {
+      console.log(`🏁 Quiz ${quizId} completed - all questions asked`);
+      await endQuizSession(quiz);
+      return;
+    }
+
+    // Resuming the same question keeps its (possibly extended) clock
+    const durationMs = index === quiz.currentQuestionIndex && quiz.questionDurationMs
+      ? quiz.questionDurationMs
+      : (quiz.timePerQuestion || 15) * 1000;
+
+    await Quiz.updateOne(
+      { _id: quizId },
+      { $set: { currentQuestionIndex: index, questionStartTime: new Date(startedAt), questionDurationMs: durationMs } }
+    );
+    quiz.currentQuestionIndex = index;
+    quiz.questionStartTime = new Date(startedAt);
+    quiz.questionDurationMs = durationMs;
+
+    clearSessionTimers(session);
+    Object.assign(session, { questionIndex: index, paused: false });
+
+    await emitPerParticipant(quiz, 'question', permutation => buildQuestionPayload(quiz, permutation));
+    console.log(`📝 Question ${index + 1}/${quiz.questions.length} emitted for quiz ${quizId}`);
+
+    armQuestionClock(quizId, quiz, session);
+  } catch (error) {
+    console.error(`❌ Error running question ${index + 1} for quiz ${quizId}:`, error);
+    // Try to continue with next question after a delay
+    session.timer = setTimeout(() => runQuestion(quizId, index + 1), 2000);
+  }
+}
+
+/**
+ * Tick the countdown of the quiz's current question and schedule its close, from the
+ * clock fields on `quiz` (questionStartTime, questionDurationMs)
+ */
+function armQuestionClock(quizId, quiz, session) {
+  const index = quiz.currentQuestionIndex;
+  const startedAt = quiz.questionStartTime.getTime();
+  const durationMs = clockDurationMs(quiz);
+  clearSessionTimers(session);
+  Object.assign(session, { questionStartTime: startedAt, durationMs });
+
+  // Per-second remaining time for smoother client countdowns, with how many have answered
+  session.perSecondInterval = setInterval(async () => {
+    const remaining = Math.ceil(Math.max(0, startedAt + durationMs - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(session.perSecondInterval);
+      session.perSecondInterval = null;
+    }
+    const answered = await getAnsweredCount(quizId, index);
+    emitToQuiz(quizId, 'time-left', { questionIndex: index + 1, remaining, answered, serverTime: Date.now() });
+  }, 1000);
+
+  session.timer = setTimeout(
+    () => closeQuestion(quizId, quiz, index),
+    Math.max(0, startedAt + durationMs - Date.now())
+  );
+}
+
+/**
+ * Lock the current question, announce it ended and move on.
+ * A question is announced once even if an admin action re-arms its clock afterwards.
+ */
+async function closeQuestion(quizId, quiz, index) {
+  const session = activeQuizSessions.get(quizId);
+  if (!session) return;
+  clearSessionTimers(session);
+
+  if (session.closedIndex !== index) {
+    session.closedIndex = index;
+    const voided = !!quiz.voidedSlots?.includes(index);
+
+    if (voided) {
+      // Catch answers that were already in flight when the question was voided
+      try {
+        await voidSlotAnswers(quizId, index);
+        await rebuildLeaderboard(quizId);
+      } catch (err) {
+        console.error(`❌ Failed to rescore voided question ${index + 1} for quiz ${quizId}:`, err);
+      }
+    }
+
+    try {
+      // Lock the slot before the answer goes out, so nobody can answer after seeing it
+      await Quiz.updateOne({ _id: quizId }, { $max: { closedQuestionIndex: index } });
+      await emitPerParticipant(quiz, 'question-ended', permutation => {
+        const { question, optionOrder } = questionAtSlot(quiz, permutation, index);
+        const ended = { questionIndex: index + 1, questionId: question._id };
+        if (voided) return { ...ended, voided: true };
+        if (!quiz.settings?.showCorrectAnswers) return ended;
+        return { ...ended, ...revealAnswer(question, optionOrder), explanation: question.explanation };
+      });
+    } catch (err) {
+      console.error(`❌ Failed to announce end of question ${index + 1} for quiz ${quizId}:`, err);
+    }
+
+    try {
+      await emitLeaderboard(quiz, index);
+    } catch (err) {
+      console.error(`❌ Failed to push leaderboard after question ${index + 1} for quiz ${quizId}:`, err);
+    }
+  }
+
+  // Leadership may have been lost, or the clock paused, while announcing
+  if (activeQuizSessions.get(quizId) !== session || session.paused) return;
+  session.timer = setTimeout(() => runQuestion(quizId, index + 1), QUESTION_GAP_MS);
+}
+
+const LIVE_CLOCK_FIELDS = 'questions timePerQuestion isLive settings currentQuestionIndex questionStartTime '
+  + 'questionDurationMs pausedAt pausedRemainingMs voidedSlots';
+
+/**
+ * Re-arm the local clock of a quiz after an admin changed it in the DB. Only the instance
+ * leading the quiz has anything to do; the others get here through CLOCK_CHANGED_EVENT too.
+ */
+export const syncSessionClock = async (quizId) => {
+  quizId = String(quizId);
+  const session = activeQuizSessions.get(quizId);
+  if (!session) return;
+
+  const quiz = await Quiz.findById(quizId).select(LIVE_CLOCK_FIELDS);
+  if (activeQuizSessions.get(quizId) !== session || !quiz?.isLive) return;
+
+  clearSessionTimers(session);
+  session.paused = !!quiz.pausedAt;
+  if (session.paused) return;
+
+  // Already announced as ended (e.g. resumed in the gap) - carry on with the next question
+  if (session.closedIndex === quiz.currentQuestionIndex) {
+    session.timer = setTimeout(() => runQuestion(quizId, quiz.currentQuestionIndex + 1), QUESTION_GAP_MS);
+    return;
+  }
+  armQuestionClock(quizId, quiz, session);
+};
+
+/**
+ * Apply a clock change on whichever instance leads the quiz
+ */
+const notifyClockChange = async (quizId) => {
+  await syncSessionClock(quizId);
+  // Other instances are only reachable through the Redis adapter
+  if (ioInstance && process.env.REDIS_URL) ioInstance.serverSideEmit(CLOCK_CHANGED_EVENT, String(quizId));
+};
+
+/**
+ * A live quiz with a question on the clock, for the admin controls
+ */
+const loadLiveClock = async (quizId) => {
+  const quiz = await Quiz.findById(quizId).select(LIVE_CLOCK_FIELDS);
+  if (!quiz) throw quizError('Quiz not found', 404);
+  if (!quiz.isLive) throw quizError('Quiz is not live');
+  if (quiz.currentQuestionIndex < 0 || !quiz.questionStartTime) throw quizError('No question is on the clock');
+  return quiz;
+};
+
+// Compare-and-set filter: the clock must not have moved since `quiz` was read
+const unchangedClock = (quiz) => ({
+  _id: quiz._id,
+  isLive: true,
+  currentQuestionIndex: quiz.currentQuestionIndex,
+  questionStartTime: quiz.questionStartTime,
+  pausedAt: quiz.pausedAt || null
+});
+
+const clockMoved = () => quizError('The quiz clock moved on, try again', 409);
+
+/**
+ * Void every participant's answer on a clock slot - with shuffled questions each of them
+ * may have seen a different question there
+ */
+const voidSlotAnswers = async (quizId, slot) => {
+  const quiz = await Quiz.findById(quizId).select('questions settings participants.user participants.shuffleSeed');
+  if (!quiz) return 0;
+
+  if (!isShuffled(quiz)) {
+    const question = quiz.questions[slot];
+    return question ? voidAnswers(quizId, question._id) : 0;
+  }
+
+  const usersByQuestion = new Map();
+  for (const participant of quiz.participants) {
+    const { question } = questionAtSlot(quiz, buildPermutation(quiz, participant.shuffleSeed), slot) || {};
+    if (!question) continue;
+    const key = question._id.toString();
+    if (!usersByQuestion.has(key)) usersByQuestion.set(key, []);
+    usersByQuestion.get(key).push(participant.user);
+  }
+
+  let voided = 0;
+  for (const [questionId, userIds] of usersByQuestion) {
+    voided += await voidAnswers(quizId, questionId, userIds);
+  }
+  return voided;
+};
+
+/**
+ * Admin: stop the clock of the current question, keeping its remaining time.
+ * Answers are refused while paused. The slot's forced end (durationMinutes) still applies.
+ */
+export const pauseQuiz = async (quizId) => {
+  const quiz = await loadLiveClock(quizId);
+  if (quiz.pausedAt) throw quizError('Quiz is already paused');
+
+  const now = Date.now();
+  const remainingMs = clockRemainingMs(quiz, now);
+  if (remainingMs <= 0) throw quizError('No question is on the clock');
+
+  const updated = await Quiz.updateOne(unchangedClock(quiz), {
+    $set: { pausedAt: new Date(now), pausedRemainingMs: remainingMs }
+  });
+  if (updated.modifiedCount === 0) throw clockMoved();
+
+  await notifyClockChange(quizId);
+  const paused = { quizId: String(quizId), questionIndex: quiz.currentQuestionIndex + 1, remainingMs, serverTime: now };
+  emitToQuiz(quizId, 'quiz-paused', paused);
+  console.log(`⏸️ Quiz ${quizId} paused on question ${paused.questionIndex} with ${remainingMs}ms left`);
+  return paused;
+};
+
+/**
+ * Admin: restart a paused clock with the time the question had left
+ */
+export const resumeQuiz = async (quizId) => {
+  const quiz = await loadLiveClock(quizId);
+  if (!quiz.pausedAt) throw quizError('Quiz is not paused');
+
+  // Shift the start so elapsed time (and answer times) leave out the pause
+  const now = Date.now();
+  const remainingMs = quiz.pausedRemainingMs || 0;
+  const startTime = now - (clockDurationMs(quiz) - remainingMs);
+
+  const updated = await Quiz.updateOne(unchangedClock(quiz), {
+    $set: { questionStartTime: new Date(startTime) },
+    $unset: { pausedAt: 1, pausedRemainingMs: 1 }
+  });
+  if (updated.modifiedCount === 0) throw clockMoved();
+
+  await notifyClockChange(quizId);
+  const resumed = {
+    quizId: String(quizId),
+    questionIndex: quiz.currentQuestionIndex + 1,
+    timeLeft: remainingMs,
+    startTime,
+    duration: clockDurationMs(quiz),
+    pausedMs: now - quiz.pausedAt.getTime(),
+    serverTime: now
+  };
+  emitToQuiz(quizId, 'quiz-resumed', resumed);
+  console.log(`▶️ Quiz ${quizId} resumed on question ${resumed.questionIndex}`);
+  return resumed;
+};
+
+/**
+ * Admin: give the current question `seconds` more (paused or running)
+ */
+export const extendQuestion = async (quizId, seconds) => {
+  const extraSec = Number(seconds);
+  if (!Number.isInteger(extraSec) || extraSec < 1 || extraSec > MAX_EXTEND_SEC) {
+    throw quizError(`seconds must be a whole number between 1 and ${MAX_EXTEND_SEC}`);
+  }
+
+  const quiz = await loadLiveClock(quizId);
+  const now = Date.now();
+  if (clockRemainingMs(quiz, now) <= 0) throw quizError('No question is on the clock');
+
+  const extraMs = extraSec * 1000;
+  const duration = clockDurationMs(quiz) + extraMs;
+  const updated = await Quiz.updateOne(
+    { ...unchangedClock(quiz), questionDurationMs: quiz.questionDurationMs ?? null },
+    {
+      $set: { questionDurationMs: duration },
+      ...(quiz.pausedAt && { $inc: { pausedRemainingMs: extraMs } })
+    }
+  );
+  if (updated.modifiedCount === 0) throw clockMoved();
+
+  await notifyClockChange(quizId);
+  const extended = {
+    quizId: String(quizId),
+    questionIndex: quiz.currentQuestionIndex + 1,
+    seconds: extraSec,
+    timeLeft: clockRemainingMs(quiz, now) + extraMs,
+    duration,
+    paused: !!quiz.pausedAt,
+    serverTime: now
+  };
+  emitToQuiz(quizId, 'question-extended', extended);
+  console.log(`⏱️ Quiz ${quizId} question ${extended.questionIndex} extended by ${extraSec}s`);
+  return extended;
+};
+
+/**
+ * Admin: void the current question and move on. Nobody scores on it (answers already in
+ * are voided and the standings recomputed), it does not count toward streaks, and a
+ * paused clock restarts with the next question.
+ */
+export const skipQuestion = async (quizId, { reason } = {}) => {
+  const quiz = await loadLiveClock(quizId);
+  const index = quiz.currentQuestionIndex;
+  if (quiz.voidedSlots?.includes(index)) throw quizError('Question already voided');
+
+  // End the clock now: the question's duration becomes the time it actually ran
+  const now = Date.now();
+  const ranMs = quiz.pausedAt
+    ? clockDurationMs(quiz) - (quiz.pausedRemainingMs || 0)
+    : Math.min(clockDurationMs(quiz), now - quiz.questionStartTime.getTime());
+  const updated = await Quiz.updateOne(unchangedClock(quiz), {
+    $addToSet: { voidedSlots: index },
+    $set: { questionStartTime: new Date(now - ranMs), questionDurationMs: Math.max(1, ranMs) },
+    $unset: { pausedAt: 1, pausedRemainingMs: 1 }
+  });
+  if (updated.modifiedCount === 0) throw clockMoved();
+
+  const voidedAnswers = await voidSlotAnswers(quizId, index);
+  await rebuildLeaderboard(quizId);
+
+  const voided = {
+    quizId: String(quizId),
+    questionIndex: index + 1,
+    voidedAnswers,
+    ...(reason && { reason: String(reason) }),
+    serverTime: now
+  };
+  emitToQuiz(quizId, 'question-voided', voided);
+  await notifyClockChange(quizId);
+  console.log(`🚫 Quiz ${quizId} question ${index + 1} voided and skipped (${voidedAnswers} answers)`);
+  return voided;
+};
+
+/**
+ * Record one answer for a paid participant of a live quiz.
+ * Only the question currently on the clock can be answered, once.
+ * The submission shape depends on the question type: selectedIndex (single, true-false),
+ * selectedIndexes (multi) or value (numeric, text) - option indexes as displayed.
+ * `latencyMs` is the server-measured one-way latency of the submitting socket (see timeSync.js):
+ * it only widens the deadline, so slow links are not cut off. Points are scored on the time
+ * the server saw, as the client controls how fast it acks the latency pings.
+ */
+export const recordAnswer = async ({ quizId, userId, questionId, selectedIndex, selectedIndexes, value, latencyMs = 0 }) => {
+  if (!quizId || !userId || !questionId) {
+    throw quizError('Invalid answer data');
+  }
+
+  const quiz = await Quiz.findOne(
+    { _id: quizId, 'participants.user': userId },
+    {
+      isLive: 1, questions: 1, settings: 1, timePerQuestion: 1, scoringMode: 1, scoringOptions: 1,
+      currentQuestionIndex: 1, questionStartTime: 1, questionDurationMs: 1, closedQuestionIndex: 1, pausedAt: 1,
+      voidedSlots: 1, 'participants.$': 1
+    }
+  );
+  const participant = quiz?.participants?.[0];
+  if (!quiz || !participant || !participant.paid) throw quizError('User not registered for this quiz');
+  if (!quiz.isLive) throw quizError('Quiz is not live');
+  if (quiz.pausedAt) throw quizError('Quiz is paused');
+  if (participant.disqualified) throw quizError('You have been disqualified from this quiz', 403);
+  if (participant.leftAt) throw quizError('You left this quiz', 403);
+
+  // Resolve the slot through this participant's permutation
+  const permutation = buildPermutation(quiz, participant.shuffleSeed);
+  const current = quiz.currentQuestionIndex >= 0
+    ? questionAtSlot(quiz, permutation, quiz.currentQuestionIndex)
+    : null;
+  if (!current || current.question._id.toString() !== String(questionId)) {
+    throw quizError('Question is not active');
+  }
+  if (quiz.voidedSlots?.includes(quiz.currentQuestionIndex)) throw quizError('Question was voided');
+  // Ended and announced (answer possibly revealed) while the next question is not up yet
+  if ((quiz.closedQuestionIndex ?? -1) >= quiz.currentQuestionIndex) throw quizError('Question has ended');
+
+  const { question, optionOrder } = current;
+  const evaluation = evaluateAnswer(question, { selectedIndex, selectedIndexes, value }, optionOrder);
+  if (!evaluation) throw quizError('Invalid answer data');
+
+  const responseMs = Date.now() - (quiz.questionStartTime?.getTime() || 0);
+  const latencyAllowanceMs = Math.min(Math.max(0, Number(latencyMs) || 0), MAX_LATENCY_ALLOWANCE_MS);
+  const timeElapsed = Math.max(0, responseMs) / 1000;
+  const durationMs = clockDurationMs(quiz);
+  if (responseMs - latencyAllowanceMs > durationMs + ANSWER_GRACE_SEC * 1000) {
+    throw quizError('Time limit exceeded');
+  }
+
+  const previous = await getParticipantAnswers(quizId, userId);
+  if (previous.some(a => a.questionId.toString() === question._id.toString())) {
+    throw quizError('Question already answered');
+  }
+
+  const { correct, credit, stored } = evaluation;
+  const { points, breakdown } = scoreAnswer({
+    quiz,
+    question,
+    correct,
+    credit,
+    timeElapsed,
+    durationSec: durationMs / 1000,
+    streak: streakBefore(quiz, permutation, previous, quiz.currentQuestionIndex)
+  });
+  const timeTaken = Math.round(timeElapsed);
+  const now = new Date();
+
+  // Insert-only: the Quiz document is not touched per answer; the unique index is the duplicate guard
+  const saved = await saveAnswer({
+    quiz: quiz._id,
+    user: userId,
+    questionId: question._id,
+    ...stored,
+    correct,
+    credit,
+    timeTaken,
+    responseMs,
+    latencyMs: latencyAllowanceMs,
+    durationMs,
+    points,
+    scoreBreakdown: breakdown,
+    submittedAt: now,
+    serverTimeReceived: now
+  });
+  if (!saved) throw quizError('Question already answered');
+
+  const totals = participantTotals(participant, totalsFromAnswers([...previous, saved]));
+  await setLeaderboardEntry(quizId, userId, totals);
+  await incrementAnswered(quizId, quiz.currentQuestionIndex);
+
+  return {
+    questionId: question._id,
+    correct,
+    credit,
+    points,
+    scoreBreakdown: breakdown,
+    totalScore: totals.score,
+    timeElapsed: timeTaken
+  };
+};
+
+const FOCUS_LOSS_STATES = ['hidden', 'blur'];
+const FOCUS_RETURN_STATES = ['visible', 'focus'];
+
+const getFocusPolicy = (quiz) => ({
+  action: 'warn',
+  allowedLosses: 2,
+  dockPoints: 1,
+  ...(quiz.focusPolicy?.toObject ? quiz.focusPolicy.toObject() : quiz.focusPolicy || {})
+});
+
+/**
+ * Add to this participant's focus counters for one question, creating the entry on first use
+ */
+const bumpQuestionFocus = async (quizId, userId, questionId, inc) => {
+  const incPaths = Object.fromEntries(Object.entries(inc).map(([k, v]) => [`participants.$[p].focusByQuestion.$[q].${k}`, v]));
+  const existing = await Quiz.updateOne(
+    { _id: quizId },
+    { $inc: incPaths },
+    { arrayFilters: [{ 'p.user': userId }, { 'q.questionId': questionId }] }
+  );
+  if (existing.matchedCount > 0 && existing.modifiedCount > 0) return;
+
+  await Quiz.updateOne(
+    { _id: quizId, participants: { $elemMatch: { user: userId, 'focusByQuestion.questionId': { $ne: questionId } } } },
+    { $push: { 'participants.$.focusByQuestion': { questionId, losses: 0, awayMs: 0, ...inc } } }
+  );
+};
+
+/**
+ * Record a visibility/focus change reported by a participant's client, with server time.
+ * A loss counts once until the app comes back (hidden + blur fire together); once the
+ * total passes focusPolicy.allowedLosses the policy docks points or disqualifies.
+ * Returns { counted, questionId, losses, allowedLosses, action, docked?, disqualified? }
+ */
+export const recordFocusChange = async ({ quizId, userId, state }) => {
+  if (![...FOCUS_LOSS_STATES, ...FOCUS_RETURN_STATES].includes(state)) throw quizError('Invalid focus state');
+
+  const quiz = await Quiz.findOne(
+    { _id: quizId, 'participants.user': userId },
+    { isLive: 1, questions: 1, settings: 1, currentQuestionIndex: 1, focusPolicy: 1, 'participants.$': 1 }
+  );
+  const participant = quiz?.participants?.[0];
+  if (!quiz || !participant || !participant.paid) throw quizError('User not registered for this quiz');
+  if (!quiz.isLive) throw quizError('Quiz is not live');
+
+  const policy = getFocusPolicy(quiz);
+  const status = { counted: false, losses: participant.focusLossCount || 0, allowedLosses: policy.allowedLosses, action: policy.action };
+  if (participant.disqualified) return { ...status, disqualified: true };
+
+  const current = quiz.currentQuestionIndex >= 0
+    ? questionAtSlot(quiz, buildPermutation(quiz, participant.shuffleSeed), quiz.currentQuestionIndex)
+    : null;
+  const questionId = current?.question._id;
+  const now = new Date();
+
+  if (FOCUS_RETURN_STATES.includes(state)) {
+    const back = await Quiz.findOneAndUpdate(
+      { _id: quizId, participants: { $elemMatch: { user: userId, focusAwaySince: { $ne: null } } } },
+      { $unset: { 'participants.$.focusAwaySince': 1 } },
+      { projection: { 'participants.$': 1 } }
+    );
+    const awaySince = back?.participants[0]?.focusAwaySince;
+    if (awaySince && questionId) await bumpQuestionFocus(quizId, userId, questionId, { awayMs: now - awaySince });
+    return { ...status, questionId };
+  }
+
+  // Only the first loss report while away counts
+  const lost = await Quiz.findOneAndUpdate(
+    { _id: quizId, participants: { $elemMatch: { user: userId, focusAwaySince: null } } },
+    { $set: { 'participants.$.focusAwaySince': now }, $inc: { 'participants.$.focusLossCount': 1 } },
+    { new: true, projection: { 'participants.$': 1 } }
+  );
+  if (!lost) return { ...status, questionId };
+  if (questionId) await bumpQuestionFocus(quizId, userId, questionId, { losses: 1 });
+
+  const losses = lost.participants[0].focusLossCount;
+  const result = { ...status, counted: true, questionId, losses };
+  if (losses <= policy.allowedLosses) return result;
+
+  if (policy.action === 'dock') {
+    // The penalty comes off the answer totals when standings are computed
+    const docked = await Quiz.findOneAndUpdate(
+      { _id: quizId, 'participants.user': userId },
+      { $inc: { 'participants.$.focusPenalty': policy.dockPoints } },
+      { new: true, projection: { 'participants.$': 1 } }
+    );
+    const totals = participantTotals(docked.participants[0], totalsFromAnswers(await getParticipantAnswers(quizId, userId)));
+    await setLeaderboardEntry(quizId, userId, totals);
+    return { ...result, docked: policy.dockPoints, totalScore: totals.score };
+  }
+
+  if (policy.action === 'disqualify') {
+    await Quiz.updateOne(
+      { _id: quizId, 'participants.user': userId },
+      { $set: { 'participants.$.disqualified': true, 'participants.$.disqualifiedAt': now, 'participants.$.disqualifiedReason': 'focus-loss' } }
+    );
+    await removeLeaderboardEntry(quizId, userId);
+    console.log(`🚫 User ${userId} disqualified from quiz ${quizId} after ${losses} focus losses`);
+    return { ...result, disqualified: true };
+  }
+
+  return result;
+};
+
+/**
+ * Mark one participant as finished before the quiz ends and give them a provisional rank
+ * (their place on the live board; final ranks are set when the quiz ends)
+ */
+export const completeParticipant = async ({ quizId, userId }) => {
+  const quiz = await Quiz.findOne({ _id: quizId, 'participants.user': userId }, { date: 1, 'participants.$': 1 });
+  if (!quiz) throw quizError('User not registered for this quiz');
+
+  const participant = quiz.participants[0];
+  if (participant.isCompleted) throw quizError('Quiz already completed');
+
+  const totals = participantTotals(participant, totalsFromAnswers(await getParticipantAnswers(quizId, userId)));
+  const ranks = await getLeaderboardRanks(quizId, [String(userId)]);
+  const completed = {
+    ...totals,
+    rank: ranks.get(String(userId))?.rank || (await getLeaderboardSize(quizId)) + 1,
+    isCompleted: true,
+    endTime: new Date()
+  };
+
+  const updated = await Quiz.updateOne(
+    { _id: quizId, participants: { $elemMatch: { user: userId, isCompleted: { $ne: true } } } },
+    { $set: Object.fromEntries(Object.entries(completed).map(([k, v]) => [`participants.$.${k}`, v])) }
+  );
+  if (updated.matchedCount === 0) throw quizError('Quiz already completed');
+
+  await saveQuizHistory(quiz, { user: participant.user, ...completed });
+
+  const { score, rank, correctAnswers, totalQuestions, timeSpent } = completed;
+  return { score, rank, correctAnswers, totalQuestions, timeSpent };
+};
+
+/**
+ * Upsert the participant's entry in user.quizHistory
+ */
+async function saveQuizHistory(quiz, participant) {
+  const entry = {
+    score: participant.score,
+    rank: participant.rank,
+    correctAnswers: participant.correctAnswers,
+    totalQuestions: participant.totalQuestions,
+    timeSpent: participant.timeSpent
+  };
+
+  const updated = await User.updateOne(
+    { _id: participant.user, 'quizHistory.quizId': quiz._id },
+    { $set: Object.fromEntries(Object.entries(entry).map(([k, v]) => [`quizHistory.$.${k}`, v])) }
+  );
+  if (updated.matchedCount > 0) return;
+
+  await User.updateOne(
+    { _id: participant.user },
+    { $push: { quizHistory: { quizId: quiz._id, date: quiz.date || new Date(), ...entry } } }
+  );
+}
+
+/**
+ * Rank every paid, not disqualified participant of a finished quiz from the answer store and
+ * write their totals, ranks and quiz history. Returns them in rank order.
+ * Runs when the quiz ends and again after a regrade (quizRegrade.js).
+ */
+export const finalizeStandings = async (quiz) => {
+  const answerTotals = await aggregateTotals(quiz._id);
+  const ranked = quiz.participants
+    .filter(p => p.paid && !p.disqualified)
+    .map(p => Object.assign(p, participantTotals(p, answerTotals.get(p.user.toString()))))
+    .sort(compareStandings);
+  ranked.forEach((participant, index) => {
+    participant.rank = index + 1;
+    participant.isCompleted = true;
+    participant.endTime = participant.endTime || quiz.endTime;
+  });
+
+  if (ranked.length > 0) {
+    await Quiz.bulkWrite(ranked.map(participant => ({
+      updateOne: {
+        filter: { _id: quiz._id, 'participants._id': participant._id },
+        update: {
+          $set: {
+            'participants.$.score': participant.score,
+            'participants.$.correctAnswers': participant.correctAnswers,
+            'participants.$.totalQuestions': participant.totalQuestions,
+            'participants.$.timeSpent': participant.timeSpent,
+            'participants.$.isCompleted': true,
+            'participants.$.rank': participant.rank,
+            'participants.$.endTime': participant.endTime
+          }
+        }
+      }
+    })));
+  }
+
+  for (const participant of ranked) {
+    try {
+      await saveQuizHistory(quiz, participant);
+    } catch (err) {
+      console.warn(`Failed to update quiz history for user ${participant.user}:`, err);
+    }
+  }
+
+  return ranked;
+};
+
+/**
+ * End quiz session: stop the clock, rank every paid participant,
+ * write quiz history and broadcast the final standings
+ */
+export const endQuizSession = async (quiz) => {
+  const quizId = quiz._id.toString();
+
+  console.log(`🏁 Quiz ${quizId} ended`);
+
+  dropSession(quizId);
+  await releaseQuizLease(quizId);
+
+  try {
+    // Only the first caller finalizes (END job, last question and cron can race)
+    const finalQuiz = await Quiz.findOneAndUpdate(
+      { _id: quizId, isCompleted: false },
+      { $set: { isLive: false, isCompleted: true, endTime: new Date() }, $unset: { pausedAt: 1, pausedRemainingMs: 1 } },
+      { new: true }
+    );
+    if (!finalQuiz) {
+      console.log(`ℹ️ Quiz ${quizId} already finalized`);
+      return;
+    }
+
+    const endTime = finalQuiz.endTime;
+    const ranked = await finalizeStandings(finalQuiz);
+
+    await clearLeaderboard(quizId, finalQuiz.questions.length);
+
+    emitToQuiz(quizId, 'quiz-ended', {
+      quizId,
+      endTime,
+      totalParticipants: ranked.length,
+      winners: ranked.slice(0, 20).map(p => ({
+        rank: p.rank,
+        userId: p.user,
+        score: p.score,
+        correctAnswers: p.correctAnswers,
+        totalQuestions: p.totalQuestions,
+        timeSpent: p.timeSpent
+      })),
+      // Keyed by questionId so they apply whatever order each participant saw
+      ...(finalQuiz.settings?.showCorrectAnswers && {
+        explanations: finalQuiz.questions
+          .filter(q => q.explanation)
+          .map(q => ({ questionId: q._id, explanation: q.explanation }))
+      })
+    });
+  } catch (error) {
+    console.error(`❌ Error ending quiz session ${quizId}:`, error);
+    throw error;
+  }
+
+  // Flag suspicious participants before anyone reads the winners list
+  try {
+    await runAntiCheatPass(quizId);
+  } catch (err) {
+    console.error(`❌ Anti-cheat pass failed for quiz ${quizId}:`, err);
+  }
+};
+
+/**
+ * Keep leases alive for the quizzes this instance drives, and take over the clock of any
+ * live quiz whose leader stopped renewing (lease expired).
+ */
+export const startLeadershipWatchdog = () => {
+  if (watchdogInterval) return;
+
+  watchdogInterval = setInterval(async () => {
+    for (const quizId of [...activeQuizSessions.keys()]) {
+      if (!(await renewQuizLease(quizId))) {
+        console.warn(`⚠️ Lost leadership of quiz ${quizId}, stopping local clock`);
+        dropSession(quizId);
+      }
+    }
+
+    try {
+      await resumeLiveQuizzes();
+    } catch (err) {
+      console.error('❌ Leadership takeover check failed:', err);
+    }
+  }, RENEW_INTERVAL_MS);
+};
+
+/**
+ * Get active session info
+ */
+export const getActiveSession = (quizId) => {
+  return activeQuizSessions.get(String(quizId));
+};
+
+export default {
+  startQuiz,
+  runQuizSession,
+  resumeLiveQuizzes,
+  startLeadershipWatchdog,
+  endQuizSession,
+  recordAnswer,
+  completeParticipant,
+  pauseQuiz,
+  resumeQuiz,
+  extendQuestion,
+  skipQuestion,
+  getActiveSession
+};
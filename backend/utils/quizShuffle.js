@@ -0,0 +1,84 @@
+// backend/utils/quizShuffle.js
+// Per-participant question/option order derived from a seed stored on the participant.
+// The same seed always yields the same permutation, so admins can replay exactly what
+// a user saw and answers can be mapped back to the canonical correctIndex.
+import crypto from 'crypto';
+import { SHUFFLED_OPTION_TYPES, questionType } from './questionTypes.js';
+
+export const createShuffleSeed = () => crypto.randomBytes(8).toString('hex');
+
+export const isShuffled = (quiz) => !!(quiz.settings?.shuffleQuestions || quiz.settings?.shuffleOptions);
+
+// mulberry32, seeded from the first 4 bytes of sha256(seed)
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+// Fisher-Yates over [0..n-1]
+function shuffledRange(n, random) {
+  const order = range(n);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Permutation for one participant:
+ * - questionOrder[slot] = canonical question index shown at that slot
+ * - optionOrders[canonicalQuestionIndex][displayedIndex] = canonical option index
+ * No seed (or shuffling disabled) gives the identity permutation.
+ */
+export function buildPermutation(quiz, seed) {
+  const questions = quiz.questions || [];
+  const random = seed && isShuffled(quiz) ? seededRandom(seed) : null;
+
+  const questionOrder = random && quiz.settings?.shuffleQuestions
+    ? shuffledRange(questions.length, random)
+    : range(questions.length);
+
+  const optionOrders = questions.map(q => {
+    const count = q.options?.length || 0;
+    const shuffleOptions = random && quiz.settings?.shuffleOptions && SHUFFLED_OPTION_TYPES.includes(questionType(q));
+    return shuffleOptions ? shuffledRange(count, random) : range(count);
+  });
+
+  return { seed: seed || null, questionOrder, optionOrders };
+}
+
+/**
+ * Canonical question shown at a clock slot, with its option order
+ */
+export function questionAtSlot(quiz, permutation, slot) {
+  const canonicalIndex = permutation ? permutation.questionOrder[slot] : slot;
+  const question = quiz.questions[canonicalIndex];
+  if (!question) return null;
+  const optionOrder = permutation ? permutation.optionOrders[canonicalIndex] : range(question.options?.length || 0);
+  return { question, canonicalIndex, optionOrder };
+}
+
+export const toDisplayedOptions = (options, optionOrder) => optionOrder.map(i => options[i]);
+
+export const toCanonicalOption = (optionOrder, displayedIndex) => optionOrder[Number(displayedIndex)];
+
+export const toDisplayedOption = (optionOrder, canonicalIndex) => optionOrder.indexOf(canonicalIndex);
+
+export default {
+  createShuffleSeed,
+  isShuffled,
+  buildPermutation,
+  questionAtSlot,
+  toDisplayedOptions,
+  toCanonicalOption,
+  toDisplayedOption
+};
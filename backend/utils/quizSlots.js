@@ -0,0 +1,280 @@
+// backend/utils/quizSlots.js
+// Quiz slots: every quiz is its own slot with a start time, duration, payment deadline,
+// entry fee and capacity, and several slots can run on the same day. Payments,
+// eligibility, notifications and the scheduler all work from the slot, never from
+// "today's quiz".
+//
+// Every phase of a slot (payment close, alert, ready, start, end, results) is derived
+// from fields on the Quiz document - scheduledAt, durationMinutes, paymentDeadline and
+// the timeline offsets - so moving or delaying a quiz is a data change, not a code change.
+import Quiz from '../models/Quiz.js';
+import Payment from '../models/Payment.js';
+import { QUIZ_TIMEZONE, QUIZ_DEFAULT_START_TIME, isValidTimeZone, zonedDayRange, zonedDateString, parseZonedDateTime } from './timezone.js';
+
+export const DEFAULT_DURATION_MINUTES = 30;
+export const DEFAULT_ENTRY_FEE = 5; // rupees
+export const DEFAULT_TIMELINE = {
+  paymentCloseMinutes: 5,
+  alertMinutes: 5,
+  readyMinutes: 1,
+  resultsDelayMinutes: 1
+};
+export const MAX_NOTICE_MINUTES = 180; // upper bound for any timeline offset
+
+const MINUTE_MS = 60 * 1000;
+
+export const formatMinutes = (minutes) => `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+export const quizTimeZone = (quiz) => quiz.timezone || QUIZ_TIMEZONE;
+
+/**
+ * The quiz's timeline offsets, defaults filled in
+ */
+export function timelineSettings(quiz) {
+  const settings = { ...DEFAULT_TIMELINE };
+  Object.keys(DEFAULT_TIMELINE).forEach(key => {
+    const value = quiz.timeline?.[key];
+    if (typeof value === 'number' && value >= 0) settings[key] = value;
+  });
+  return settings;
+}
+
+/**
+ * Start, forced end and payment deadline of a slot
+ */
+export function getSlotWindow(quiz) {
+  const startsAt = new Date(quiz.scheduledAt || quiz.date);
+  const endsAt = new Date(startsAt.getTime() + (quiz.durationMinutes || DEFAULT_DURATION_MINUTES) * MINUTE_MS);
+  const paymentDeadline = quiz.paymentDeadline
+    ? new Date(quiz.paymentDeadline)
+    : new Date(startsAt.getTime() - timelineSettings(quiz).paymentCloseMinutes * MINUTE_MS);
+  return { startsAt, endsAt, paymentDeadline };
+}
+
+/**
+ * Every lifecycle moment of a slot (payment close, alert, ready, start, end, results)
+ */
+export function getSlotTimeline(quiz) {
+  const { startsAt, endsAt, paymentDeadline } = getSlotWindow(quiz);
+  const { alertMinutes, readyMinutes, resultsDelayMinutes } = timelineSettings(quiz);
+  return {
+    paymentDeadline,
+    alertAt: new Date(startsAt.getTime() - alertMinutes * MINUTE_MS),
+    readyAt: new Date(startsAt.getTime() - readyMinutes * MINUTE_MS),
+    startsAt,
+    endsAt,
+    resultsAt: new Date(endsAt.getTime() + resultsDelayMinutes * MINUTE_MS)
+  };
+}
+
+/**
+ * payment-open | payment-closed | starting | live | ended
+ */
+export function getSlotPhase(quiz, now = Date.now()) {
+  if (quiz.isCompleted) return 'ended';
+  if (quiz.isLive) return 'live';
+  const { startsAt, endsAt, paymentDeadline } = getSlotWindow(quiz);
+  if (now >= endsAt) return 'ended';
+  if (now >= startsAt) return 'starting';
+  if (now > paymentDeadline) return 'payment-closed';
+  return 'payment-open';
+}
+
+export const entryFeePaise = (quiz) => Math.round((quiz.entryFee ?? DEFAULT_ENTRY_FEE) * 100);
+
+/**
+ * Public description of a slot (no questions)
+ */
+export function slotSummary(quiz, now = Date.now()) {
+  const { startsAt, endsAt, paymentDeadline } = getSlotWindow(quiz);
+  return {
+    _id: quiz._id,
+    title: quiz.title,
+    slotLabel: quiz.slotLabel || '',
+    startsAt,
+    endsAt,
+    paymentDeadline,
+    durationMinutes: quiz.durationMinutes || DEFAULT_DURATION_MINUTES,
+    timezone: quizTimeZone(quiz),
+    localDate: zonedDateString(startsAt, quizTimeZone(quiz)),
+    timeline: timelineSettings(quiz),
+    entryFee: quiz.entryFee ?? DEFAULT_ENTRY_FEE,
+    maxParticipants: quiz.maxParticipants,
+    currentParticipants: quiz.currentParticipants,
+    spotsLeft: Math.max(0, (quiz.maxParticipants || 0) - (quiz.currentParticipants || 0)),
+    isLive: quiz.isLive,
+    isCompleted: quiz.isCompleted,
+    phase: getSlotPhase(quiz, now)
+  };
+}
+
+/**
+ * Slot settings from an admin request body: { fields, error }. Only keys present in
+ * the body are returned; paymentDeadline: null goes back to the default.
+ */
+export function parseSlotFields(body = {}) {
+  const fields = {};
+  if (body.slotLabel !== undefined) fields.slotLabel = String(body.slotLabel || '').trim();
+  if (body.durationMinutes !== undefined) {
+    const minutes = Number(body.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes < 1 || minutes > 24 * 60) {
+      return { error: 'durationMinutes must be between 1 and 1440' };
+    }
+    fields.durationMinutes = minutes;
+  }
+  if (body.entryFee !== undefined) {
+    const fee = Number(body.entryFee);
+    if (!Number.isFinite(fee) || fee < 1) return { error: 'entryFee must be at least ₹1' };
+    fields.entryFee = fee;
+  }
+  if (body.maxParticipants !== undefined) {
+    const max = parseInt(body.maxParticipants);
+    if (!max || max < 1) return { error: 'maxParticipants must be a positive number' };
+    fields.maxParticipants = max;
+  }
+  if (body.paymentDeadline !== undefined) {
+    const deadline = body.paymentDeadline === null ? null : new Date(body.paymentDeadline);
+    if (deadline && isNaN(deadline.getTime())) return { error: 'paymentDeadline is not a valid date' };
+    fields.paymentDeadline = deadline;
+  }
+  if (body.timezone !== undefined) {
+    if (body.timezone !== null && !isValidTimeZone(body.timezone)) return { error: 'timezone must be an IANA zone, e.g. Asia/Kolkata' };
+    fields.timezone = body.timezone || undefined;
+  }
+  if (body.timeline !== undefined) {
+    fields.timeline = {}; // partial - callers merge it over the quiz's current offsets
+    for (const [key, value] of Object.entries(body.timeline || {})) {
+      if (!(key in DEFAULT_TIMELINE)) return { error: `Unknown timeline setting: ${key}` };
+      const minutes = Number(value);
+      if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_NOTICE_MINUTES) {
+        return { error: `timeline.${key} must be between 0 and ${MAX_NOTICE_MINUTES} minutes` };
+      }
+      fields.timeline[key] = minutes;
+    }
+  }
+  return { fields };
+}
+
+/**
+ * Start time from an admin request body: an instant (scheduledAt), or a wall-clock
+ * startDate (YYYY-MM-DD) / startTime (HH:mm) in the quiz's timezone - the date defaults
+ * to today there. Returns { startsAt } (null when the body sets neither) or { error }.
+ */
+export function startFromBody(body = {}, timeZone = QUIZ_TIMEZONE) {
+  if (body.scheduledAt) {
+    const startsAt = new Date(body.scheduledAt);
+    return isNaN(startsAt.getTime()) ? { error: 'scheduledAt is not a valid date' } : { startsAt };
+  }
+  if (body.startDate || body.startTime) {
+    const startsAt = parseZonedDateTime(
+      body.startDate || zonedDateString(new Date(), timeZone),
+      body.startTime || QUIZ_DEFAULT_START_TIME,
+      timeZone
+    );
+    return startsAt ? { startsAt } : { error: 'startDate must be YYYY-MM-DD and startTime HH:mm' };
+  }
+  return { startsAt: null };
+}
+
+/**
+ * Today's QUIZ_DEFAULT_START_TIME in a zone - the start of a quiz created without one
+ */
+export const defaultStartTime = (timeZone = QUIZ_TIMEZONE) =>
+  parseZonedDateTime(zonedDateString(new Date(), timeZone), QUIZ_DEFAULT_START_TIME, timeZone);
+
+/**
+ * Consistency check of a slot after its settings changed, or null
+ */
+export function slotError(quiz) {
+  if (isNaN(new Date(quiz.scheduledAt || quiz.date).getTime())) return 'scheduledAt is not a valid date';
+  const { startsAt, paymentDeadline } = getSlotWindow(quiz);
+  if (paymentDeadline > startsAt) return 'paymentDeadline must not be after the quiz starts';
+  const { alertMinutes, readyMinutes } = timelineSettings(quiz);
+  if (readyMinutes > alertMinutes) return 'timeline.readyMinutes must not exceed timeline.alertMinutes';
+  return null;
+}
+
+/**
+ * Slots of one day (an instant, or 'YYYY-MM-DD') in QUIZ_TIMEZONE, in start order
+ */
+export function findDaySlots(date = new Date(), filter = {}, select = null) {
+  const { start, end } = zonedDayRange(date);
+  const query = Quiz.find({ date: { $gte: start, $lt: end }, ...filter }).sort({ scheduledAt: 1, date: 1 });
+  return select ? query.select(select) : query;
+}
+
+/**
+ * The slot a user cares about right now: the live one, else the next one that has not
+ * ended, else the last of the day
+ */
+export function pickCurrentSlot(slots, now = Date.now()) {
+  return slots.find(q => q.isLive)
+    || slots.find(q => !q.isCompleted && getSlotWindow(q).endsAt > now)
+    || slots[slots.length - 1]
+    || null;
+}
+
+/**
+ * Completed payments for a slot. Payments made before slots existed only carry the
+ * quiz day; there was one quiz per day then, so they still count for that day.
+ */
+export function paidForQuizFilter(quiz) {
+  const { start, end } = zonedDayRange(quiz.date || quiz.scheduledAt, quizTimeZone(quiz));
+  return {
+    status: 'completed',
+    verified: true,
+    $or: [
+      { quiz: quiz._id },
+      { quiz: null, forDate: { $gte: start, $lt: end } }
+    ]
+  };
+}
+
+/**
+ * A user's completed payment for a slot, or null
+ */
+export function findQuizPayment(userId, quiz) {
+  return Payment.findOne({ user: userId, ...paidForQuizFilter(quiz) }).sort({ createdAt: 1 });
+}
+
+/**
+ * Ids of every user who paid for a slot
+ */
+export async function getPaidUserIds(quiz) {
+  const ids = await Payment.distinct('user', paidForQuizFilter(quiz));
+  return ids.map(String);
+}
+
+/**
+ * Take a free place in a slot. Returns false when the slot is full, so concurrent
+ * entries cannot push it past maxParticipants.
+ */
+export async function reserveSlotPlace(quizId) {
+  const quiz = await Quiz.findOneAndUpdate(
+    { _id: quizId, $expr: { $lt: ['$currentParticipants', '$maxParticipants'] } },
+    { $inc: { currentParticipants: 1 } },
+    { new: true, projection: { currentParticipants: 1 } }
+  );
+  return !!quiz;
+}
+
+export default {
+  formatMinutes,
+  quizTimeZone,
+  timelineSettings,
+  getSlotWindow,
+  getSlotTimeline,
+  getSlotPhase,
+  entryFeePaise,
+  slotSummary,
+  parseSlotFields,
+  startFromBody,
+  defaultStartTime,
+  slotError,
+  findDaySlots,
+  pickCurrentSlot,
+  paidForQuizFilter,
+  findQuizPayment,
+  getPaidUserIds,
+  reserveSlotPlace
+};
@@ -0,0 +1,284 @@
+// backend/utils/quizSocketHandlers.js
+// Live quiz socket protocol. Every server entry point registers these on each
+// authenticated socket; all quiz state changes are delegated to quizSession.js.
+//
+// Client -> server: join-room { roomId, deviceId }, spectate-room { roomId }, leave-spectate,
+//                   time-sync { clientSendTime } (see timeSync.js),
+//                   submit-answer { roomId, questionId, selectedIndex | selectedIndexes | value },
+//                   focus-change { roomId, state: hidden | visible | blur | focus }, complete-quiz { roomId }
+// Server -> client: joined, join-error, spectating, spectate-error, spectators { count }, session-resumed, time-ping (ack it), question, time-left { remaining, answered }, question-ended,
+//                   leaderboard { top, totalRanked, you }, answer-result, answer-error, quiz-started,
+//                   focus-warning, disqualified, quiz-ended, quiz-completed, quiz-error,
+//                   admin live controls: quiz-paused, quiz-resumed, question-extended, question-voided
+import Quiz from '../models/Quiz.js';
+import User from '../models/User.js';
+import {
+  quizRoom, buildResumeState, buildQuestionPayload, buildLeaderboard, recordAnswer, recordFocusChange, completeParticipant,
+  RECONNECT_GRACE_MS
+} from './quizSession.js';
+import { getLeaderboardRanks } from './quizLeaderboard.js';
+import { getParticipantAnswers, totalsFromAnswers, participantTotals } from './quizAnswers.js';
+import { registerTimeSync, measureLatency, getSocketLatency } from './timeSync.js';
+import { createShuffleSeed, buildPermutation } from './quizShuffle.js';
+import { addSpectator, removeSpectator, getSpectatorCount } from './quizSpectators.js';
+
+// userId -> Set(socketId) of sockets that joined a quiz room on this node
+const activeSockets = new Map();
+
+export function registerQuizSocketHandlers(io, socket) {
+  const userId = socket.userId;
+  const username = socket.user?.fullName || 'unknown';
+
+  registerTimeSync(socket);
+
+  const isSpectating = (roomId) => !!roomId && socket.data.spectating === String(roomId);
+
+  const stopSpectating = async () => {
+    const quizId = socket.data.spectating;
+    if (!quizId) return;
+    delete socket.data.spectating;
+    socket.leave(quizRoom(quizId));
+    const count = await removeSpectator(quizId, socket.id);
+    io.to(quizRoom(quizId)).emit('spectators', { quizId, count });
+  };
+
+  socket.on('join-room', async ({ roomId, deviceId } = {}) => {
+    try {
+      const quiz = await Quiz.findOne(
+        { _id: roomId, 'participants.user': userId },
+        { isLive: 1, questions: 1, settings: 1, timePerQuestion: 1, currentQuestionIndex: 1, questionStartTime: 1,
+          questionDurationMs: 1, pausedAt: 1, pausedRemainingMs: 1, 'participants.$': 1 }
+      );
+      const now = Date.now();
+      if (!quiz || !quiz.isLive) {
+        socket.emit('join-error', { message: 'Quiz is not live yet' });
+        return;
+      }
+
+      const participant = quiz.participants[0];
+      if (!participant?.paid) {
+        socket.emit('join-error', { message: 'You are not registered or payment not verified' });
+        return;
+      }
+
+      // Dropped mid-quiz and stayed away past the grace window: points are kept, the seat is not
+      const awayMs = participant.disconnectedAt ? now - participant.disconnectedAt.getTime() : 0;
+      if (!participant.leftAt && awayMs > RECONNECT_GRACE_MS) {
+        participant.leftAt = new Date(now);
+        await Quiz.updateOne(
+          { _id: roomId, 'participants.user': userId },
+          { $set: { 'participants.$.leftAt': participant.leftAt } }
+        );
+      }
+      const answers = await getParticipantAnswers(roomId, userId);
+      if (participant.leftAt) {
+        const { score } = participantTotals(participant, totalsFromAnswers(answers));
+        socket.emit('join-error', {
+          message: `You were disconnected for too long and left the quiz. Your score of ${score} is saved.`,
+          left: true,
+          score
+        });
+        return;
+      }
+
+      if (deviceId) {
+        const u = await User.findById(userId);
+        if (u && u.deviceId && u.deviceId !== deviceId && process.env.NODE_ENV === 'production') {
+          socket.emit('join-error', { message: 'Device mismatch detected. Please use the same device you registered with.' });
+          return;
+        }
+        if (u && u.deviceId !== deviceId) {
+          u.deviceId = deviceId;
+          await u.save();
+        }
+      }
+
+      // disconnect old sockets to prevent multi-login in same quiz
+      if (!activeSockets.has(userId)) activeSockets.set(userId, new Set());
+      const userSockets = activeSockets.get(userId);
+      userSockets.forEach(oldSocketId => {
+        const oldSocket = io.sockets.sockets.get(oldSocketId);
+        if (oldSocket && oldSocket.id !== socket.id) {
+          oldSocket.emit('force-disconnect', { message: 'You connected from another device/session' });
+          oldSocket.disconnect(true);
+        }
+      });
+      userSockets.clear();
+      userSockets.add(socket.id);
+
+      // A spectating connection turns into the participant's own
+      await stopSpectating();
+
+      // Participants registered before seeds existed get one on first join
+      const shuffleSeed = participant.shuffleSeed || createShuffleSeed();
+
+      const room = quizRoom(roomId);
+      socket.join(room);
+      socket.quizId = String(roomId);
+      socket.data.shuffleSeed = shuffleSeed;
+      socket.data.userId = String(userId);
+
+      await Quiz.updateOne(
+        { _id: roomId, 'participants.user': userId },
+        {
+          $set: {
+            'participants.$.shuffleSeed': shuffleSeed,
+            'participants.$.socketId': socket.id,
+            'participants.$.ipAddress': socket.handshake.address,
+            'participants.$.userAgent': socket.handshake.headers['user-agent'],
+            'participants.$.lastSubmissionAt': new Date()
+          },
+          $unset: { 'participants.$.disconnectedAt': 1 },
+          ...(participant.disconnectedAt && { $inc: { 'participants.$.reconnectCount': 1 } })
+        }
+      );
+
+      socket.emit('joined', { roomId: room, serverTime: Date.now(), spectators: await getSpectatorCount(roomId) });
+      measureLatency(socket).catch(err => console.warn('latency measurement failed:', err.message));
+      // A reconnect within the grace window is silent for the rest of the room
+      if (!participant.disconnectedAt) socket.to(room).emit('user-joined', { userId, username });
+
+      // Score, locked answers and the question on the clock with the server's remaining time
+      const resume = buildResumeState(quiz, participant, buildPermutation(quiz, shuffleSeed), answers, now);
+      const ranks = await getLeaderboardRanks(roomId, [userId]);
+      socket.emit('session-resumed', {
+        ...resume,
+        rank: ranks.get(String(userId))?.rank || null,
+        reconnected: !!participant.disconnectedAt,
+        awayMs
+      });
+
+      // Late joiners get the question currently on the clock
+      if (resume.current) socket.emit('question', resume.current);
+    } catch (err) {
+      console.error('join-room error:', err);
+      socket.emit('join-error', { message: 'Failed to join quiz' });
+    }
+  });
+
+  // Read-only view of a quiz (projectors, users who missed the payment deadline): the room's
+  // question, time-left, question-ended and leaderboard broadcasts - answers only come with
+  // question-ended - in canonical order, and nothing can be submitted
+  socket.on('spectate-room', async ({ roomId } = {}) => {
+    try {
+      if (socket.quizId) {
+        socket.emit('spectate-error', { message: 'This connection already joined a quiz as a participant' });
+        return;
+      }
+
+      const quiz = await Quiz.findById(roomId).select(
+        'published isLive isCompleted questions settings timePerQuestion currentQuestionIndex questionStartTime '
+        + 'questionDurationMs pausedAt pausedRemainingMs'
+      );
+      if (!quiz || !quiz.published) {
+        socket.emit('spectate-error', { message: 'Quiz not found' });
+        return;
+      }
+      if (quiz.isCompleted) {
+        socket.emit('spectate-error', { message: 'Quiz has ended' });
+        return;
+      }
+
+      if (!isSpectating(roomId)) await stopSpectating();
+      const quizId = quiz._id.toString();
+      const room = quizRoom(quizId);
+      socket.join(room);
+      socket.data.spectating = quizId;
+
+      const count = await addSpectator(quizId, socket.id);
+      socket.emit('spectating', { quizId, isLive: quiz.isLive, serverTime: Date.now(), spectators: count });
+      io.to(room).emit('spectators', { quizId, count });
+
+      // Mid-quiz viewers get the question on the clock and the standings so far
+      const current = quiz.isLive ? buildQuestionPayload(quiz) : null;
+      if (current) {
+        socket.emit('question', current);
+        socket.emit('leaderboard', { ...(await buildLeaderboard(quizId, quiz.currentQuestionIndex)), you: null });
+      }
+    } catch (err) {
+      console.error('spectate-room error:', err);
+      socket.emit('spectate-error', { message: 'Failed to spectate quiz' });
+    }
+  });
+
+  socket.on('leave-spectate', async () => {
+    try {
+      await stopSpectating();
+    } catch (err) {
+      console.error('leave-spectate error:', err);
+    }
+  });
+
+  socket.on('submit-answer', async ({ roomId, questionId, selectedIndex, selectedIndexes, value } = {}) => {
+    if (isSpectating(roomId)) {
+      socket.emit('answer-error', { message: 'Spectators cannot answer', spectator: true });
+      return;
+    }
+    try {
+      const result = await recordAnswer({
+        quizId: roomId, userId, questionId, selectedIndex, selectedIndexes, value, latencyMs: getSocketLatency(socket)
+      });
+      socket.emit('answer-result', result);
+    } catch (err) {
+      if (!err.statusCode) console.error('submit-answer error:', err);
+      socket.emit('answer-error', { message: err.statusCode ? err.message : 'Failed to process answer' });
+    }
+  });
+
+  // Visibility / focus changes reported by the client; timestamps are taken server-side
+  socket.on('focus-change', async ({ roomId, state } = {}) => {
+    if (isSpectating(roomId)) return;
+    try {
+      const result = await recordFocusChange({ quizId: roomId, userId, state });
+      if (result.disqualified && result.counted) {
+        socket.emit('disqualified', { reason: 'focus-loss', losses: result.losses });
+      } else if (result.counted && result.action !== 'none') {
+        socket.emit('focus-warning', result);
+      }
+    } catch (err) {
+      // Reports after the quiz ended or from non-participants are dropped quietly
+      if (!err.statusCode) console.error('focus-change error:', err);
+    }
+  });
+
+  socket.on('complete-quiz', async ({ roomId } = {}) => {
+    if (isSpectating(roomId)) {
+      socket.emit('quiz-error', { message: 'Spectators cannot complete a quiz' });
+      return;
+    }
+    try {
+      const result = await completeParticipant({ quizId: roomId, userId });
+      socket.emit('quiz-completed', result);
+    } catch (err) {
+      if (!err.statusCode) console.error('complete-quiz error:', err);
+      socket.emit('quiz-error', { message: err.statusCode ? err.message : 'Failed to complete quiz' });
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    const set = activeSockets.get(userId);
+    if (set) {
+      set.delete(socket.id);
+      if (set.size === 0) activeSockets.delete(userId);
+    }
+
+    try {
+      await stopSpectating();
+    } catch (err) {
+      console.error('spectator bookkeeping error:', err);
+    }
+
+    // Start the reconnect grace window - only if this socket is still the participant's current one
+    if (!socket.quizId) return;
+    try {
+      await Quiz.updateOne(
+        { _id: socket.quizId, isLive: true, participants: { $elemMatch: { user: userId, socketId: socket.id } } },
+        { $set: { 'participants.$.disconnectedAt': new Date() } }
+      );
+    } catch (err) {
+      console.error('disconnect bookkeeping error:', err);
+    }
+  });
+}
+
+export default { registerQuizSocketHandlers };
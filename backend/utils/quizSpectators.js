@@ -0,0 +1,71 @@
+// backend/utils/quizSpectators.js
+import { getRedisClient } from "../config/redis.js";
+
+/**
+ * Read-only viewers of a quiz room (projectors, users who missed the payment deadline).
+ * Keys:
+ * - quiz:spectators:{quizId} -> set of spectating socket ids, across every instance
+ *
+ * Without Redis a per-process Map stands in (single instance only).
+ */
+
+const SPECTATORS_TTL_MS = 6 * 60 * 60 * 1000; // outlives any quiz; sockets of a crashed instance age out
+
+function spectatorsKey(quizId) { return `quiz:spectators:${quizId}`; }
+
+// Local stand-in: quizId -> Set(socketId)
+const localSpectators = new Map();
+
+/**
+ * Count a spectating socket, returns the new total
+ */
+export async function addSpectator(quizId, socketId) {
+  const id = String(quizId);
+  try {
+    const client = await getRedisClient();
+    if (!client) {
+      if (!localSpectators.has(id)) localSpectators.set(id, new Set());
+      return localSpectators.get(id).add(socketId).size;
+    }
+    await client.sAdd(spectatorsKey(id), socketId);
+    await client.pExpire(spectatorsKey(id), SPECTATORS_TTL_MS);
+    return await client.sCard(spectatorsKey(id));
+  } catch (err) {
+    console.warn("[quizSpectators] add error", err.message);
+    return 0;
+  }
+}
+
+/**
+ * Stop counting a socket (left or disconnected), returns the new total
+ */
+export async function removeSpectator(quizId, socketId) {
+  const id = String(quizId);
+  try {
+    const client = await getRedisClient();
+    if (!client) {
+      const sockets = localSpectators.get(id);
+      if (!sockets) return 0;
+      sockets.delete(socketId);
+      if (sockets.size === 0) localSpectators.delete(id);
+      return sockets.size;
+    }
+    await client.sRem(spectatorsKey(id), socketId);
+    return await client.sCard(spectatorsKey(id));
+  } catch (err) {
+    console.warn("[quizSpectators] remove error", err.message);
+    return 0;
+  }
+}
+
+export async function getSpectatorCount(quizId) {
+  const id = String(quizId);
+  try {
+    const client = await getRedisClient();
+    if (!client) return localSpectators.get(id)?.size || 0;
+    return await client.sCard(spectatorsKey(id));
+  } catch (err) {
+    console.warn("[quizSpectators] count error", err.message);
+    return 0;
+  }
+}
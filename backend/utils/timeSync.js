@@ -0,0 +1,72 @@
+// backend/utils/timeSync.js
+// NTP-style clock sync over the quiz socket.
+//
+// Client-driven (offset for the countdown): the client sends
+//   time-sync { clientSendTime: t0 } and gets { clientSendTime: t0, serverReceiveTime: t1, serverSendTime: t2 }
+// back (ack callback, or a `time-sync` event for clients without acks). With t3 = arrival time:
+//   offset = ((t1 - t0) + (t2 - t3)) / 2, rtt = (t3 - t0) - (t2 - t1)
+// and the client keeps the offset of its lowest-RTT sample.
+//
+// Server-driven (latency for the answer deadline): the server times its own `time-ping` acks
+// and keeps the fastest recent round trip. A client can still hold its acks back, so the
+// result is capped (quizSession.js) and only ever widens the deadline - answer times and
+// points are measured on the server clock alone.
+
+export const TIME_SYNC_SAMPLES = 5;
+const PING_TIMEOUT_MS = 3000;
+const PING_SPACING_MS = 200;
+const PING_REFRESH_MS = 10000; // client time-syncs refresh the latency sample at most this often
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One server-timed round trip; one-way latency is half the fastest of the last TIME_SYNC_SAMPLES
+ */
+async function pingOnce(socket) {
+  const sent = Date.now();
+  socket.data.lastPingAt = sent;
+  try {
+    await socket.timeout(PING_TIMEOUT_MS).emitWithAck('time-ping', { serverTime: sent });
+  } catch {
+    return; // no ack: old client or the connection is gone
+  }
+
+  const samples = [...(socket.data.rttSamples || []), Date.now() - sent].slice(-TIME_SYNC_SAMPLES);
+  socket.data.rttSamples = samples;
+  socket.data.rttMs = Math.min(...samples);
+  socket.data.latencyMs = Math.round(socket.data.rttMs / 2);
+}
+
+/**
+ * Take a full set of latency samples (on join-room)
+ */
+export async function measureLatency(socket, samples = TIME_SYNC_SAMPLES) {
+  for (let i = 0; i < samples && socket.connected; i++) {
+    if (i > 0) await sleep(PING_SPACING_MS);
+    await pingOnce(socket);
+  }
+  return socket.data.latencyMs ?? null;
+}
+
+/**
+ * Server-measured one-way latency for this socket, 0 until measured
+ */
+export const getSocketLatency = (socket) => socket.data?.latencyMs || 0;
+
+export function registerTimeSync(socket) {
+  socket.on('time-sync', (payload = {}, ack) => {
+    const serverReceiveTime = Date.now();
+    const reply = {
+      clientSendTime: payload.clientSendTime,
+      serverReceiveTime,
+      serverSendTime: Date.now()
+    };
+    if (typeof ack === 'function') ack(reply);
+    else socket.emit('time-sync', reply);
+
+    // Client syncs refresh the rolling server-side latency sample, throttled
+    if (Date.now() - (socket.data.lastPingAt || 0) >= PING_REFRESH_MS) pingOnce(socket);
+  });
+}
+
+export default { registerTimeSync, measureLatency, getSocketLatency, TIME_SYNC_SAMPLES };
@@ -0,0 +1,124 @@
+// backend/utils/timezone.js
+// Wall-clock time in an IANA timezone, on top of Intl (no date library). Quiz days,
+// default start times and admin-entered local times are reckoned in QUIZ_TIMEZONE or
+// the quiz's own timezone - never in the server's local zone.
+
+export const QUIZ_TIMEZONE = process.env.QUIZ_TIMEZONE || 'Asia/Kolkata';
+export const QUIZ_DEFAULT_START_TIME = process.env.QUIZ_DEFAULT_START_TIME || '20:00'; // HH:mm
+
+const YMD = /^(\d{4})-(\d{2})-(\d{2})$/;
+const HM = /^(\d{1,2}):(\d{2})$/;
+
+const formatters = new Map();
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * { year, month (1-12), day, hour, minute, second } of an instant in a zone
+ */
+export function zonedParts(date, timeZone = QUIZ_TIMEZONE) {
+  const parts = {};
+  partsFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// How far the zone's wall clock is ahead of UTC at an instant
+const zoneOffsetMs = (instant, timeZone) => {
+  const p = zonedParts(instant, timeZone);
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallAsUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time in a zone. Out-of-range days/hours roll over like Date.UTC.
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone = QUIZ_TIMEZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - zoneOffsetMs(wall, timeZone);
+  // Second pass settles times next to a DST change
+  return new Date(wall - zoneOffsetMs(guess, timeZone));
+}
+
+/**
+ * 'YYYY-MM-DD' of an instant in a zone
+ */
+export function zonedDateString(date = new Date(), timeZone = QUIZ_TIMEZONE) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * A calendar day ('YYYY-MM-DD', or the zone's day of an instant) as { start, end } instants
+ */
+export function zonedDayRange(day = new Date(), timeZone = QUIZ_TIMEZONE) {
+  const match = typeof day === 'string' && YMD.exec(day);
+  const [year, month, date] = match
+    ? match.slice(1).map(Number)
+    : zonedDateString(day, timeZone).split('-').map(Number);
+  return {
+    start: zonedTimeToDate({ year, month, day: date }, timeZone),
+    end: zonedTimeToDate({ year, month, day: date + 1 }, timeZone)
+  };
+}
+
+/**
+ * 'YYYY-MM-DD' + 'HH:mm' wall clock in a zone -> Date, or null when malformed
+ */
+export function parseZonedDateTime(dateStr, timeStr, timeZone = QUIZ_TIMEZONE) {
+  const d = YMD.exec(String(dateStr || ''));
+  const t = HM.exec(String(timeStr || ''));
+  if (!d || !t) return null;
+  const [year, month, day] = d.slice(1).map(Number);
+  const [hour, minute] = t.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  return zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * "7:55 PM GMT+5:30"-style label for user-facing messages
+ */
+export function formatZonedTime(date, timeZone = QUIZ_TIMEZONE) {
+  return new Date(date).toLocaleTimeString('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+}
+
+export default {
+  QUIZ_TIMEZONE,
+  QUIZ_DEFAULT_START_TIME,
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToDate,
+  zonedDateString,
+  zonedDayRange,
+  parseZonedDateTime,
+  formatZonedTime
+};